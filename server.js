@@ -1,7 +1,31 @@
+const path = require('path');
 const chalk = require('chalk');
-const { loadConfig } = require('./src/loader');
+const { loadConfig, watchConfig, CONFIG_FILE } = require('./src/loader');
+const { parseConfigOverrides } = require('./src/config-schema');
+const { createConfigReloader } = require('./src/config-reload');
 const { createProxyServer } = require('./src/proxy');
 const { RequestLogger } = require('./src/request-logger');
+const { resolveListeners, logGroupDir } = require('./src/listeners');
+const { createReplayer } = require('./src/replay');
+const { createRedactor } = require('./src/redact');
+const { Rewriter } = require('./src/rewrite');
+const { FaultInjector } = require('./src/faults');
+const { UpstreamClient } = require('./src/upstream');
+const { ChatCompletionsFrontend } = require('./src/openai');
+const { RateLimitTracker } = require('./src/rate-limits');
+const { Guard } = require('./src/guards');
+const { PluginHost } = require('./src/plugins');
+const { CostTracker, formatCost } = require('./src/cost-tracker');
+const { TrafficStore } = require('./src/traffic');
+const { Metrics } = require('./src/metrics');
+const { createAdminServer } = require('./src/admin-server');
+
+// Subcommands that work on saved log groups instead of starting the proxy
+const COMMANDS = {
+  har: require('./src/commands/har'),
+  rebuild: require('./src/commands/rebuild'),
+  stats: require('./src/commands/stats')
+};
 
 function parseCliArgs() {
   const args = process.argv.slice(2);
@@ -20,9 +44,33 @@ function parseCliArgs() {
     port = parseInt(args[portIndex + 1], 10);
   }
 
+  // Parse --replay with its value
+  let replay = null;
+  const replayIndex = args.findIndex(arg => arg === '--replay');
+  if (replayIndex !== -1 && args[replayIndex + 1]) {
+    replay = args[replayIndex + 1];
+  }
+
+  // Parse --admin-port with its value
+  let adminPort = null;
+  const adminPortIndex = args.findIndex(arg => arg === '--admin-port');
+  if (adminPortIndex !== -1 && args[adminPortIndex + 1]) {
+    adminPort = parseInt(args[adminPortIndex + 1], 10);
+  }
+
+  // --compact, --no-headers, --target, --set <path>=<value>, ...
+  const { overrides, errors } = parseConfigOverrides(args);
+
   return {
     logGroup,
     port,
+    adminPort,
+    configOverrides: overrides,
+    overrideErrors: errors,
+    watch: !args.includes('--no-watch'),
+    replay,
+    replayTiming: args.includes('--replay-timing'),
+    noRedact: args.includes('--no-redact'),
     help: args.includes('--help') || args.includes('-h')
   };
 }
@@ -33,23 +81,88 @@ ${chalk.bold('Interceptor CLI - Proxy Server')}
 
 ${chalk.bold('Usage:')}
   node server.js [options]
+  node server.js <command> [args]
+
+${chalk.bold('Commands:')}
+  har export <name> [file]   Convert logs/<name> to a HAR 1.2 file
+  har import <file> <name>   Import a HAR file into logs/<name>
+  rebuild <name> [id|seq]    List saved requests, or print one as it was sent
+  stats <name> [--json|--csv]  Summarize requests, latency, tokens, errors and tool calls
 
 ${chalk.bold('Options:')}
-  --port, -p <port>      Override the port from config file
+  --port, -p <port>      Override the port from config file (single listener only)
   --log-group <name>     Save all requests/responses to logs/<name> directory
+                         (logs/<name>/<listener> when several listeners are configured)
+  --replay <name>        Serve recorded responses from logs/<name> without contacting target
+  --replay-timing        Re-emit recorded SSE streams with their original timing
+  --admin-port <port>    Serve the traffic dashboard and /metrics on this port (overrides admin.port)
+  --no-redact            Turn off redaction of credentials in console output and saved logs
+  --no-watch             Don't reload config file changes while running
+
+${chalk.bold('Config Overrides:')}
+  --target <url>         Forward to this target (single listener only)
+  --compact, --no-compact
+  --headers, --no-headers
+  --body, --no-body
+  --query, --no-query
+  --response, --no-response
+  --color-tag, --no-color-tag
+  --timeline, --no-timeline  Show tool calls and results under compact lines
+  --dedup-bodies, --no-dedup-bodies
+  --max-body-length <n>
+  --log-format <directory|jsonl>
+  --admin-host <host>
+  --upstream-proxy <url> Send requests to target through this HTTP(S) proxy
+  --retries <n>          Retry failed upstream requests up to n times
+  --openai, --no-openai  Accept OpenAI Chat Completions requests (see openai in config.yaml)
+  --budget <dollars>     Block requests once the session has cost this much (see guards in config.yaml)
+  --fault-seed <n>
+  --set <path>=<value>   Set any config key, e.g. --set logging.logRotation.maxEntries=500
   --help, -h             Show this help message
 
 ${chalk.bold('Environment Variables:')}
   CONFIG_FILE            Path to config file (default: config.yaml)
+  HTTPS_PROXY, HTTP_PROXY, NO_PROXY
+                         Outbound proxy for requests to target (upstream.proxy takes precedence)
 
 ${chalk.bold('Examples:')}
   node server.js --port 8000
   node server.js --log-group session1        # saves to logs/session1/
   npm run dev -- --port 8000 --log-group test  # saves to logs/test/
+  node server.js --replay session1           # answers from logs/session1/
+  node server.js --compact --no-headers      # config overrides for this run
   `);
 }
 
-function main() {
+function logCostSummary(costTracker) {
+  const summary = costTracker.getSummary();
+  Object.entries(summary.models).forEach(([model, totals]) => {
+    console.log(chalk.gray(`   ${model}: ${totals.requests} requests, in:${totals.input_tokens} out:${totals.output_tokens} ` +
+      `cached:${totals.cache_read_input_tokens} create:${totals.cache_creation_input_tokens} → ${formatCost(totals.cost)}`));
+  });
+  if (summary.total.requests > 0) {
+    console.log(chalk.green(`   Total: ${formatCost(summary.total.cost)}`));
+  }
+  if (summary.unpricedModels.length > 0) {
+    console.log(chalk.yellow(`   No price for: ${summary.unpricedModels.join(', ')} (add them under pricing in config.yaml)`));
+  }
+}
+
+async function runCommand(name, args) {
+  try {
+    process.exit(await COMMANDS[name].run(args));
+  } catch (error) {
+    console.error(chalk.red(`${name} failed:`, error.message));
+    process.exit(1);
+  }
+}
+
+async function main() {
+  const [command, ...commandArgs] = process.argv.slice(2);
+  if (COMMANDS[command]) {
+    return runCommand(command, commandArgs);
+  }
+
   const cliArgs = parseCliArgs();
 
   if (cliArgs.help) {
@@ -57,32 +170,122 @@ function main() {
     process.exit(0);
   }
 
-  const config = loadConfig();
+  if (cliArgs.overrideErrors.length > 0) {
+    cliArgs.overrideErrors.forEach(error => console.error(chalk.red(error)));
+    process.exit(1);
+  }
+
+  const config = loadConfig(cliArgs.configOverrides);
 
-  if (!config.port || !config.target) {
-    console.error(chalk.red('Missing required configuration: port and target must be specified in config file!'));
+  // Logging options from the command line also override each listener's own
+  const overriddenLogging = cliArgs.configOverrides
+    .filter(([path]) => path.startsWith('logging.'))
+    .map(([path]) => path.split('.')[1]);
+  cliArgs.loggingOverrides = Object.fromEntries(overriddenLogging.map(key => [key, config.logging[key]]));
+  cliArgs.target = cliArgs.configOverrides.some(([path]) => path === 'target');
+
+  const { listeners, errors } = resolveListeners(config, cliArgs);
+  if (errors.length > 0) {
+    console.error(chalk.red('Invalid configuration:'));
+    errors.forEach(error => console.error(chalk.red(`  - ${error}`)));
     process.exit(1);
   }
 
-  // Initialize request logger - log-group is always a subdirectory within logs/
-  const logDir = cliArgs.logGroup ? `logs/${cliArgs.logGroup}` : null;
-  const requestLogger = new RequestLogger(logDir);
+  const redactor = createRedactor(config.redaction, { enabled: !cliArgs.noRedact });
+  const rewriter = new Rewriter(config.rewrites || []);
+  const faultInjector = new FaultInjector(config.faults || {});
+  const openai = new ChatCompletionsFrontend(config.openai || {});
+  // Limits belong to the API key, so every listener shares one tracker
+  const rateLimits = new RateLimitTracker(config.rateLimits || {});
+  // The budget is for the whole session, across listeners
+  const guard = new Guard(config.guards || {});
+  const running = [];
 
-  // Override port from CLI if provided
-  const proxyConfig = {
-    port: cliArgs.port || config.port,
-    target: config.target
-  };
+  // Plugin paths are relative to the config file
+  let plugins;
+  try {
+    plugins = PluginHost.load(config.plugins || [], path.dirname(path.resolve(CONFIG_FILE)));
+  } catch (error) {
+    console.error(chalk.red(`Failed to load plugins: ${error.message}`));
+    process.exit(1);
+  }
+
+  // The dashboard is optional and shared by all listeners
+  const adminConfig = { ...(config.admin || {}) };
+  if (cliArgs.adminPort) {
+    adminConfig.port = cliArgs.adminPort;
+  }
+  const traffic = adminConfig.port ? new TrafficStore(adminConfig.maxEntries) : null;
+  const metrics = adminConfig.port ? new Metrics() : null;
 
   try {
-    const server = createProxyServer(proxyConfig, config.logging || {}, requestLogger);
+    // One set of keep-alive connections shared by all listeners
+    const upstream = new UpstreamClient(config.upstream || {});
+
+    for (const listener of listeners) {
+      // Each listener gets its own log group under logs/
+      const requestLogger = new RequestLogger(listener.logDir, {
+        redactor,
+        format: listener.logging.logFormat,
+        rotation: listener.logging.logRotation,
+        dedup: listener.logging.dedupBodies
+      });
+      const replayer = cliArgs.replay
+        ? await createReplayer(logGroupDir(cliArgs.replay, listener, listeners.length), { originalTiming: cliArgs.replayTiming, redactor })
+        : null;
+      const costTracker = new CostTracker(config.pricing);
+      const proxyConfig = {
+        ...listener,
+        replayer,
+        redactor,
+        rewriter,
+        faultInjector,
+        upstream,
+        openai,
+        plugins,
+        guard,
+        rateLimits,
+        costTracker,
+        traffic,
+        metrics,
+        showListenerName: listeners.length > 1
+      };
+      const server = createProxyServer(proxyConfig, listener.logging, requestLogger);
+      running.push({ listener, proxyConfig, server, requestLogger, costTracker });
+    }
 
-    process.on('SIGINT', () => {
+    const admin = traffic ? createAdminServer(adminConfig, traffic, metrics) : null;
+
+    // Logging options, rewrite rules and fault profiles change without a
+    // restart, so clients attached to the proxy keep their connections
+    const stopWatching = cliArgs.watch
+      ? watchConfig(cliArgs.configOverrides, createConfigReloader(config, cliArgs, running))
+      : null;
+    if (stopWatching) {
+      console.log(chalk.gray(`Watching ${CONFIG_FILE} for changes`));
+    }
+
+    process.on('SIGINT', async () => {
       console.log(chalk.yellow('\n\n👋 Shutting down proxy server...'));
-      if (requestLogger.enabled) {
-        console.log(chalk.green(`Saved ${requestLogger.getRequestCount()} requests to ${requestLogger.getLogDir()}`));
+      for (const { listener, server, requestLogger, costTracker } of running) {
+        const label = chalk.bold(`[${listener.name}] :${listener.port}`);
+        if (requestLogger.enabled) {
+          console.log(`${label} ${chalk.green(`Saved ${requestLogger.getRequestCount()} requests to ${requestLogger.getLogDir()}`)}`);
+          await requestLogger.writeSummary(costTracker.getSummary());
+        } else {
+          console.log(`${label} ${chalk.gray('Request logging disabled')}`);
+        }
+        logCostSummary(costTracker);
+        server.close();
+      }
+      if (admin) {
+        admin.server.close();
+      }
+      await plugins.shutdown();
+      upstream.close();
+      if (stopWatching) {
+        stopWatching();
       }
-      server.close();
       process.exit(0);
     });
   } catch (error) {
@@ -0,0 +1,108 @@
+const express = require('express');
+const path = require('path');
+const chalk = require('chalk');
+const { summarizeRecord, summarizeLogGroup, loadDetails } = require('./traffic');
+
+const LOGS_ROOT = path.resolve('logs');
+// Summaries of this many loaded log groups are kept, least recently opened dropped first
+const MAX_LOADED_GROUPS = 5;
+const DASHBOARD_FILE = path.join(__dirname, 'dashboard', 'index.html');
+
+// Local-only HTTP server for inspecting traffic and scraping metrics. Nothing here is forwarded to target.
+function createAdminServer(adminConfig, traffic, metrics) {
+  const app = express();
+  const host = adminConfig.host || '127.0.0.1';
+
+  // Summaries of log groups loaded for review, by name
+  const loadedGroups = new Map();
+
+  app.get('/', (req, res) => {
+    res.sendFile(DASHBOARD_FILE);
+  });
+
+  app.get('/api/requests', (req, res) => {
+    res.json(traffic.list());
+  });
+
+  app.get('/api/requests/:id', async (req, res) => {
+    try {
+      const record = await traffic.get(parseInt(req.params.id, 10));
+      if (!record) {
+        return res.status(404).json({ error: 'Not found' });
+      }
+      res.json(record);
+    } catch (error) {
+      res.status(500).json({ error: `Failed to read request: ${error.message}` });
+    }
+  });
+
+  // Live request list, one SSE event per completed exchange
+  app.get('/api/events', (req, res) => {
+    res.setHeader('content-type', 'text/event-stream');
+    res.setHeader('cache-control', 'no-cache');
+    res.flushHeaders();
+
+    const onExchange = (record) => {
+      res.write(`event: exchange\ndata: ${JSON.stringify(summarizeRecord(record))}\n\n`);
+    };
+    traffic.on('exchange', onExchange);
+    req.on('close', () => traffic.off('exchange', onExchange));
+  });
+
+  // Prometheus scrape target
+  app.get('/metrics', (req, res) => {
+    res.setHeader('content-type', 'text/plain; version=0.0.4; charset=utf-8');
+    res.send(metrics.render());
+  });
+
+  app.get('/api/groups', async (req, res) => {
+    const name = req.query.name;
+    const logDir = resolveGroupDir(name);
+    if (!logDir) {
+      return res.status(400).json({ error: `Invalid log group: ${name}` });
+    }
+
+    try {
+      const records = await summarizeLogGroup(logDir);
+      loadedGroups.delete(name);
+      loadedGroups.set(name, records);
+      if (loadedGroups.size > MAX_LOADED_GROUPS) {
+        loadedGroups.delete(loadedGroups.keys().next().value);
+      }
+      res.json(records.map(summarizeRecord));
+    } catch (error) {
+      res.status(404).json({ error: `Failed to load ${name}: ${error.message}` });
+    }
+  });
+
+  app.get('/api/groups/request', async (req, res) => {
+    const records = loadedGroups.get(req.query.name);
+    const record = records && records.find(candidate => candidate.id === parseInt(req.query.id, 10));
+    if (!record) {
+      return res.status(404).json({ error: 'Not found' });
+    }
+    try {
+      res.json(await loadDetails(record));
+    } catch (error) {
+      res.status(500).json({ error: `Failed to read request: ${error.message}` });
+    }
+  });
+
+  const server = app.listen(adminConfig.port, host, () => {
+    console.log(chalk.bold.white(`Dashboard started on http://${host}:${adminConfig.port}`));
+    console.log(chalk.gray(`   ↳ Prometheus metrics at: http://${host}:${adminConfig.port}/metrics`));
+  });
+
+  return { app, server };
+}
+
+// Log groups are always read from inside logs/
+function resolveGroupDir(name) {
+  if (!name) {
+    return null;
+  }
+  const dir = path.resolve(LOGS_ROOT, name);
+  return dir.startsWith(LOGS_ROOT + path.sep) ? dir : null;
+}
+
+module.exports = { createAdminServer };
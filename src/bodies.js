@@ -0,0 +1,166 @@
+const zlib = require('zlib');
+const { isUtf8 } = require('buffer');
+
+// Text fields of a multipart body up to this length are logged with their value
+const MAX_FIELD_LENGTH = 1000;
+
+const TEXT_TYPES = /^(text\/|application\/(json|[\w.+-]+\+json|xml|[\w.+-]+\+xml|javascript|x-www-form-urlencoded|x-ndjson)\b)/;
+
+const DECODERS = {
+  gzip: zlib.gunzipSync,
+  'x-gzip': zlib.gunzipSync,
+  deflate: zlib.inflateSync,
+  br: zlib.brotliDecompressSync
+};
+
+// Express middleware that keeps the request body as the bytes the client
+// sent, still compressed if it was, in req.body. Bodies over limit get a 413.
+function collectRawBody(limit) {
+  return (req, res, next) => {
+    const chunks = [];
+    let size = 0;
+    let done = false;
+    const finish = (error) => {
+      if (!done) {
+        done = true;
+        next(error);
+      }
+    };
+
+    // The rest of a body that is too large is read and dropped, so the
+    // client finishes sending and gets the 413
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > limit) {
+        const error = new Error(`Request body is larger than ${limit} bytes`);
+        error.status = 413;
+        chunks.length = 0;
+        finish(error);
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      req.body = Buffer.concat(chunks);
+      finish();
+    });
+    req.on('error', finish);
+  };
+}
+
+// Reads a request body for logging, rewrites and replay. The raw bytes are
+// forwarded untouched; this only works on a decoded copy. Returns json, the
+// parsed body when it is JSON, and display, what logs show for it: the JSON,
+// form fields, text, a summary of multipart parts or a note for binary data.
+function parseRequestBody(raw, headers = {}) {
+  if (!raw || raw.length === 0) {
+    return { json: null, display: null };
+  }
+
+  const contentType = String(headers['content-type'] || '').toLowerCase();
+  let body;
+  try {
+    body = decode(raw, headers['content-encoding']);
+  } catch (error) {
+    return { json: null, display: binarySummary(raw, contentType) };
+  }
+
+  if (contentType.startsWith('multipart/')) {
+    return { json: null, display: summarizeMultipart(body, headers['content-type']) };
+  }
+  if (isBinary(body, contentType)) {
+    return { json: null, display: binarySummary(body, contentType) };
+  }
+
+  const text = body.toString('utf8');
+  if (contentType.startsWith('application/x-www-form-urlencoded')) {
+    return { json: null, display: Object.fromEntries(new URLSearchParams(text)) };
+  }
+  try {
+    const json = JSON.parse(text);
+    return { json, display: json };
+  } catch (error) {
+    return { json: null, display: text };
+  }
+}
+
+// Bodies with a text content type are never binary; anything else is
+// binary unless it is valid UTF-8 without NUL bytes
+function isBinary(buffer, contentType = '') {
+  if (buffer.length === 0 || TEXT_TYPES.test(contentType.toLowerCase())) {
+    return false;
+  }
+  return !isUtf8(buffer) || buffer.includes(0);
+}
+
+function decode(raw, contentEncoding) {
+  return String(contentEncoding || '')
+    .split(',')
+    .map(encoding => encoding.trim().toLowerCase())
+    .filter(encoding => encoding && encoding !== 'identity')
+    .reverse()
+    .reduce((body, encoding) => {
+      if (!DECODERS[encoding]) {
+        throw new Error(`Unsupported content-encoding ${encoding}`);
+      }
+      return DECODERS[encoding](body);
+    }, raw);
+}
+
+function binarySummary(buffer, contentType) {
+  return { binary: true, contentType: contentType || null, size: buffer.length };
+}
+
+// Each part's name, filename, type and size; file contents are left out
+function summarizeMultipart(body, contentType) {
+  const boundary = /boundary=(?:"([^"]+)"|([^;\s]+))/i.exec(contentType || '');
+  const summary = { multipart: true, size: body.length, parts: [] };
+  if (!boundary) {
+    return summary;
+  }
+
+  const delimiter = Buffer.from(`--${boundary[1] || boundary[2]}`);
+  let start = body.indexOf(delimiter);
+  while (start !== -1) {
+    const next = body.indexOf(delimiter, start + delimiter.length);
+    if (next === -1) {
+      break;
+    }
+    // A part is CRLF, headers, a blank line, the content and a CRLF before the next delimiter
+    const part = body.subarray(start + delimiter.length + 2, next - 2);
+    const headerEnd = part.indexOf('\r\n\r\n');
+    if (headerEnd !== -1) {
+      summary.parts.push(describePart(part.subarray(0, headerEnd).toString('utf8'), part.subarray(headerEnd + 4)));
+    }
+    start = next;
+  }
+  return summary;
+}
+
+function describePart(headerText, content) {
+  const headers = {};
+  headerText.split('\r\n').forEach(line => {
+    const colon = line.indexOf(':');
+    if (colon > 0) {
+      headers[line.slice(0, colon).trim().toLowerCase()] = line.slice(colon + 1).trim();
+    }
+  });
+
+  const disposition = headers['content-disposition'] || '';
+  const name = /\bname="([^"]*)"/i.exec(disposition);
+  const filename = /\bfilename="([^"]*)"/i.exec(disposition);
+  const part = { name: name ? name[1] : null };
+  if (filename) {
+    part.filename = filename[1];
+  }
+  if (headers['content-type']) {
+    part.contentType = headers['content-type'];
+  }
+  part.size = content.length;
+  if (!filename && content.length <= MAX_FIELD_LENGTH && !isBinary(content, part.contentType)) {
+    part.value = content.toString('utf8');
+  }
+  return part;
+}
+
+module.exports = { collectRawBody, parseRequestBody, isBinary };
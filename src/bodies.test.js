@@ -0,0 +1,103 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const zlib = require('zlib');
+const { EventEmitter } = require('events');
+const { collectRawBody, parseRequestBody, isBinary } = require('./bodies');
+
+const JSON_HEADERS = { 'content-type': 'application/json' };
+
+function multipart(boundary, parts) {
+  const body = parts.map(({ headers, content }) => `--${boundary}\r\n${headers.join('\r\n')}\r\n\r\n${content}\r\n`).join('');
+  return Buffer.from(`${body}--${boundary}--\r\n`, 'latin1');
+}
+
+// Runs the middleware on a fake request and resolves with next's argument
+function collect(limit, chunks) {
+  const req = new EventEmitter();
+  const done = new Promise(resolve => collectRawBody(limit)(req, {}, resolve));
+  chunks.forEach(chunk => req.emit('data', Buffer.from(chunk)));
+  req.emit('end');
+  return done.then(error => ({ req, error }));
+}
+
+test('empty bodies have nothing to show', () => {
+  assert.deepEqual(parseRequestBody(null), { json: null, display: null });
+  assert.deepEqual(parseRequestBody(Buffer.alloc(0), JSON_HEADERS), { json: null, display: null });
+});
+
+test('JSON bodies are parsed, compressed or not', () => {
+  const body = { model: 'claude-sonnet-4-5', messages: [] };
+  const raw = Buffer.from(JSON.stringify(body));
+
+  assert.deepEqual(parseRequestBody(raw, JSON_HEADERS), { json: body, display: body });
+  assert.deepEqual(parseRequestBody(zlib.gzipSync(raw), { ...JSON_HEADERS, 'content-encoding': 'gzip' }).json, body);
+  assert.deepEqual(parseRequestBody(zlib.gzipSync(zlib.deflateSync(raw)), { ...JSON_HEADERS, 'content-encoding': 'deflate, gzip' }).json, body);
+});
+
+test('forms and text are shown as they are', () => {
+  assert.deepEqual(parseRequestBody(Buffer.from('a=1&b=two+words'), { 'content-type': 'application/x-www-form-urlencoded' }), {
+    json: null,
+    display: { a: '1', b: 'two words' }
+  });
+  assert.deepEqual(parseRequestBody(Buffer.from('{not json'), JSON_HEADERS), { json: null, display: '{not json' });
+  assert.deepEqual(parseRequestBody(Buffer.from('hello'), {}), { json: null, display: 'hello' });
+});
+
+test('binary and undecodable bodies are summarized', () => {
+  assert.deepEqual(parseRequestBody(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x00, 0xff]), { 'content-type': 'image/png' }), {
+    json: null,
+    display: { binary: true, contentType: 'image/png', size: 6 }
+  });
+  assert.deepEqual(parseRequestBody(Buffer.from('not gzip'), { ...JSON_HEADERS, 'content-encoding': 'gzip' }).display, {
+    binary: true,
+    contentType: 'application/json',
+    size: 8
+  });
+  assert.deepEqual(parseRequestBody(Buffer.from('{}'), { 'content-encoding': 'zstd' }).display, { binary: true, contentType: null, size: 2 });
+});
+
+test('multipart bodies list their parts, with the values of short text fields', () => {
+  const raw = multipart('XyZ', [
+    { headers: ['Content-Disposition: form-data; name="purpose"'], content: 'batch' },
+    { headers: ['Content-Disposition: form-data; name="file"; filename="a.jsonl"', 'Content-Type: application/jsonl'], content: '{"a":1}' },
+    { headers: ['Content-Disposition: form-data; name="blob"', 'Content-Type: application/octet-stream'], content: '\x00\xff' }
+  ]);
+  const { json, display } = parseRequestBody(raw, { 'content-type': 'multipart/form-data; boundary="XyZ"' });
+
+  assert.equal(json, null);
+  assert.deepEqual(display, {
+    multipart: true,
+    size: raw.length,
+    parts: [
+      { name: 'purpose', size: 5, value: 'batch' },
+      { name: 'file', filename: 'a.jsonl', contentType: 'application/jsonl', size: 7 },
+      { name: 'blob', contentType: 'application/octet-stream', size: 2 }
+    ]
+  });
+});
+
+test('multipart bodies without a boundary only give their size', () => {
+  assert.deepEqual(parseRequestBody(Buffer.from('--x\r\n'), { 'content-type': 'multipart/form-data' }).display, {
+    multipart: true,
+    size: 5,
+    parts: []
+  });
+});
+
+test('isBinary trusts text content types and checks the rest', () => {
+  assert.equal(isBinary(Buffer.from([0xff]), 'application/vnd.api+json'), false);
+  assert.equal(isBinary(Buffer.from('plain'), 'application/octet-stream'), false);
+  assert.equal(isBinary(Buffer.from('a\x00b'), ''), true);
+  assert.equal(isBinary(Buffer.from([0xc3, 0x28])), true);
+  assert.equal(isBinary(Buffer.alloc(0), 'image/png'), false);
+});
+
+test('collectRawBody keeps the bytes and rejects bodies over the limit', async () => {
+  const { req, error } = await collect(10, ['abc', 'def']);
+  assert.equal(error, undefined);
+  assert.equal(req.body.toString(), 'abcdef');
+
+  const tooLarge = await collect(4, ['abc', 'def']);
+  assert.equal(tooLarge.error.status, 413);
+  assert.equal(tooLarge.error.message, 'Request body is larger than 4 bytes');
+});
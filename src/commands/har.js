@@ -0,0 +1,270 @@
+const fs = require('fs');
+const path = require('path');
+const chalk = require('chalk');
+const { readLogGroup, isBodyFile, readBodyFile } = require('../log-reader');
+const { RequestLogger } = require('../request-logger');
+const { parseSSE, reconstructStream, messageToSSE, isSSEResponse } = require('../sse-parser');
+const { isBinary } = require('../bodies');
+const packageJson = require('../../package.json');
+
+const DEFAULT_BASE_URL = 'https://api.anthropic.com';
+
+function usage() {
+  console.log(`
+${chalk.bold('Usage:')}
+  node server.js har export <log-group> [output.har] [--base-url <url>]
+  node server.js har import <input.har> <log-group>
+
+${chalk.bold('Notes:')}
+  export writes logs/<log-group>.har unless an output path is given. Saved
+  requests only keep their path, so --base-url (default ${DEFAULT_BASE_URL})
+  is used to build absolute URLs.
+  `);
+}
+
+async function run(args) {
+  const [action, ...rest] = args;
+
+  const baseUrlIndex = rest.indexOf('--base-url');
+  let baseUrl = DEFAULT_BASE_URL;
+  if (baseUrlIndex !== -1) {
+    baseUrl = rest[baseUrlIndex + 1];
+    rest.splice(baseUrlIndex, 2);
+  }
+
+  if (action === 'export' && rest[0]) {
+    const output = rest[1] || `logs/${rest[0]}.har`;
+    const har = await exportHar(`logs/${rest[0]}`, baseUrl);
+    await fs.promises.mkdir(path.dirname(path.resolve(output)), { recursive: true });
+    await fs.promises.writeFile(output, JSON.stringify(har, null, 2), 'utf8');
+    console.log(chalk.green(`✓ Exported ${har.log.entries.length} requests to ${path.resolve(output)}`));
+    return 0;
+  }
+
+  if (action === 'import' && rest[0] && rest[1]) {
+    const har = JSON.parse(await fs.promises.readFile(rest[0], 'utf8'));
+    const { imported, skipped } = await importHar(har, `logs/${rest[1]}`);
+    console.log(chalk.green(`✓ Imported ${imported} requests into logs/${rest[1]}`));
+    skipped.forEach(({ index, reason }) => console.log(chalk.yellow(`  Skipped entry ${index}: ${reason}`)));
+    return skipped.length > 0 && imported === 0 ? 1 : 0;
+  }
+
+  usage();
+  return 1;
+}
+
+async function exportHar(logDir, baseUrl) {
+  const exchanges = await readLogGroup(logDir);
+  for (const exchange of exchanges) {
+    if (isBodyFile(exchange.response.data)) {
+      exchange.binaryBody = await readBodyFile(logDir, exchange.response.data);
+    }
+  }
+
+  return {
+    log: {
+      version: '1.2',
+      creator: { name: packageJson.name, version: packageJson.version },
+      pages: [],
+      entries: exchanges.map(exchange => toHarEntry(exchange, baseUrl))
+    }
+  };
+}
+
+function toHarEntry(exchange, baseUrl) {
+  const { request, response } = exchange;
+  const requestText = request.body === null || request.body === undefined
+    ? null
+    : typeof request.body === 'string' ? request.body : JSON.stringify(request.body);
+  // Binary bodies are base64-encoded, as HAR allows
+  const responseText = exchange.binaryBody ? exchange.binaryBody.toString('base64') : responseBodyText(response);
+  const responseSize = exchange.binaryBody ? exchange.binaryBody.length : Buffer.byteLength(responseText);
+  const duration = response.duration || 0;
+  // Time to first token is the closest thing we have to the server's wait time
+  const wait = response.ttft ?? duration;
+
+  const entry = {
+    startedDateTime: exchange.timestamp || new Date(0).toISOString(),
+    time: duration,
+    request: {
+      method: request.method,
+      url: new URL(request.url, baseUrl).toString(),
+      httpVersion: 'HTTP/1.1',
+      cookies: [],
+      headers: toHarHeaders(request.headers),
+      queryString: Object.entries(request.query || {}).map(([name, value]) => ({ name, value: String(value) })),
+      headersSize: -1,
+      bodySize: requestText === null ? 0 : Buffer.byteLength(requestText)
+    },
+    response: {
+      status: response.status,
+      statusText: response.statusText || '',
+      httpVersion: 'HTTP/1.1',
+      cookies: [],
+      headers: toHarHeaders(response.headers),
+      content: {
+        size: responseSize,
+        mimeType: (response.headers || {})['content-type'] || 'application/octet-stream',
+        text: responseText,
+        ...(exchange.binaryBody ? { encoding: 'base64' } : {})
+      },
+      redirectURL: '',
+      headersSize: -1,
+      bodySize: responseSize
+    },
+    cache: {},
+    timings: { send: 0, wait, receive: Math.max(0, duration - wait) },
+    _interceptor: {
+      source: exchange.id,
+      modelKey: request.modelKey || null,
+      threadId: request.threadId || null,
+      ttft: response.ttft ?? null,
+      cost: response.cost ?? null
+    }
+  };
+
+  if (requestText !== null) {
+    entry.request.postData = {
+      mimeType: (request.headers || {})['content-type'] || 'application/json',
+      text: requestText
+    };
+  }
+
+  return entry;
+}
+
+// SSE bodies are exported as the event stream text, as a browser would show it
+function responseBodyText(response) {
+  if (isSSEResponse(response.headers || {})) {
+    if (Array.isArray(response.sseEvents)) {
+      return response.sseEvents.map(event => `${event.text}\n\n`).join('');
+    }
+    if (response.data && typeof response.data === 'object') {
+      return messageToSSE(response.data).map(text => `${text}\n\n`).join('');
+    }
+  }
+  if (response.data === null || response.data === undefined) {
+    return '';
+  }
+  return typeof response.data === 'string' ? response.data : JSON.stringify(response.data);
+}
+
+function toHarHeaders(headers) {
+  const result = [];
+  Object.entries(headers || {}).forEach(([name, value]) => {
+    (Array.isArray(value) ? value : [value]).forEach(item => result.push({ name, value: String(item) }));
+  });
+  return result;
+}
+
+function fromHarHeaders(headers) {
+  const result = {};
+  (headers || []).forEach(({ name, value }) => {
+    // HTTP/2 pseudo-headers like :authority aren't real request headers
+    if (name.startsWith(':')) return;
+    result[name.toLowerCase()] = value;
+  });
+  return result;
+}
+
+async function importHar(har, logDir) {
+  const entries = har?.log?.entries;
+  if (!Array.isArray(entries)) {
+    throw new Error('Not a HAR file: missing log.entries');
+  }
+
+  // Entries that can't be read or saved are skipped with the reason
+  const requestLogger = new RequestLogger(logDir);
+  let imported = 0;
+  const skipped = [];
+  for (const [index, entry] of entries.entries()) {
+    const savedAt = new Date(entry?.startedDateTime);
+    if (Number.isNaN(savedAt.getTime())) {
+      skipped.push({ index, reason: `invalid startedDateTime ${JSON.stringify(entry?.startedDateTime)}` });
+      continue;
+    }
+
+    let exchange;
+    try {
+      exchange = fromHarEntry(entry);
+    } catch (error) {
+      skipped.push({ index, reason: error.message });
+      continue;
+    }
+
+    const seq = await requestLogger.saveRequest(exchange.requestData, exchange.responseData, { savedAt });
+    if (seq === null) {
+      skipped.push({ index, reason: 'could not be saved' });
+    } else {
+      imported++;
+    }
+  }
+  return { imported, skipped };
+}
+
+function fromHarEntry(entry) {
+  if (!entry.request || !entry.response) {
+    throw new Error('missing request or response');
+  }
+  const url = new URL(entry.request.url);
+  const requestHeaders = fromHarHeaders(entry.request.headers);
+  const responseHeaders = fromHarHeaders(entry.response.headers);
+
+  let body = entry.request.postData ? entry.request.postData.text : null;
+  try {
+    body = body ? JSON.parse(body) : body;
+  } catch (e) {
+    // Not JSON, keep as text
+  }
+
+  const query = {};
+  (entry.request.queryString || []).forEach(({ name, value }) => {
+    query[name] = value;
+  });
+
+  const content = entry.response.content || {};
+  const bytes = Buffer.from(content.text || '', content.encoding === 'base64' ? 'base64' : 'utf8');
+  const text = bytes.toString('utf8');
+
+  const responseData = {
+    status: entry.response.status,
+    statusText: entry.response.statusText,
+    headers: responseHeaders,
+    data: text,
+    duration: Math.round(entry.time || 0)
+  };
+
+  if (isSSEResponse(responseHeaders)) {
+    const { message, error, issues } = reconstructStream(parseSSE(text));
+    responseData.data = message || (error ? { type: 'error', error } : text);
+    responseData.streamError = error;
+    responseData.streamIssues = issues;
+    responseData.sseEvents = text.split(/\r?\n\r?\n/)
+      .filter(block => block.trim())
+      .map(block => ({ offset: 0, text: block }));
+    responseData.ttft = entry.timings && entry.timings.wait >= 0 ? Math.round(entry.timings.wait) : null;
+  } else if (isBinary(bytes, responseHeaders['content-type'] || '')) {
+    responseData.data = { binary: true, contentType: responseHeaders['content-type'] || null, size: bytes.length };
+    responseData.binaryBody = bytes;
+  } else {
+    try {
+      responseData.data = JSON.parse(text);
+    } catch (e) {
+      // Not JSON, keep as text
+    }
+  }
+
+  return {
+    requestData: {
+      method: entry.request.method,
+      url: `${url.pathname}${url.search}`,
+      headers: requestHeaders,
+      query,
+      body,
+      modelKey: body && typeof body === 'object' ? body.model || null : null
+    },
+    responseData
+  };
+}
+
+module.exports = { run, exportHar, importHar };
@@ -0,0 +1,114 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { exportHar, importHar } = require('./har');
+const { RequestLogger } = require('../request-logger');
+const { readLogGroup, readBodyFile } = require('../log-reader');
+
+const PNG = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0x00, 0xff, 0x00]);
+const SSE_TEXT = 'event: message_start\ndata: {"type":"message_start","message":{"id":"msg_2","type":"message","role":"assistant","model":"claude-sonnet-4-5","content":[],"usage":{"input_tokens":3}}}\n\n' +
+  'event: message_stop\ndata: {"type":"message_stop"}\n\n';
+
+function tempDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'har-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+async function writeLogGroup(dir) {
+  const logger = new RequestLogger(dir);
+  const body = { model: 'claude-sonnet-4-5', max_tokens: 10, messages: [{ role: 'user', content: 'hi' }] };
+  await logger.saveRequest(
+    { method: 'POST', url: '/v1/messages?beta=true', headers: { 'content-type': 'application/json' }, query: { beta: 'true' }, body, modelKey: body.model },
+    { status: 200, statusText: 'OK', headers: { 'content-type': 'application/json' }, data: { id: 'msg_1', type: 'message', content: [] }, duration: 120 },
+    { savedAt: new Date('2026-01-02T03:04:05.000Z') }
+  );
+  await logger.saveRequest(
+    { method: 'POST', url: '/v1/messages', headers: { 'content-type': 'application/json' }, query: {}, body: { ...body, stream: true }, modelKey: body.model },
+    { status: 200, statusText: 'OK', headers: { 'content-type': 'text/event-stream' }, data: {}, duration: 300, ttft: 40, sseEvents: SSE_TEXT.trim().split('\n\n').map(text => ({ offset: 40, text })) },
+    { savedAt: new Date('2026-01-02T03:04:06.000Z') }
+  );
+  await logger.saveRequest(
+    { method: 'GET', url: '/v1/files/file_abc/content', headers: {}, query: {}, body: null },
+    { status: 200, statusText: 'OK', headers: { 'content-type': 'image/png' }, data: null, binaryBody: PNG, duration: 15 },
+    { savedAt: new Date('2026-01-02T03:04:07.000Z') }
+  );
+}
+
+test('exportHar writes absolute URLs, request bodies, event streams and base64 binary bodies', async (t) => {
+  const dir = tempDir(t);
+  await writeLogGroup(dir);
+
+  const har = await exportHar(dir, 'https://gateway.example');
+  const [json, stream, binary] = har.log.entries;
+
+  assert.equal(har.log.version, '1.2');
+  assert.equal(json.startedDateTime, '2026-01-02T03:04:05.000Z');
+  assert.equal(json.request.url, 'https://gateway.example/v1/messages?beta=true');
+  assert.deepEqual(json.request.queryString, [{ name: 'beta', value: 'true' }]);
+  assert.equal(JSON.parse(json.request.postData.text).model, 'claude-sonnet-4-5');
+  assert.equal(JSON.parse(json.response.content.text).id, 'msg_1');
+
+  assert.equal(stream.response.content.text, SSE_TEXT);
+  assert.deepEqual(stream.timings, { send: 0, wait: 40, receive: 260 });
+
+  assert.equal(binary.response.content.encoding, 'base64');
+  assert.deepEqual(Buffer.from(binary.response.content.text, 'base64'), PNG);
+  assert.equal(binary.response.content.size, PNG.length);
+});
+
+test('importHar restores what exportHar wrote', async (t) => {
+  const source = tempDir(t);
+  const target = tempDir(t);
+  await writeLogGroup(source);
+
+  const result = await importHar(await exportHar(source, 'https://api.anthropic.com'), target);
+  assert.deepEqual(result, { imported: 3, skipped: [] });
+
+  const [json, stream, binary] = await readLogGroup(target);
+  assert.equal(json.timestamp, '2026-01-02T03:04:05.000Z');
+  assert.equal(json.request.url, '/v1/messages?beta=true');
+  assert.equal(json.request.body.messages[0].content, 'hi');
+  assert.equal(json.response.data.id, 'msg_1');
+  assert.equal(json.response.duration, 120);
+
+  assert.equal(stream.response.data.id, 'msg_2');
+  assert.equal(stream.response.ttft, 40);
+  assert.equal(stream.response.sseEvents.length, 2);
+
+  assert.deepEqual(await readBodyFile(target, binary.response.data), PNG);
+});
+
+test('importHar skips entries it cannot read and says why', async (t) => {
+  const dir = tempDir(t);
+  const entry = {
+    startedDateTime: '2026-01-02T03:04:05.000Z',
+    time: 10,
+    request: { method: 'GET', url: 'https://api.anthropic.com/v1/models', headers: [] },
+    response: { status: 200, statusText: 'OK', headers: [{ name: 'Content-Type', value: 'application/json' }], content: { text: '{"data":[]}' } }
+  };
+  const har = {
+    log: {
+      entries: [
+        entry,
+        { ...entry, startedDateTime: 'yesterday' },
+        { startedDateTime: entry.startedDateTime },
+        { ...entry, request: { ...entry.request, url: 'not a url' } }
+      ]
+    }
+  };
+
+  const { imported, skipped } = await importHar(har, dir);
+
+  assert.equal(imported, 1);
+  assert.deepEqual(skipped.map(({ index }) => index), [1, 2, 3]);
+  assert.match(skipped[0].reason, /invalid startedDateTime "yesterday"/);
+  assert.equal(skipped[1].reason, 'missing request or response');
+  assert.equal((await readLogGroup(dir)).length, 1);
+});
+
+test('importHar rejects files without log.entries', async (t) => {
+  await assert.rejects(importHar({ entries: [] }, tempDir(t)), /Not a HAR file/);
+});
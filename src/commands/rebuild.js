@@ -0,0 +1,65 @@
+const fs = require('fs');
+const path = require('path');
+const chalk = require('chalk');
+const { readLogGroup } = require('../log-reader');
+const { requestBytes } = require('../object-store');
+
+function usage() {
+  console.log(`
+${chalk.bold('Usage:')}
+  node server.js rebuild <log-group>                       List saved requests
+  node server.js rebuild <log-group> <id|seq> [output]     Print a request body as it was sent
+  node server.js rebuild <log-group> <id|seq> --full       Print the whole saved request
+
+${chalk.bold('Notes:')}
+  Bodies saved with logging.dedupBodies are reassembled from logs/<log-group>/objects,
+  byte for byte unless redaction changed them.
+  `);
+}
+
+async function run(args) {
+  const full = args.includes('--full');
+  const [group, id, output] = args.filter(arg => arg !== '--full');
+
+  if (!group) {
+    usage();
+    return 1;
+  }
+
+  const exchanges = await readLogGroup(`logs/${group}`);
+
+  if (!id) {
+    exchanges.forEach(exchange => {
+      const { request } = exchange;
+      console.log(`${chalk.gray(exchange.seq ?? '-')} ${exchange.id} ${request.method} ${request.url}${request.modelKey ? chalk.cyan(` [${request.modelKey}]`) : ''}`);
+    });
+    return 0;
+  }
+
+  const exchange = exchanges.find(candidate => candidate.id === id || String(candidate.seq) === id);
+  if (!exchange) {
+    console.error(chalk.red(`No request ${id} in logs/${group}`));
+    return 1;
+  }
+
+  let bytes;
+  if (full) {
+    bytes = Buffer.from(`${JSON.stringify(exchange.request, null, 2)}\n`, 'utf8');
+  } else {
+    const rebuilt = await requestBytes(`logs/${group}`, exchange.request);
+    if (rebuilt.exact === false) {
+      console.error(chalk.yellow(`⚠ ${exchange.id} was redacted when it was saved, so its body differs from what was sent`));
+    }
+    bytes = rebuilt.bytes;
+  }
+
+  if (output) {
+    await fs.promises.writeFile(output, bytes);
+    console.log(chalk.green(`✓ Wrote ${exchange.id} to ${path.resolve(output)}`));
+  } else {
+    process.stdout.write(bytes);
+  }
+  return 0;
+}
+
+module.exports = { run };
@@ -0,0 +1,278 @@
+const fs = require('fs');
+const path = require('path');
+const chalk = require('chalk');
+const { readLogGroup } = require('../log-reader');
+
+const DEFAULT_BUCKET_MINUTES = 10;
+const PERCENTILES = [50, 90, 95, 99];
+
+function usage() {
+  console.log(`
+${chalk.bold('Usage:')}
+  node server.js stats <log-group> [--json | --csv] [--bucket <minutes>] [--output <file>]
+
+${chalk.bold('Notes:')}
+  Prints request counts, latency percentiles, token usage and cache hit ratio over
+  time, statuses and errors, and tool calls for logs/<log-group>. --json and --csv
+  write the same numbers for other tools; the CSV has one section,key,metric,value row
+  per number. Time buckets are ${DEFAULT_BUCKET_MINUTES} minutes unless --bucket is given.
+  `);
+}
+
+async function run(args) {
+  const options = { format: 'table', bucketMinutes: DEFAULT_BUCKET_MINUTES, output: null };
+  const positional = [];
+
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--json') options.format = 'json';
+    else if (args[i] === '--csv') options.format = 'csv';
+    else if (args[i] === '--bucket') options.bucketMinutes = Number(args[++i]);
+    else if (args[i] === '--output') options.output = args[++i];
+    else positional.push(args[i]);
+  }
+
+  if (!positional[0] || !(options.bucketMinutes > 0)) {
+    usage();
+    return 1;
+  }
+
+  const stats = computeStats(await readLogGroup(`logs/${positional[0]}`), options.bucketMinutes);
+  stats.logGroup = positional[0];
+
+  const text = options.format === 'json'
+    ? JSON.stringify(stats, null, 2)
+    : options.format === 'csv' ? toCsv(stats) : formatReport(stats);
+
+  if (options.output) {
+    await fs.promises.writeFile(options.output, `${text}\n`, 'utf8');
+    console.log(chalk.green(`✓ Wrote stats for ${stats.requests} requests to ${path.resolve(options.output)}`));
+  } else {
+    console.log(text);
+  }
+  return 0;
+}
+
+function computeStats(exchanges, bucketMinutes) {
+  const byModel = {};
+  const byEndpoint = {};
+  const byStatus = {};
+  const errors = {};
+  const tools = {};
+  const durations = [];
+  const ttfts = [];
+  const tokens = emptyTokens();
+  const buckets = new Map();
+  const bucketMs = bucketMinutes * 60 * 1000;
+
+  exchanges.forEach(({ timestamp, request, response }) => {
+    const model = request.modelKey || '(none)';
+    const endpoint = `${request.method} ${String(request.url || '').split('?')[0]}`;
+    increment(byModel, model);
+    increment(byEndpoint, endpoint);
+    increment(byStatus, String(response.status));
+
+    if (typeof response.duration === 'number' && !response.error) {
+      durations.push(response.duration);
+    }
+    if (typeof response.ttft === 'number') {
+      ttfts.push(response.ttft);
+    }
+
+    const errorType = describeError(response);
+    if (errorType) {
+      increment(errors, errorType);
+    }
+
+    const data = response.data && typeof response.data === 'object' ? response.data : null;
+    // Only the calls made in this response; earlier ones are repeated in every request's history
+    if (data && Array.isArray(data.content)) {
+      data.content
+        .filter(block => block.type === 'tool_use')
+        .forEach(block => increment(tools, block.name));
+    }
+
+    const usage = data && data.usage;
+    if (usage) {
+      addUsage(tokens, usage);
+      if (timestamp) {
+        const start = Math.floor(Date.parse(timestamp) / bucketMs) * bucketMs;
+        if (!buckets.has(start)) {
+          buckets.set(start, { start: new Date(start).toISOString(), requests: 0, ...emptyTokens() });
+        }
+        const bucket = buckets.get(start);
+        bucket.requests++;
+        addUsage(bucket, usage);
+      }
+    }
+  });
+
+  const timestamps = exchanges.map(exchange => exchange.timestamp).filter(Boolean).sort();
+
+  return {
+    requests: exchanges.length,
+    firstRequest: timestamps[0] || null,
+    lastRequest: timestamps[timestamps.length - 1] || null,
+    byModel: sortCounts(byModel),
+    byEndpoint: sortCounts(byEndpoint),
+    latency: { duration: summarize(durations), ttft: summarize(ttfts) },
+    tokens: { ...tokens, cacheHitRatio: cacheHitRatio(tokens) },
+    overTime: {
+      bucketMinutes,
+      buckets: [...buckets.values()]
+        .sort((a, b) => a.start.localeCompare(b.start))
+        .map(bucket => ({ ...bucket, cacheHitRatio: cacheHitRatio(bucket) }))
+    },
+    byStatus: sortCounts(byStatus),
+    errors: sortCounts(errors),
+    tools: sortCounts(tools)
+  };
+}
+
+function emptyTokens() {
+  return { input: 0, output: 0, cacheRead: 0, cacheCreation: 0 };
+}
+
+function addUsage(totals, usage) {
+  totals.input += usage.input_tokens || 0;
+  totals.output += usage.output_tokens || 0;
+  totals.cacheRead += usage.cache_read_input_tokens || 0;
+  totals.cacheCreation += usage.cache_creation_input_tokens || 0;
+}
+
+// Share of prompt tokens that were read from the prompt cache
+function cacheHitRatio(totals) {
+  const prompt = totals.input + totals.cacheRead + totals.cacheCreation;
+  return prompt > 0 ? round(totals.cacheRead / prompt, 4) : null;
+}
+
+function describeError(response) {
+  // Injected latency delays a request without failing it
+  if (response.fault && response.fault.type !== 'latency') return `fault:${response.fault.type}`;
+  if (response.error) return `proxy:${response.error}`;
+  if (response.streamError) return response.streamError.type || 'stream_error';
+  const data = response.data;
+  if (data && typeof data === 'object' && data.type === 'error') {
+    return (data.error && data.error.type) || 'error';
+  }
+  if (response.status >= 400) return `http:${response.status}`;
+  return null;
+}
+
+function summarize(values) {
+  if (values.length === 0) {
+    return null;
+  }
+  const sorted = [...values].sort((a, b) => a - b);
+  const summary = { count: sorted.length, mean: round(sorted.reduce((sum, value) => sum + value, 0) / sorted.length, 1) };
+  PERCENTILES.forEach(p => {
+    summary[`p${p}`] = percentile(sorted, p);
+  });
+  summary.max = sorted[sorted.length - 1];
+  return summary;
+}
+
+// Nearest-rank percentile
+function percentile(sorted, p) {
+  return sorted[Math.max(0, Math.ceil(p / 100 * sorted.length) - 1)];
+}
+
+function increment(counts, key) {
+  counts[key] = (counts[key] || 0) + 1;
+}
+
+function sortCounts(counts) {
+  return Object.fromEntries(Object.entries(counts).sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0])));
+}
+
+function round(value, digits) {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+function formatPercent(ratio) {
+  return ratio === null ? '-' : `${(ratio * 100).toFixed(1)}%`;
+}
+
+function formatTable(headers, rows) {
+  const widths = headers.map((header, index) => Math.max(header.length, ...rows.map(row => String(row[index]).length)));
+  const line = cells => cells.map((cell, index) => {
+    const text = String(cell);
+    // Numbers are right-aligned
+    return index > 0 && /^[\d.,%$-]+$/.test(text) ? text.padStart(widths[index]) : text.padEnd(widths[index]);
+  }).join('  ');
+  return [chalk.bold(line(headers)), ...rows.map(line)].map(text => `  ${text}`).join('\n');
+}
+
+function formatReport(stats) {
+  const sections = [];
+  const title = (text) => `\n${chalk.bold.cyan(text)}`;
+  const countRows = (counts) => Object.entries(counts).map(([key, count]) => [key, count, formatPercent(count / stats.requests)]);
+
+  sections.push(chalk.bold(`Log group ${stats.logGroup}: ${stats.requests} requests`) +
+    (stats.firstRequest ? chalk.gray(` (${stats.firstRequest} → ${stats.lastRequest})`) : ''));
+
+  sections.push(title('Requests by model'), formatTable(['Model', 'Requests', 'Share'], countRows(stats.byModel)));
+  sections.push(title('Requests by endpoint'), formatTable(['Endpoint', 'Requests', 'Share'], countRows(stats.byEndpoint)));
+
+  const latencyRows = Object.entries(stats.latency)
+    .filter(([, summary]) => summary)
+    .map(([name, summary]) => [name, summary.count, summary.mean, ...PERCENTILES.map(p => summary[`p${p}`]), summary.max]);
+  sections.push(title('Latency (ms)'), formatTable(['', 'Count', 'Mean', ...PERCENTILES.map(p => `p${p}`), 'Max'], latencyRows));
+
+  const { tokens } = stats;
+  sections.push(title('Tokens'), formatTable(
+    ['Input', 'Output', 'Cache read', 'Cache write', 'Cache hit'],
+    [[tokens.input, tokens.output, tokens.cacheRead, tokens.cacheCreation, formatPercent(tokens.cacheHitRatio)]]
+  ));
+
+  if (stats.overTime.buckets.length > 0) {
+    sections.push(title(`Tokens over time (${stats.overTime.bucketMinutes} min buckets)`), formatTable(
+      ['Start', 'Requests', 'Input', 'Output', 'Cache read', 'Cache write', 'Cache hit'],
+      stats.overTime.buckets.map(bucket => [
+        bucket.start.substring(0, 16).replace('T', ' '), bucket.requests, bucket.input, bucket.output,
+        bucket.cacheRead, bucket.cacheCreation, formatPercent(bucket.cacheHitRatio)
+      ])
+    ));
+  }
+
+  sections.push(title('Status codes'), formatTable(['Status', 'Requests', 'Share'], countRows(stats.byStatus)));
+  if (Object.keys(stats.errors).length > 0) {
+    sections.push(title('Errors'), formatTable(['Error', 'Requests', 'Share'], countRows(stats.errors)));
+  }
+  if (Object.keys(stats.tools).length > 0) {
+    sections.push(title('Tool calls'), formatTable(['Tool', 'Calls'], Object.entries(stats.tools)));
+  }
+
+  return sections.join('\n');
+}
+
+// Long format: one row per number, so every section fits in one file
+function toCsv(stats) {
+  const rows = [['section', 'key', 'metric', 'value']];
+  const add = (section, key, metric, value) => rows.push([section, key, metric, value ?? '']);
+
+  add('summary', stats.logGroup, 'requests', stats.requests);
+  Object.entries(stats.byModel).forEach(([model, count]) => add('model', model, 'requests', count));
+  Object.entries(stats.byEndpoint).forEach(([endpoint, count]) => add('endpoint', endpoint, 'requests', count));
+  Object.entries(stats.latency).forEach(([name, summary]) => {
+    Object.entries(summary || {}).forEach(([metric, value]) => add('latency', name, metric, value));
+  });
+  Object.entries(stats.tokens).forEach(([metric, value]) => add('tokens', 'total', metric, value));
+  stats.overTime.buckets.forEach(bucket => {
+    Object.entries(bucket)
+      .filter(([metric]) => metric !== 'start')
+      .forEach(([metric, value]) => add('tokens_over_time', bucket.start, metric, value));
+  });
+  Object.entries(stats.byStatus).forEach(([status, count]) => add('status', status, 'requests', count));
+  Object.entries(stats.errors).forEach(([error, count]) => add('error', error, 'requests', count));
+  Object.entries(stats.tools).forEach(([tool, count]) => add('tool', tool, 'calls', count));
+
+  return rows.map(row => row.map(csvField).join(',')).join('\n');
+}
+
+function csvField(value) {
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+module.exports = { run, computeStats };
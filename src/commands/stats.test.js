@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { computeStats } = require('./stats');
+
+function exchange(timestamp, request, response) {
+  return {
+    timestamp,
+    request: { method: 'POST', url: '/v1/messages', modelKey: 'claude-sonnet-4-5', ...request },
+    response: { status: 200, duration: 100, ...response }
+  };
+}
+
+const USAGE = { input_tokens: 10, output_tokens: 20, cache_read_input_tokens: 80, cache_creation_input_tokens: 10 };
+
+const EXCHANGES = [
+  exchange('2026-01-02T03:01:00.000Z', {}, { duration: 100, ttft: 40, data: { content: [{ type: 'tool_use', name: 'Bash' }, { type: 'tool_use', name: 'Read' }], usage: USAGE } }),
+  exchange('2026-01-02T03:04:00.000Z', { url: '/v1/messages?beta=true' }, { duration: 300, data: { content: [{ type: 'tool_use', name: 'Bash' }], usage: USAGE } }),
+  exchange('2026-01-02T03:12:00.000Z', { modelKey: 'claude-haiku-4-5' }, { status: 529, duration: 50, data: { type: 'error', error: { type: 'overloaded_error' } } }),
+  exchange('2026-01-02T03:13:00.000Z', { method: 'GET', url: '/v1/models', modelKey: null }, { status: 500, error: 'ECONNRESET', duration: 0 }),
+  exchange('2026-01-02T03:14:00.000Z', {}, { fault: { type: 'stream_cut' }, duration: 200, data: { usage: { input_tokens: 5, output_tokens: 1 } } })
+];
+
+test('requests are counted by model, endpoint and status, most frequent first', () => {
+  const stats = computeStats(EXCHANGES, 10);
+
+  assert.equal(stats.requests, 5);
+  assert.equal(stats.firstRequest, '2026-01-02T03:01:00.000Z');
+  assert.equal(stats.lastRequest, '2026-01-02T03:14:00.000Z');
+  assert.deepEqual(stats.byModel, { 'claude-sonnet-4-5': 3, '(none)': 1, 'claude-haiku-4-5': 1 });
+  assert.deepEqual(stats.byEndpoint, { 'POST /v1/messages': 4, 'GET /v1/models': 1 });
+  assert.deepEqual(stats.byStatus, { 200: 3, 500: 1, 529: 1 });
+});
+
+test('latency percentiles leave out proxy errors', () => {
+  const { latency } = computeStats(EXCHANGES, 10);
+
+  assert.deepEqual(latency.duration, { count: 4, mean: 162.5, p50: 100, p90: 300, p95: 300, p99: 300, max: 300 });
+  assert.deepEqual(latency.ttft, { count: 1, mean: 40, p50: 40, p90: 40, p95: 40, p99: 40, max: 40 });
+  assert.deepEqual(computeStats([], 10).latency, { duration: null, ttft: null });
+});
+
+test('tokens and cache hit ratio are totalled and bucketed over time', () => {
+  const { tokens, overTime } = computeStats(EXCHANGES, 10);
+
+  assert.deepEqual(tokens, { input: 25, output: 41, cacheRead: 160, cacheCreation: 20, cacheHitRatio: 0.7805 });
+  assert.deepEqual(overTime, {
+    bucketMinutes: 10,
+    buckets: [
+      { start: '2026-01-02T03:00:00.000Z', requests: 2, input: 20, output: 40, cacheRead: 160, cacheCreation: 20, cacheHitRatio: 0.8 },
+      { start: '2026-01-02T03:10:00.000Z', requests: 1, input: 5, output: 1, cacheRead: 0, cacheCreation: 0, cacheHitRatio: 0 }
+    ]
+  });
+});
+
+test('errors are named by fault, proxy error, API error type or status, and tool calls are counted', () => {
+  const stats = computeStats([
+    ...EXCHANGES,
+    exchange(null, {}, { status: 404 }),
+    exchange(null, {}, { fault: { type: 'latency' } })
+  ], 10);
+
+  assert.deepEqual(stats.errors, { 'fault:stream_cut': 1, 'http:404': 1, overloaded_error: 1, 'proxy:ECONNRESET': 1 });
+  assert.deepEqual(stats.tools, { Bash: 2, Read: 1 });
+});
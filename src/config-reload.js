@@ -0,0 +1,111 @@
+const chalk = require('chalk');
+const { stableStringify } = require('./hash');
+const { resolveListeners } = require('./listeners');
+const { Rewriter } = require('./rewrite');
+const { FaultInjector } = require('./faults');
+
+// Logging options RequestLogger reads once when it is created
+const STARTUP_LOGGING_OPTIONS = ['logFormat', 'logRotation', 'dedupBodies'];
+
+// Sections that are only read at startup
+const STARTUP_SECTIONS = ['redaction', 'pricing', 'admin', 'upstream', 'openai', 'plugins'];
+
+// Applies a changed config to running listeners without restarting them, so
+// clients attached to the proxy keep their connections. Logging options,
+// rewrite rules, fault profiles, guards and the rate-limit warning threshold take
+// effect on the next request; anything else is reported as needing a restart.
+function createConfigReloader(initialConfig, cliArgs, running) {
+  let current = initialConfig;
+
+  return function reload(config) {
+    const { listeners, errors } = resolveListeners(config, cliArgs);
+    if (errors.length > 0) {
+      console.error(chalk.red('✗ Config reload failed, keeping previous configuration:'));
+      errors.forEach(error => console.error(chalk.red(`  - ${error}`)));
+      return;
+    }
+
+    // Built before anything is applied, so an invalid rule leaves the old config in place
+    let rewriter = null;
+    let faultInjector = null;
+    try {
+      rewriter = same(current.rewrites, config.rewrites) ? null : new Rewriter(config.rewrites || []);
+      faultInjector = same(current.faults, config.faults) ? null : new FaultInjector(config.faults || {});
+    } catch (error) {
+      console.error(chalk.red(`✗ Config reload failed, keeping previous configuration: ${error.message}`));
+      return;
+    }
+
+    const applied = [];
+    const needsRestart = [];
+
+    running.forEach(({ listener }) => {
+      const updated = listeners.find(candidate => candidate.name === listener.name);
+      if (!updated) {
+        needsRestart.push(`listener ${listener.name} removed`);
+        return;
+      }
+
+      if (!same(listener.logging, updated.logging)) {
+        STARTUP_LOGGING_OPTIONS
+          .filter(option => !same(listener.logging[option], updated.logging[option]))
+          .forEach(option => needsRestart.push(`logging.${option}`));
+
+        // The proxy holds on to this object, so it is updated in place
+        Object.keys(listener.logging).forEach(key => delete listener.logging[key]);
+        Object.assign(listener.logging, updated.logging);
+        applied.push(`logging (${listener.name})`);
+      }
+
+      ['port', 'target', 'routes', 'logGroup'].forEach(key => {
+        if (!same(listener[key], updated[key])) {
+          needsRestart.push(`${key} (${listener.name})`);
+        }
+      });
+    });
+
+    listeners
+      .filter(candidate => !running.some(({ listener }) => listener.name === candidate.name))
+      .forEach(candidate => needsRestart.push(`listener ${candidate.name} added`));
+
+    if (rewriter) {
+      running.forEach(({ proxyConfig }) => {
+        proxyConfig.rewriter = rewriter;
+      });
+      applied.push('rewrites');
+    }
+    if (!same(current.rateLimits, config.rateLimits)) {
+      running.forEach(({ proxyConfig }) => proxyConfig.rateLimits.configure(config.rateLimits || {}));
+      applied.push('rateLimits');
+    }
+    if (!same(current.guards, config.guards)) {
+      running.forEach(({ proxyConfig }) => proxyConfig.guard.configure(config.guards || {}));
+      applied.push('guards');
+    }
+    if (faultInjector) {
+      running.forEach(({ proxyConfig }) => {
+        proxyConfig.faultInjector = faultInjector;
+      });
+      applied.push('faults');
+    }
+
+    STARTUP_SECTIONS
+      .filter(section => !same(current[section], config[section]))
+      .forEach(section => needsRestart.push(section));
+
+    current = config;
+
+    if (applied.length > 0) {
+      console.log(chalk.green(`↻ Config reloaded: ${applied.join(', ')}`));
+    }
+    if (needsRestart.length > 0) {
+      console.log(chalk.yellow(`⚠ Restart the proxy to apply: ${needsRestart.join(', ')}`));
+    }
+  };
+}
+
+function same(a, b) {
+  return stableStringify(a ?? null) === stableStringify(b ?? null);
+}
+
+module.exports = { createConfigReloader };
@@ -0,0 +1,358 @@
+const yaml = require('js-yaml');
+
+// Schema for config.yaml. Unknown keys are reported (with a suggestion when
+// they look like a typo) and missing logging options get their defaults.
+const string = { type: 'string' };
+const number = { type: 'number' };
+const boolean = { type: 'boolean' };
+const stringList = { type: 'array', items: string };
+const any = { type: 'any' };
+
+const LOGGING_PROPERTIES = {
+  showHeaders: { type: 'boolean', default: true },
+  showBody: { type: 'boolean', default: true },
+  showQuery: { type: 'boolean', default: true },
+  showResponse: { type: 'boolean', default: true },
+  maxBodyLength: { type: 'number', default: 1000, min: 0 },
+  compact: { type: 'boolean', default: false },
+  useColorTag: { type: 'boolean', default: false },
+  timeline: { type: 'boolean', default: false },
+  logFormat: { type: 'string', enum: ['directory', 'jsonl'], default: 'directory' },
+  logRotation: {
+    type: 'object',
+    properties: { maxBytes: number, maxEntries: number, gzip: boolean }
+  },
+  dedupBodies: { type: 'boolean', default: false }
+};
+
+const ROUTES = {
+  type: 'array',
+  items: {
+    type: 'object',
+    properties: { prefix: string, target: string, stripPrefix: boolean }
+  }
+};
+
+const MATCH = {
+  type: 'object',
+  properties: { path: string, method: string, listener: string, model: string, headers: { type: 'object', values: any }, body: { type: 'object', values: any } }
+};
+
+const HEADER_EDIT_PROPERTIES = {
+  setHeaders: { type: 'object', values: any },
+  removeHeaders: stringList
+};
+
+const CONFIG_SCHEMA = {
+  type: 'object',
+  properties: {
+    port: number,
+    target: string,
+    routes: ROUTES,
+    logging: { type: 'object', properties: LOGGING_PROPERTIES, default: {} },
+    listeners: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          name: string,
+          port: number,
+          target: string,
+          routes: ROUTES,
+          logGroup: string,
+          // Merged over the top-level logging block, so no defaults here
+          logging: { type: 'object', properties: LOGGING_PROPERTIES, noDefaults: true }
+        }
+      }
+    },
+    redaction: {
+      type: 'object',
+      properties: { headers: stringList, paths: stringList, patterns: stringList, replacement: string }
+    },
+    pricing: {
+      type: 'object',
+      values: {
+        type: 'object',
+        properties: { input: number, output: number, cacheWrite: number, cacheWrite1h: number, cacheRead: number }
+      }
+    },
+    admin: {
+      type: 'object',
+      properties: { port: number, host: string, maxEntries: number }
+    },
+    rewrites: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          name: string,
+          match: MATCH,
+          request: {
+            type: 'object',
+            properties: {
+              model: string,
+              maxTokens: number,
+              system: {
+                type: 'object',
+                properties: { prepend: string, append: string, set: any, replace: any }
+              },
+              removeTools: stringList,
+              ...HEADER_EDIT_PROPERTIES
+            }
+          },
+          response: { type: 'object', properties: HEADER_EDIT_PROPERTIES }
+        }
+      }
+    },
+    upstream: {
+      type: 'object',
+      properties: {
+        connectTimeout: { type: 'number', min: 0 },
+        readTimeout: { type: 'number', min: 0 },
+        keepAlive: boolean,
+        maxSockets: { type: 'number', min: 1 },
+        proxy: { type: ['string', 'boolean'] },
+        noProxy: string,
+        ca: string,
+        cert: string,
+        key: string,
+        passphrase: string,
+        rejectUnauthorized: boolean,
+        retries: {
+          type: 'object',
+          properties: { max: { type: 'number', min: 0 }, baseDelayMs: { type: 'number', min: 0 }, maxDelayMs: { type: 'number', min: 0 } }
+        }
+      }
+    },
+    rateLimits: {
+      type: 'object',
+      properties: { warnAt: { type: 'number', min: 0, max: 1 } }
+    },
+    guards: {
+      type: 'object',
+      properties: {
+        mode: { type: 'string', enum: ['block', 'warn'] },
+        budget: { type: 'object', properties: { dollars: { type: 'number', min: 0 }, tokens: { type: 'number', min: 0 } } },
+        models: stringList,
+        maxTokens: { type: 'number', min: 1 },
+        maxInputBytes: { type: 'number', min: 1 },
+        requestsPerMinute: { type: 'number', min: 1 }
+      }
+    },
+    plugins: {
+      type: 'array',
+      items: {
+        type: ['string', 'object'],
+        properties: { path: string, options: { type: 'object', values: any } }
+      }
+    },
+    openai: {
+      type: 'object',
+      properties: {
+        enabled: boolean,
+        path: string,
+        models: { type: 'object', values: string },
+        maxTokens: { type: 'number', min: 1 }
+      }
+    },
+    faults: {
+      type: 'object',
+      properties: {
+        seed: number,
+        profiles: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              name: string,
+              type: string,
+              nth: { type: ['number', 'array'] },
+              probability: number,
+              match: MATCH,
+              retryAfter: number,
+              status: number,
+              errorType: string,
+              message: string,
+              latencyMs: number
+            }
+          }
+        }
+      }
+    }
+  }
+};
+
+// Named command line flags for config keys. Booleans also get a --no- form;
+// anything else can be set with --set <path>=<value>.
+const CLI_FLAGS = [
+  { flag: 'target', path: 'target' },
+  { flag: 'compact', path: 'logging.compact', boolean: true },
+  { flag: 'headers', path: 'logging.showHeaders', boolean: true },
+  { flag: 'body', path: 'logging.showBody', boolean: true },
+  { flag: 'query', path: 'logging.showQuery', boolean: true },
+  { flag: 'response', path: 'logging.showResponse', boolean: true },
+  { flag: 'color-tag', path: 'logging.useColorTag', boolean: true },
+  { flag: 'timeline', path: 'logging.timeline', boolean: true },
+  { flag: 'dedup-bodies', path: 'logging.dedupBodies', boolean: true },
+  { flag: 'max-body-length', path: 'logging.maxBodyLength' },
+  { flag: 'log-format', path: 'logging.logFormat' },
+  { flag: 'admin-host', path: 'admin.host' },
+  { flag: 'upstream-proxy', path: 'upstream.proxy' },
+  { flag: 'retries', path: 'upstream.retries.max' },
+  { flag: 'openai', path: 'openai.enabled', boolean: true },
+  { flag: 'budget', path: 'guards.budget.dollars' },
+  { flag: 'fault-seed', path: 'faults.seed' }
+];
+
+// Returns a copy of the config with defaults filled in, and a list of errors
+function validateConfig(config) {
+  const errors = [];
+  const validated = validate(config === undefined || config === null ? {} : config, CONFIG_SCHEMA, '', errors, true);
+  return { config: validated, errors };
+}
+
+function validate(value, schema, path, errors, useDefaults) {
+  if (value === undefined || value === null) {
+    return useDefaults && schema.default !== undefined ? validate(structuredClone(schema.default), schema, path, errors, useDefaults) : value;
+  }
+
+  const types = [].concat(schema.type);
+  const actual = typeOf(value);
+  if (!types.includes('any') && !types.includes(actual)) {
+    errors.push(`${path || 'config'} must be ${types.map(type => `a${/^[aeiou]/.test(type) ? 'n' : ''} ${type}`).join(' or ')} (got ${actual})`);
+    return value;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path} must be one of ${schema.enum.join(', ')} (got ${JSON.stringify(value)})`);
+  }
+  if (schema.min !== undefined && actual === 'number' && value < schema.min) {
+    errors.push(`${path} must be at least ${schema.min}`);
+  }
+  if (schema.max !== undefined && actual === 'number' && value > schema.max) {
+    errors.push(`${path} must be at most ${schema.max}`);
+  }
+
+  if (actual === 'array' && schema.items) {
+    return value.map((item, index) => validate(item, schema.items, `${path}[${index}]`, errors, useDefaults));
+  }
+
+  if (actual === 'object' && (schema.properties || schema.values)) {
+    const childDefaults = useDefaults && !schema.noDefaults;
+    const result = {};
+    Object.entries(value).forEach(([key, item]) => {
+      const childPath = path ? `${path}.${key}` : key;
+      const childSchema = schema.properties ? schema.properties[key] : schema.values;
+      if (!childSchema) {
+        const suggestion = closestKey(key, Object.keys(schema.properties));
+        errors.push(`Unknown option ${childPath}${suggestion ? ` (did you mean ${suggestion}?)` : ''}`);
+        return;
+      }
+      result[key] = validate(item, childSchema, childPath, errors, childDefaults);
+    });
+    if (childDefaults && schema.properties) {
+      Object.entries(schema.properties).forEach(([key, childSchema]) => {
+        // Defaults are validated too, so a missing section gets its own defaults
+        if (result[key] === undefined && childSchema.default !== undefined) {
+          result[key] = validate(undefined, childSchema, path ? `${path}.${key}` : key, errors, childDefaults);
+        }
+      });
+    }
+    return result;
+  }
+
+  return value;
+}
+
+function typeOf(value) {
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+// Suggests a known key for likely typos: case differences or a couple of wrong letters
+function closestKey(key, candidates) {
+  let best = null;
+  candidates.forEach(candidate => {
+    const distance = candidate.toLowerCase() === key.toLowerCase() ? 0 : editDistance(key, candidate);
+    if (distance <= 2 && (!best || distance < best.distance)) {
+      best = { candidate, distance };
+    }
+  });
+  return best ? best.candidate : null;
+}
+
+function editDistance(a, b) {
+  const row = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    let previous = row[0];
+    row[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const current = row[j];
+      row[j] = Math.min(row[j] + 1, row[j - 1] + 1, previous + (a[i - 1] === b[j - 1] ? 0 : 1));
+      previous = current;
+    }
+  }
+  return row[b.length];
+}
+
+// Collects config overrides from the command line as [path, value] pairs.
+// Values are parsed as YAML, so --max-body-length 500 is a number.
+function parseConfigOverrides(args) {
+  const overrides = [];
+  const errors = [];
+
+  args.forEach((arg, index) => {
+    if (arg === '--set') {
+      const assignment = args[index + 1] || '';
+      const separator = assignment.indexOf('=');
+      if (separator <= 0) {
+        errors.push(`--set expects <path>=<value>, got "${assignment}"`);
+        return;
+      }
+      overrides.push([assignment.slice(0, separator), parseValue(assignment.slice(separator + 1))]);
+      return;
+    }
+
+    CLI_FLAGS.forEach(({ flag, path, boolean: isBoolean }) => {
+      if (isBoolean && arg === `--${flag}`) {
+        overrides.push([path, true]);
+      } else if (isBoolean && arg === `--no-${flag}`) {
+        overrides.push([path, false]);
+      } else if (!isBoolean && arg === `--${flag}`) {
+        if (args[index + 1] === undefined) {
+          errors.push(`--${flag} expects a value`);
+        } else {
+          overrides.push([path, parseValue(args[index + 1])]);
+        }
+      }
+    });
+  });
+
+  return { overrides, errors };
+}
+
+function parseValue(text) {
+  try {
+    return yaml.load(text);
+  } catch (error) {
+    return text;
+  }
+}
+
+// Writes each override into the raw config, creating objects along the path
+function applyOverrides(config, overrides) {
+  overrides.forEach(([path, value]) => {
+    const keys = path.split('.');
+    let target = config;
+    keys.slice(0, -1).forEach(key => {
+      if (!target[key] || typeof target[key] !== 'object') {
+        target[key] = {};
+      }
+      target = target[key];
+    });
+    target[keys[keys.length - 1]] = value;
+  });
+  return config;
+}
+
+module.exports = { validateConfig, parseConfigOverrides, applyOverrides, CLI_FLAGS };
@@ -0,0 +1,107 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { validateConfig, parseConfigOverrides, applyOverrides } = require('./config-schema');
+
+test('an empty config gets the logging defaults', () => {
+  const { config, errors } = validateConfig(null);
+
+  assert.deepEqual(errors, []);
+  assert.equal(config.logging.showHeaders, true);
+  assert.equal(config.logging.compact, false);
+  assert.equal(config.logging.maxBodyLength, 1000);
+  assert.equal(config.logging.logFormat, 'directory');
+});
+
+test('given values are kept and missing ones defaulted', () => {
+  const { config, errors } = validateConfig({ port: 8000, logging: { compact: true, maxBodyLength: 0 } });
+
+  assert.deepEqual(errors, []);
+  assert.equal(config.port, 8000);
+  assert.equal(config.logging.compact, true);
+  assert.equal(config.logging.maxBodyLength, 0);
+  assert.equal(config.logging.showBody, true);
+});
+
+test('listener logging blocks get no defaults, so they only override what they set', () => {
+  const { config } = validateConfig({ listeners: [{ name: 'a', port: 1, logging: { compact: true } }] });
+  assert.deepEqual(config.listeners[0].logging, { compact: true });
+});
+
+test('unknown keys are reported with a suggestion for likely typos', () => {
+  const { errors } = validateConfig({ loging: {}, logging: { showHeader: true, colour: true } });
+
+  assert.deepEqual(errors, [
+    'Unknown option loging (did you mean logging?)',
+    'Unknown option logging.showHeader (did you mean showHeaders?)',
+    'Unknown option logging.colour'
+  ]);
+});
+
+test('wrong types, enums and ranges are reported with their path', () => {
+  const { errors } = validateConfig({
+    port: '8000',
+    logging: { logFormat: 'xml', maxBodyLength: -1 },
+    rateLimits: { warnAt: 2 },
+    listeners: [{ name: 'a', port: true }],
+    upstream: { proxy: 5 }
+  });
+
+  assert.deepEqual(errors, [
+    'port must be a number (got string)',
+    'logging.logFormat must be one of directory, jsonl (got "xml")',
+    'logging.maxBodyLength must be at least 0',
+    'rateLimits.warnAt must be at most 1',
+    'listeners[0].port must be a number (got boolean)',
+    'upstream.proxy must be a string or a boolean (got number)'
+  ]);
+});
+
+test('map-like sections validate every value', () => {
+  const { errors } = validateConfig({
+    pricing: { 'claude-x': { input: 3, outptu: 15 }, 'claude-y': { input: 'free' } },
+    openai: { models: { 'gpt-4o': 4 } }
+  });
+
+  assert.deepEqual(errors, [
+    'Unknown option pricing.claude-x.outptu (did you mean output?)',
+    'pricing.claude-y.input must be a number (got string)',
+    'openai.models.gpt-4o must be a string (got number)'
+  ]);
+});
+
+test('named flags, --no- forms and --set become overrides with YAML values', () => {
+  const { overrides, errors } = parseConfigOverrides([
+    '--compact', '--no-headers', '--max-body-length', '500', '--target', 'http://localhost:9000',
+    '--set', 'logging.logRotation.maxEntries=200', '--set', 'guards.models=[claude-*]', '--budget', '2.5'
+  ]);
+
+  assert.deepEqual(errors, []);
+  assert.deepEqual(overrides, [
+    ['logging.compact', true],
+    ['logging.showHeaders', false],
+    ['logging.maxBodyLength', 500],
+    ['target', 'http://localhost:9000'],
+    ['logging.logRotation.maxEntries', 200],
+    ['guards.models', ['claude-*']],
+    ['guards.budget.dollars', 2.5]
+  ]);
+});
+
+test('flags missing their value are reported', () => {
+  const { errors } = parseConfigOverrides(['--set', 'oops', '--retries']);
+  assert.deepEqual(errors, ['--set expects <path>=<value>, got "oops"', '--retries expects a value']);
+});
+
+test('applyOverrides creates objects along the path', () => {
+  const config = applyOverrides({ logging: { compact: false }, upstream: 'x' }, [
+    ['logging.compact', true],
+    ['upstream.retries.max', 3]
+  ]);
+
+  assert.deepEqual(config, { logging: { compact: true }, upstream: { retries: { max: 3 } } });
+});
+
+test('overrides are validated like the config file', () => {
+  const raw = applyOverrides({}, parseConfigOverrides(['--log-format', 'csv']).overrides);
+  assert.deepEqual(validateConfig(raw).errors, ['logging.logFormat must be one of directory, jsonl (got "csv")']);
+});
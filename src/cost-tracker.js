@@ -0,0 +1,115 @@
+const { simplifyModelName } = require('./models');
+
+// USD per million tokens. Keys are model-name prefixes; the longest matching
+// prefix wins, so "claude-sonnet-4-5" is checked before "claude-sonnet-4".
+const DEFAULT_PRICES = {
+  'claude-opus-4-5': { input: 5, output: 25, cacheWrite: 6.25, cacheWrite1h: 10, cacheRead: 0.5 },
+  'claude-opus-4': { input: 15, output: 75, cacheWrite: 18.75, cacheWrite1h: 30, cacheRead: 1.5 },
+  'claude-sonnet-4': { input: 3, output: 15, cacheWrite: 3.75, cacheWrite1h: 6, cacheRead: 0.3 },
+  'claude-3-7-sonnet': { input: 3, output: 15, cacheWrite: 3.75, cacheWrite1h: 6, cacheRead: 0.3 },
+  'claude-3-5-sonnet': { input: 3, output: 15, cacheWrite: 3.75, cacheWrite1h: 6, cacheRead: 0.3 },
+  'claude-haiku-4-5': { input: 1, output: 5, cacheWrite: 1.25, cacheWrite1h: 2, cacheRead: 0.1 },
+  'claude-3-5-haiku': { input: 0.8, output: 4, cacheWrite: 1, cacheWrite1h: 1.6, cacheRead: 0.08 },
+  'claude-3-haiku': { input: 0.25, output: 1.25, cacheWrite: 0.3, cacheWrite1h: 0.5, cacheRead: 0.03 },
+  'claude-3-opus': { input: 15, output: 75, cacheWrite: 18.75, cacheWrite1h: 30, cacheRead: 1.5 }
+};
+
+function emptyTotals() {
+  return {
+    requests: 0,
+    input_tokens: 0,
+    output_tokens: 0,
+    cache_read_input_tokens: 0,
+    cache_creation_input_tokens: 0,
+    cost: 0
+  };
+}
+
+// Adds up token usage and dollar cost per model for one listener's session.
+class CostTracker {
+  constructor(pricingConfig = {}) {
+    this.prices = { ...DEFAULT_PRICES };
+    Object.entries(pricingConfig || {}).forEach(([model, price]) => {
+      this.prices[model] = { ...(this.prices[model] || {}), ...price };
+    });
+    this.models = {};
+    this.total = emptyTotals();
+    this.unpricedModels = new Set();
+    this.startedAt = new Date().toISOString();
+  }
+
+  findPrice(modelKey) {
+    const name = simplifyModelName(modelKey);
+    if (!name) return null;
+
+    const match = Object.keys(this.prices)
+      .filter(prefix => name.startsWith(prefix))
+      .sort((a, b) => b.length - a.length)[0];
+
+    return match ? this.prices[match] : null;
+  }
+
+  calculateCost(modelKey, usage) {
+    const price = this.findPrice(modelKey);
+    if (!price || !usage) return null;
+
+    const cacheCreate = usage.cache_creation_input_tokens || 0;
+    // Newer responses split cache writes by TTL; the 1h TTL costs more
+    const cacheCreate1h = usage.cache_creation?.ephemeral_1h_input_tokens || 0;
+    const cacheCreate5m = cacheCreate - cacheCreate1h;
+
+    const dollars =
+      (usage.input_tokens || 0) * (price.input || 0) +
+      (usage.output_tokens || 0) * (price.output || 0) +
+      (usage.cache_read_input_tokens || 0) * (price.cacheRead || 0) +
+      cacheCreate5m * (price.cacheWrite || 0) +
+      cacheCreate1h * (price.cacheWrite1h || price.cacheWrite || 0);
+
+    return dollars / 1000000;
+  }
+
+  // Returns the cost of this request (null when the model has no price) and the running total
+  record(modelKey, usage) {
+    if (!usage) {
+      return { cost: null, total: this.total.cost };
+    }
+
+    const name = simplifyModelName(modelKey) || 'unknown';
+    const cost = this.calculateCost(modelKey, usage);
+    if (cost === null) {
+      this.unpricedModels.add(name);
+    }
+
+    if (!this.models[name]) {
+      this.models[name] = emptyTotals();
+    }
+
+    [this.models[name], this.total].forEach(totals => {
+      totals.requests++;
+      totals.input_tokens += usage.input_tokens || 0;
+      totals.output_tokens += usage.output_tokens || 0;
+      totals.cache_read_input_tokens += usage.cache_read_input_tokens || 0;
+      totals.cache_creation_input_tokens += usage.cache_creation_input_tokens || 0;
+      totals.cost += cost || 0;
+    });
+
+    return { cost, total: this.total.cost };
+  }
+
+  getSummary() {
+    return {
+      startedAt: this.startedAt,
+      updatedAt: new Date().toISOString(),
+      total: { ...this.total },
+      models: JSON.parse(JSON.stringify(this.models)),
+      unpricedModels: [...this.unpricedModels]
+    };
+  }
+}
+
+function formatCost(dollars) {
+  if (dollars === null || dollars === undefined) return '$?';
+  return dollars < 1 ? `$${dollars.toFixed(4)}` : `$${dollars.toFixed(2)}`;
+}
+
+module.exports = { CostTracker, DEFAULT_PRICES, formatCost };
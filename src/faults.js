@@ -0,0 +1,178 @@
+const { Readable } = require('stream');
+const { compileMatch } = require('./rewrite');
+
+// Error responses in the shape the Messages API uses for them
+const ERROR_FAULTS = {
+  rate_limit: { status: 429, statusText: 'Too Many Requests', errorType: 'rate_limit_error', message: 'Number of request tokens has exceeded your per-minute rate limit' },
+  overloaded: { status: 529, statusText: 'Overloaded', errorType: 'overloaded_error', message: 'Overloaded' },
+  server_error: { status: 500, statusText: 'Internal Server Error', errorType: 'api_error', message: 'Internal server error' }
+};
+
+// Faults that only make sense for streamed (stream: true) requests
+const STREAM_FAULTS = ['stream_cut', 'stream_error'];
+
+const FAULT_TYPES = [...Object.keys(ERROR_FAULTS), 'latency', 'connection_reset', ...STREAM_FAULTS];
+
+// Answers matching requests with simulated upstream failures instead of
+// contacting target. Profiles trigger on the Nth matching request or with a
+// probability drawn from a seeded generator, so a run can be repeated exactly.
+class FaultInjector {
+  constructor(faultsConfig = {}) {
+    this.seed = faultsConfig.seed ?? Math.floor(Math.random() * 2 ** 32);
+    this.random = mulberry32(this.seed);
+    this.profiles = (faultsConfig.profiles || []).map(compileProfile);
+
+    const names = this.profiles.map(profile => profile.name);
+    const duplicate = names.find((name, index) => names.indexOf(name) !== index);
+    if (duplicate) {
+      throw new Error(`Fault profile "${duplicate}" is defined more than once`);
+    }
+  }
+
+  get enabled() {
+    return this.profiles.length > 0;
+  }
+
+  // Every matching profile counts the request; the first one that triggers wins
+  pick(request) {
+    const streaming = !!(request.body && request.body.stream);
+    let picked = null;
+
+    this.profiles.forEach(profile => {
+      if (!profile.matches(request) || (STREAM_FAULTS.includes(profile.type) && !streaming)) {
+        return;
+      }
+      profile.matchCount++;
+      if (!picked && this.triggers(profile)) {
+        picked = {
+          name: profile.name,
+          type: profile.type,
+          trigger: profile.trigger,
+          matchCount: profile.matchCount,
+          seed: this.seed
+        };
+        if (profile.type === 'latency') {
+          picked.latencyMs = profile.options.latencyMs ?? 5000;
+        }
+      }
+    });
+
+    return picked;
+  }
+
+  triggers(profile) {
+    if (profile.nth) {
+      return profile.nth.includes(profile.matchCount);
+    }
+    if (profile.probability !== null) {
+      return this.random() < profile.probability;
+    }
+    return true;
+  }
+
+  // An upstream-shaped response for the fault, or null when the request
+  // should still be forwarded (latency) or has no response (connection_reset)
+  respond(fault, body) {
+    const profile = this.profiles.find(candidate => candidate.name === fault.name);
+    const options = profile.options;
+
+    if (ERROR_FAULTS[fault.type]) {
+      const defaults = ERROR_FAULTS[fault.type];
+      const status = options.status || defaults.status;
+      const headers = { 'content-type': 'application/json', 'x-should-retry': 'true' };
+      if (fault.type === 'rate_limit') {
+        headers['retry-after'] = String(options.retryAfter ?? 30);
+      }
+      const payload = {
+        type: 'error',
+        error: { type: options.errorType || defaults.errorType, message: options.message || defaults.message }
+      };
+      fault.status = status;
+      return {
+        status,
+        statusText: defaults.statusText,
+        headers,
+        data: Readable.from([Buffer.from(JSON.stringify(payload), 'utf8')])
+      };
+    }
+
+    if (STREAM_FAULTS.includes(fault.type)) {
+      fault.status = 200;
+      return {
+        status: 200,
+        statusText: 'OK',
+        headers: { 'content-type': 'text/event-stream; charset=utf-8', 'cache-control': 'no-cache' },
+        data: Readable.from(brokenStream(fault.type, body, options).map(text => Buffer.from(`${text}\n\n`, 'utf8')))
+      };
+    }
+
+    return null;
+  }
+}
+
+function compileProfile(profile, index) {
+  const name = profile.name || `fault-${index + 1}`;
+  if (!FAULT_TYPES.includes(profile.type)) {
+    throw new Error(`Fault profile "${name}": unknown type "${profile.type}" (expected one of ${FAULT_TYPES.join(', ')})`);
+  }
+
+  const nth = profile.nth !== undefined ? [].concat(profile.nth).map(Number) : null;
+  const probability = profile.probability !== undefined ? Number(profile.probability) : null;
+
+  return {
+    name,
+    type: profile.type,
+    nth,
+    probability,
+    trigger: nth ? `nth ${nth.join(',')}` : probability !== null ? `probability ${probability}` : 'always',
+    matches: compileMatch(profile.match || {}),
+    matchCount: 0,
+    options: profile
+  };
+}
+
+// A stream that starts a text block and then stops (stream_cut, after which
+// the proxy drops the client connection) or reports an error event
+// (stream_error) before the block is finished
+function brokenStream(type, body, options) {
+  const event = (name, data) => `event: ${name}\ndata: ${JSON.stringify(data)}`;
+  const events = [
+    event('message_start', {
+      type: 'message_start',
+      message: {
+        id: 'msg_fault',
+        type: 'message',
+        role: 'assistant',
+        model: body && body.model ? body.model : 'unknown',
+        content: [],
+        stop_reason: null,
+        stop_sequence: null,
+        usage: { input_tokens: 0, output_tokens: 1 }
+      }
+    }),
+    event('content_block_start', { type: 'content_block_start', index: 0, content_block: { type: 'text', text: '' } }),
+    event('content_block_delta', { type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: 'This response was cut' } })
+  ];
+
+  if (type === 'stream_error') {
+    events.push(event('error', {
+      type: 'error',
+      error: { type: options.errorType || 'overloaded_error', message: options.message || 'Overloaded' }
+    }));
+  }
+  return events;
+}
+
+// Small seeded PRNG; Math.random can't be seeded
+function mulberry32(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+module.exports = { FaultInjector, FAULT_TYPES };
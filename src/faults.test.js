@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { FaultInjector } = require('./faults');
+const { parseSSE, reconstructStream } = require('./sse-parser');
+const { messagesRequest: request, readBody } = require('./testing');
+
+test('nth profiles trigger on the listed matching requests only', () => {
+  const injector = new FaultInjector({ profiles: [{ name: 'third', type: 'overloaded', nth: [3, 5], match: { path: '/v1/messages' } }] });
+
+  const picks = [1, 2, 3, 4, 5].map(() => injector.pick(request()));
+  assert.deepEqual(picks.map(pick => (pick ? pick.matchCount : null)), [null, null, 3, null, 5]);
+  assert.equal(injector.pick(request(undefined, '/v1/models')), null);
+  assert.equal(picks[2].trigger, 'nth 3,5');
+});
+
+test('probability profiles repeat exactly with the same seed', () => {
+  const run = seed => {
+    const injector = new FaultInjector({ seed, profiles: [{ type: 'server_error', probability: 0.5 }] });
+    return Array.from({ length: 20 }, () => !!injector.pick(request()));
+  };
+
+  assert.deepEqual(run(42), run(42));
+  assert.notDeepEqual(run(42), run(43));
+  assert.ok(run(42).includes(true) && run(42).includes(false));
+});
+
+test('every matching profile counts the request and the first to trigger wins', () => {
+  const injector = new FaultInjector({
+    profiles: [
+      { name: 'first', type: 'rate_limit', nth: 2 },
+      { name: 'second', type: 'overloaded' }
+    ]
+  });
+
+  assert.equal(injector.pick(request()).name, 'second');
+  assert.equal(injector.pick(request()).name, 'first');
+  assert.equal(injector.profiles[1].matchCount, 2);
+});
+
+test('stream faults only apply to streamed requests', () => {
+  const injector = new FaultInjector({ profiles: [{ type: 'stream_cut' }] });
+
+  assert.equal(injector.pick(request()), null);
+  assert.equal(injector.pick(request({ model: 'claude-sonnet-4-5', stream: true })).type, 'stream_cut');
+});
+
+test('error faults answer like the Messages API', async () => {
+  const injector = new FaultInjector({ profiles: [{ name: 'limited', type: 'rate_limit', retryAfter: 7, message: 'Slow down' }] });
+  const fault = injector.pick(request());
+  const response = injector.respond(fault, request().body);
+
+  assert.equal(response.status, 429);
+  assert.equal(fault.status, 429);
+  assert.equal(response.headers['retry-after'], '7');
+  assert.deepEqual(JSON.parse(await readBody(response)), { type: 'error', error: { type: 'rate_limit_error', message: 'Slow down' } });
+});
+
+test('stream_cut and stream_error produce broken streams', async () => {
+  const injector = new FaultInjector({ profiles: [{ name: 'cut', type: 'stream_cut', nth: 1 }, { name: 'error', type: 'stream_error', nth: 2 }] });
+  const body = { model: 'claude-sonnet-4-5', stream: true };
+
+  const cut = reconstructStream(parseSSE(await readBody(injector.respond(injector.pick(request(body)), body))));
+  assert.equal(cut.message.model, 'claude-sonnet-4-5');
+  assert.ok(cut.issues.includes('Stream ended without message_stop (truncated)'));
+
+  const errored = reconstructStream(parseSSE(await readBody(injector.respond(injector.pick(request(body)), body))));
+  assert.deepEqual(errored.error, { type: 'overloaded_error', message: 'Overloaded' });
+});
+
+test('latency and connection_reset are left to the proxy', () => {
+  const injector = new FaultInjector({ profiles: [{ name: 'slow', type: 'latency', latencyMs: 250, nth: 1 }, { name: 'reset', type: 'connection_reset', nth: 2 }] });
+
+  const slow = injector.pick(request());
+  assert.equal(slow.latencyMs, 250);
+  assert.equal(injector.respond(slow, null), null);
+  assert.equal(injector.respond(injector.pick(request()), null), null);
+});
+
+test('invalid profiles are rejected when loaded', () => {
+  assert.throws(() => new FaultInjector({ profiles: [{ name: 'x', type: 'explode' }] }), /Fault profile "x": unknown type "explode"/);
+  assert.throws(() => new FaultInjector({ profiles: [{ name: 'x', type: 'overloaded' }, { name: 'x', type: 'latency' }] }), /defined more than once/);
+});
@@ -0,0 +1,124 @@
+const { Readable } = require('stream');
+const { globToRegExp } = require('./rewrite');
+const { formatCost } = require('./cost-tracker');
+
+const WINDOW_MS = 60000;
+
+// Rejections in the shape the Messages API uses for errors. Only the
+// per-minute limit is worth retrying; a client that retries an exhausted
+// budget or a disallowed model would only loop.
+const REJECTIONS = {
+  budget: { status: 403, statusText: 'Forbidden', errorType: 'permission_error', retry: false },
+  models: { status: 403, statusText: 'Forbidden', errorType: 'permission_error', retry: false },
+  maxTokens: { status: 400, statusText: 'Bad Request', errorType: 'invalid_request_error', retry: false },
+  maxInputBytes: { status: 413, statusText: 'Payload Too Large', errorType: 'request_too_large', retry: false },
+  requestsPerMinute: { status: 429, statusText: 'Too Many Requests', errorType: 'rate_limit_error', retry: true }
+};
+
+// Checks Messages API requests against a session budget and request policy
+// before they are forwarded. In warn mode violations are only reported, so a
+// policy can be tried out on a real workload before it blocks anything.
+class Guard {
+  constructor(guardsConfig = {}) {
+    this.configure(guardsConfig);
+    // Spend of every listener since startup
+    this.spent = { cost: 0, tokens: 0 };
+    this.recent = [];
+  }
+
+  // Limits can change while running; spend and the request window are kept
+  configure(guardsConfig = {}) {
+    this.mode = guardsConfig.mode || 'block';
+    this.budget = guardsConfig.budget || {};
+    this.models = (guardsConfig.models || []).map(pattern => ({ pattern, regExp: globToRegExp(pattern) }));
+    this.maxTokens = guardsConfig.maxTokens ?? null;
+    this.maxInputBytes = guardsConfig.maxInputBytes ?? null;
+    this.requestsPerMinute = guardsConfig.requestsPerMinute ?? null;
+  }
+
+  get enabled() {
+    return this.budget.dollars !== undefined ||
+      this.budget.tokens !== undefined ||
+      this.models.length > 0 ||
+      this.maxTokens !== null ||
+      this.maxInputBytes !== null ||
+      this.requestsPerMinute !== null;
+  }
+
+  // Returns { mode, blocked, violations }, or null when the request passes.
+  // Requests that are let through count towards the per-minute limit.
+  check({ model, body, size }, now = Date.now()) {
+    const violations = [];
+    const violate = (rule, message, extra = {}) => violations.push({ rule, message, ...extra });
+
+    if (this.budget.dollars !== undefined && this.spent.cost >= this.budget.dollars) {
+      violate('budget', `Session budget of ${formatCost(this.budget.dollars)} used up (${formatCost(this.spent.cost)} spent)`);
+    } else if (this.budget.tokens !== undefined && this.spent.tokens >= this.budget.tokens) {
+      violate('budget', `Session budget of ${this.budget.tokens} tokens used up (${this.spent.tokens} used)`);
+    }
+    if (this.models.length > 0 && !this.models.some(({ regExp }) => regExp.test(model || ''))) {
+      violate('models', `Model ${model} is not allowed (allowed: ${this.models.map(({ pattern }) => pattern).join(', ')})`);
+    }
+    if (this.maxTokens !== null && typeof body.max_tokens === 'number' && body.max_tokens > this.maxTokens) {
+      violate('maxTokens', `max_tokens of ${body.max_tokens} is over the limit of ${this.maxTokens}`);
+    }
+    if (this.maxInputBytes !== null && size > this.maxInputBytes) {
+      violate('maxInputBytes', `Request body of ${size} bytes is over the limit of ${this.maxInputBytes}`);
+    }
+
+    this.recent = this.recent.filter(time => now - time < WINDOW_MS);
+    if (this.requestsPerMinute !== null && this.recent.length >= this.requestsPerMinute) {
+      const retryAfter = Math.ceil((this.recent[0] + WINDOW_MS - now) / 1000);
+      violate('requestsPerMinute', `More than ${this.requestsPerMinute} requests in the last minute`, { retryAfter });
+    }
+
+    const blocked = this.mode === 'block' && violations.length > 0;
+    if (!blocked) {
+      this.recent.push(now);
+    }
+    return violations.length > 0 ? { mode: this.mode, blocked, violations } : null;
+  }
+
+  // Adds a forwarded request's usage to the session spend
+  record(usage, cost) {
+    if (!usage) {
+      return;
+    }
+    this.spent.cost += cost || 0;
+    this.spent.tokens += (usage.input_tokens || 0) +
+      (usage.output_tokens || 0) +
+      (usage.cache_read_input_tokens || 0) +
+      (usage.cache_creation_input_tokens || 0);
+  }
+
+  // An upstream-shaped error response for a blocked request
+  respond(result) {
+    const violation = result.violations[0];
+    const rejection = REJECTIONS[violation.rule];
+    const headers = { 'content-type': 'application/json', 'x-should-retry': String(rejection.retry) };
+    if (violation.retryAfter !== undefined) {
+      headers['retry-after'] = String(violation.retryAfter);
+    }
+    const payload = { type: 'error', error: { type: rejection.errorType, message: `Blocked by proxy guard: ${violation.message}` } };
+    return {
+      status: rejection.status,
+      statusText: rejection.statusText,
+      headers,
+      data: Readable.from([Buffer.from(JSON.stringify(payload), 'utf8')])
+    };
+  }
+
+  // One line for the startup banner
+  describe() {
+    const parts = [];
+    if (this.budget.dollars !== undefined) parts.push(`budget ${formatCost(this.budget.dollars)}`);
+    if (this.budget.tokens !== undefined) parts.push(`budget ${this.budget.tokens} tokens`);
+    if (this.models.length > 0) parts.push(`models ${this.models.map(({ pattern }) => pattern).join(', ')}`);
+    if (this.maxTokens !== null) parts.push(`max_tokens ≤ ${this.maxTokens}`);
+    if (this.maxInputBytes !== null) parts.push(`input ≤ ${this.maxInputBytes} bytes`);
+    if (this.requestsPerMinute !== null) parts.push(`${this.requestsPerMinute} requests/min`);
+    return `${parts.join(', ')}${this.mode === 'warn' ? ' (warn only)' : ''}`;
+  }
+}
+
+module.exports = { Guard };
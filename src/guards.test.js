@@ -0,0 +1,106 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Guard } = require('./guards');
+const { MESSAGES_BODY, readBody } = require('./testing');
+
+function check(guard, request = {}, now) {
+  return guard.check({ model: MESSAGES_BODY.model, body: MESSAGES_BODY, size: 100, ...request }, now);
+}
+
+test('a guard without limits is disabled and passes everything', () => {
+  const guard = new Guard();
+  assert.equal(guard.enabled, false);
+  assert.equal(check(guard), null);
+});
+
+test('budgets block once the recorded spend reaches them', () => {
+  const dollars = new Guard({ budget: { dollars: 0.5 } });
+  assert.equal(check(dollars), null);
+  dollars.record({ input_tokens: 10 }, 0.3);
+  assert.equal(check(dollars), null);
+  dollars.record({ input_tokens: 10 }, 0.2);
+  assert.deepEqual(check(dollars), {
+    mode: 'block',
+    blocked: true,
+    violations: [{ rule: 'budget', message: 'Session budget of $0.5000 used up ($0.5000 spent)' }]
+  });
+
+  const tokens = new Guard({ budget: { tokens: 1000 } });
+  tokens.record({ input_tokens: 100, output_tokens: 200, cache_read_input_tokens: 600, cache_creation_input_tokens: 100 }, null);
+  assert.equal(tokens.spent.tokens, 1000);
+  assert.equal(check(tokens).violations[0].message, 'Session budget of 1000 tokens used up (1000 used)');
+
+  tokens.record(null, 5);
+  assert.equal(tokens.spent.cost, 0);
+});
+
+test('models, max_tokens and body size are checked together', () => {
+  const guard = new Guard({ models: ['claude-haiku-*', 'claude-sonnet-4-5'], maxTokens: 512, maxInputBytes: 50 });
+
+  assert.equal(check(guard, { model: 'claude-haiku-4-5', body: { max_tokens: 100 }, size: 10 }), null);
+  assert.deepEqual(check(guard, { model: 'claude-opus-4-1' }).violations.map(({ rule, message }) => [rule, message]), [
+    ['models', 'Model claude-opus-4-1 is not allowed (allowed: claude-haiku-*, claude-sonnet-4-5)'],
+    ['maxTokens', 'max_tokens of 1024 is over the limit of 512'],
+    ['maxInputBytes', 'Request body of 100 bytes is over the limit of 50']
+  ]);
+});
+
+test('the per-minute limit counts only requests let through', () => {
+  const guard = new Guard({ requestsPerMinute: 2 });
+
+  assert.equal(check(guard, {}, 1000), null);
+  assert.equal(check(guard, {}, 21000), null);
+  const result = check(guard, {}, 30500);
+  assert.deepEqual(result.violations, [{ rule: 'requestsPerMinute', message: 'More than 2 requests in the last minute', retryAfter: 31 }]);
+  assert.equal(guard.recent.length, 2);
+
+  // The first request has left the window
+  assert.equal(check(guard, {}, 61000), null);
+});
+
+test('warn mode reports violations without blocking', () => {
+  const guard = new Guard({ mode: 'warn', requestsPerMinute: 1 });
+
+  assert.equal(check(guard, {}, 0), null);
+  assert.deepEqual(check(guard, {}, 10), {
+    mode: 'warn',
+    blocked: false,
+    violations: [{ rule: 'requestsPerMinute', message: 'More than 1 requests in the last minute', retryAfter: 60 }]
+  });
+  assert.equal(guard.recent.length, 2);
+});
+
+test('blocked requests get Messages API errors', async () => {
+  const guard = new Guard({ budget: { dollars: 0 }, requestsPerMinute: 0 });
+
+  const budget = guard.respond({ violations: [{ rule: 'budget', message: 'used up' }] });
+  assert.equal(budget.status, 403);
+  assert.deepEqual(budget.headers, { 'content-type': 'application/json', 'x-should-retry': 'false' });
+  assert.deepEqual(JSON.parse(await readBody(budget)), { type: 'error', error: { type: 'permission_error', message: 'Blocked by proxy guard: used up' } });
+
+  const limited = guard.respond(check(guard, {}, 0));
+  assert.equal(limited.status, 403);
+
+  const rate = guard.respond({ violations: [{ rule: 'requestsPerMinute', message: 'too many', retryAfter: 12 }] });
+  assert.equal(rate.status, 429);
+  assert.equal(rate.headers['x-should-retry'], 'true');
+  assert.equal(rate.headers['retry-after'], '12');
+
+  assert.equal(guard.respond({ violations: [{ rule: 'maxInputBytes', message: 'big' }] }).status, 413);
+  assert.equal(guard.respond({ violations: [{ rule: 'maxTokens', message: 'big' }] }).status, 400);
+});
+
+test('describe lists the limits for the banner', () => {
+  const guard = new Guard({ mode: 'warn', budget: { dollars: 5, tokens: 100000 }, models: ['claude-*'], maxTokens: 8192, maxInputBytes: 1000, requestsPerMinute: 30 });
+  assert.equal(guard.describe(), 'budget $5.00, budget 100000 tokens, models claude-*, max_tokens ≤ 8192, input ≤ 1000 bytes, 30 requests/min (warn only)');
+});
+
+test('configure changes the limits but keeps the spend', () => {
+  const guard = new Guard({ budget: { dollars: 1 } });
+  guard.record({ output_tokens: 10 }, 2);
+  assert.equal(check(guard).blocked, true);
+
+  guard.configure({ budget: { dollars: 5 } });
+  assert.equal(guard.spent.cost, 2);
+  assert.equal(check(guard), null);
+});
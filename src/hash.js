@@ -0,0 +1,20 @@
+const crypto = require('crypto');
+
+// JSON with object keys sorted, so equal values always serialize the same way
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const keys = Object.keys(value).sort();
+    return `{${keys.map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+function hashValue(value) {
+  const text = typeof value === 'string' ? value : stableStringify(value);
+  return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+module.exports = { stableStringify, hashValue };
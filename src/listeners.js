@@ -0,0 +1,114 @@
+// Normalizes config.yaml into a list of listeners. Configs with a single
+// top-level port/target pair are treated as one listener named "default".
+function resolveListeners(config, cliArgs = {}) {
+  const baseLogging = config.logging || {};
+  const definitions = Array.isArray(config.listeners) && config.listeners.length > 0
+    ? config.listeners
+    : [{ name: 'default', port: config.port, target: config.target, routes: config.routes }];
+
+  // --target (already in config.target) replaces the target of a single
+  // listener, whether it's defined at the top level or under listeners:
+  const targetOverride = cliArgs.target && definitions.length === 1 ? config.target : null;
+
+  const errors = [];
+  const listeners = definitions.map((definition, index) => {
+    const name = definition.name || `listener-${index + 1}`;
+    const target = targetOverride || definition.target;
+
+    if (!definition.port || !target) {
+      errors.push(`Listener "${name}" must specify port and target`);
+    }
+
+    const routes = (definition.routes || []).map((route, routeIndex) => {
+      if (!route.prefix || !route.target) {
+        errors.push(`Route ${routeIndex + 1} of listener "${name}" must specify prefix and target`);
+      }
+      return {
+        prefix: route.prefix,
+        target: route.target,
+        stripPrefix: !!route.stripPrefix
+      };
+    });
+
+    return {
+      name,
+      port: definition.port,
+      target,
+      // Longest prefix wins, so more specific routes are checked first
+      routes: routes.sort((a, b) => (b.prefix || '').length - (a.prefix || '').length),
+      // Options given on the command line win over per-listener ones
+      logging: { ...baseLogging, ...(definition.logging || {}), ...(cliArgs.loggingOverrides || {}) },
+      logGroup: definition.logGroup || null
+    };
+  });
+
+  const ports = new Set();
+  listeners.forEach(listener => {
+    if (ports.has(listener.port)) {
+      errors.push(`Port ${listener.port} is used by more than one listener`);
+    }
+    ports.add(listener.port);
+  });
+
+  if (cliArgs.target && definitions.length > 1) {
+    errors.push('--target can only be used with a single listener');
+  }
+
+  if (cliArgs.port) {
+    if (listeners.length === 1) {
+      listeners[0].port = cliArgs.port;
+    } else {
+      errors.push('--port can only be used with a single listener');
+    }
+  }
+
+  listeners.forEach(listener => {
+    listener.logDir = resolveLogDir(listener, listeners.length, cliArgs.logGroup);
+  });
+
+  return { listeners, errors };
+}
+
+// --log-group applies to every listener; with several listeners each one
+// gets its own subdirectory so their files don't mix.
+function resolveLogDir(listener, listenerCount, cliLogGroup) {
+  if (cliLogGroup) {
+    return logGroupDir(cliLogGroup, listener, listenerCount);
+  }
+  return listener.logGroup ? `logs/${listener.logGroup}` : null;
+}
+
+function logGroupDir(group, listener, listenerCount) {
+  return listenerCount === 1
+    ? `logs/${group}`
+    : `logs/${group}/${listener.logGroup || listener.name}`;
+}
+
+function resolveTarget(listener, url) {
+  const route = (listener.routes || []).find(candidate => matchesPrefix(url, candidate.prefix));
+
+  if (!route) {
+    return { target: listener.target, url, route: null };
+  }
+
+  let forwardedUrl = url;
+  if (route.stripPrefix) {
+    forwardedUrl = url.substring(route.prefix.replace(/\/$/, '').length) || '/';
+    if (!forwardedUrl.startsWith('/')) {
+      forwardedUrl = `/${forwardedUrl}`;
+    }
+  }
+
+  return { target: route.target, url: forwardedUrl, route };
+}
+
+function matchesPrefix(url, prefix) {
+  if (!url.startsWith(prefix)) {
+    return false;
+  }
+  // "/bedrock" matches "/bedrock/..." and "/bedrock?x" but not "/bedrockfoo"
+  const next = url.charAt(prefix.length);
+  return prefix.endsWith('/') || next === '' || next === '/' || next === '?';
+}
+
+module.exports = { resolveListeners, resolveTarget, logGroupDir };
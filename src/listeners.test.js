@@ -0,0 +1,100 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { resolveListeners, resolveTarget } = require('./listeners');
+
+const TWO_LISTENERS = {
+  logging: { compact: false, showBody: true },
+  listeners: [
+    { name: 'claude', port: 8000, target: 'https://api.anthropic.com', logging: { compact: true }, logGroup: 'claude-logs' },
+    {
+      name: 'cloud',
+      port: 8001,
+      target: 'https://cloud.example',
+      routes: [
+        { prefix: '/bedrock', target: 'https://bedrock.example', stripPrefix: true },
+        { prefix: '/bedrock/v2', target: 'https://bedrock-v2.example' }
+      ]
+    }
+  ]
+};
+
+test('a top-level port and target become one listener named default', () => {
+  const { listeners, errors } = resolveListeners({ port: 8000, target: 'https://api.anthropic.com', logging: { compact: true } });
+
+  assert.deepEqual(errors, []);
+  assert.deepEqual(listeners, [{
+    name: 'default',
+    port: 8000,
+    target: 'https://api.anthropic.com',
+    routes: [],
+    logging: { compact: true },
+    logGroup: null,
+    logDir: null
+  }]);
+});
+
+test('listeners merge their logging over the shared block and sort routes longest first', () => {
+  const { listeners, errors } = resolveListeners(TWO_LISTENERS, { loggingOverrides: { showBody: false } });
+
+  assert.deepEqual(errors, []);
+  assert.deepEqual(listeners[0].logging, { compact: true, showBody: false });
+  assert.deepEqual(listeners[1].logging, { compact: false, showBody: false });
+  assert.deepEqual(listeners[1].routes.map(route => route.prefix), ['/bedrock/v2', '/bedrock']);
+  assert.deepEqual(listeners.map(listener => listener.logDir), ['logs/claude-logs', null]);
+});
+
+test('--log-group gives each of several listeners its own subdirectory', () => {
+  const { listeners } = resolveListeners(TWO_LISTENERS, { logGroup: 'session' });
+  assert.deepEqual(listeners.map(listener => listener.logDir), ['logs/session/claude-logs', 'logs/session/cloud']);
+
+  const single = resolveListeners({ port: 8000, target: 'https://api.anthropic.com' }, { logGroup: 'session' });
+  assert.equal(single.listeners[0].logDir, 'logs/session');
+});
+
+test('missing ports and targets, shared ports and --port with several listeners are errors', () => {
+  const { errors } = resolveListeners({
+    listeners: [
+      { name: 'a', port: 8000, target: 'https://a.example', routes: [{ prefix: '/x' }] },
+      { name: 'b', port: 8000 }
+    ]
+  }, { port: 9000 });
+
+  assert.deepEqual(errors, [
+    'Route 1 of listener "a" must specify prefix and target',
+    'Listener "b" must specify port and target',
+    'Port 8000 is used by more than one listener',
+    '--port can only be used with a single listener'
+  ]);
+});
+
+test('--port replaces the port of a single listener', () => {
+  const { listeners, errors } = resolveListeners({ port: 8000, target: 'https://api.anthropic.com' }, { port: 9000 });
+  assert.deepEqual(errors, []);
+  assert.equal(listeners[0].port, 9000);
+});
+
+test('--target replaces the target of a single listener, however it is defined', () => {
+  const topLevel = resolveListeners({ port: 8000, target: 'http://localhost:9000' }, { target: true });
+  assert.deepEqual(topLevel.errors, []);
+  assert.equal(topLevel.listeners[0].target, 'http://localhost:9000');
+
+  const listed = resolveListeners({
+    target: 'http://localhost:9000',
+    listeners: [{ name: 'claude', port: 8000, target: 'https://api.anthropic.com' }]
+  }, { target: true });
+  assert.deepEqual(listed.errors, []);
+  assert.equal(listed.listeners[0].target, 'http://localhost:9000');
+
+  const several = resolveListeners({ ...TWO_LISTENERS, target: 'http://localhost:9000' }, { target: true });
+  assert.deepEqual(several.errors, ['--target can only be used with a single listener']);
+  assert.equal(several.listeners[0].target, 'https://api.anthropic.com');
+});
+
+test('requests go to the longest matching route, with its prefix stripped if asked', () => {
+  const { listeners: [, cloud] } = resolveListeners(TWO_LISTENERS);
+
+  assert.deepEqual(resolveTarget(cloud, '/bedrock/model/invoke?x=1'), { target: 'https://bedrock.example', url: '/model/invoke?x=1', route: cloud.routes[1] });
+  assert.equal(resolveTarget(cloud, '/bedrock').url, '/');
+  assert.deepEqual(resolveTarget(cloud, '/bedrock/v2/invoke'), { target: 'https://bedrock-v2.example', url: '/bedrock/v2/invoke', route: cloud.routes[0] });
+  assert.deepEqual(resolveTarget(cloud, '/bedrockfoo'), { target: 'https://cloud.example', url: '/bedrockfoo', route: null });
+});
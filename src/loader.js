@@ -2,17 +2,61 @@ const yaml = require('js-yaml');
 const fs = require('fs');
 const path = require('path');
 const chalk = require('chalk');
+const { validateConfig, applyOverrides } = require('./config-schema');
 
 const CONFIG_FILE = process.env.CONFIG_FILE || 'config.yaml';
 
-function loadConfig() {
+// Reads, overrides and validates the config file. Throws if it can't be read or parsed.
+function readConfig(overrides = []) {
+  const fileContents = fs.readFileSync(path.resolve(CONFIG_FILE), 'utf8');
+  const raw = yaml.load(fileContents) || {};
+  return validateConfig(applyOverrides(raw, overrides));
+}
+
+function loadConfig(overrides = []) {
+  let result;
   try {
-    const fileContents = fs.readFileSync(path.resolve(CONFIG_FILE), 'utf8');
-    return yaml.load(fileContents);
+    result = readConfig(overrides);
   } catch (e) {
     console.error(chalk.red('Error loading configuration file:'), e.message);
     process.exit(1);
   }
+
+  if (result.errors.length > 0) {
+    console.error(chalk.red(`Invalid configuration in ${CONFIG_FILE}:`));
+    result.errors.forEach(error => console.error(chalk.red(`  - ${error}`)));
+    process.exit(1);
+  }
+  return result.config;
+}
+
+// Calls onChange with the new config whenever the file is saved. A config
+// that fails to load is reported and the previous one stays in effect.
+function watchConfig(overrides, onChange) {
+  const file = path.resolve(CONFIG_FILE);
+
+  // watchFile polls, which also survives editors that save by replacing the file
+  fs.watchFile(file, { interval: 1000 }, (current, previous) => {
+    if (current.mtimeMs === previous.mtimeMs) {
+      return;
+    }
+
+    let result;
+    try {
+      result = readConfig(overrides);
+    } catch (e) {
+      console.error(chalk.red(`✗ Config reload failed, keeping previous configuration: ${e.message}`));
+      return;
+    }
+    if (result.errors.length > 0) {
+      console.error(chalk.red('✗ Config reload failed, keeping previous configuration:'));
+      result.errors.forEach(error => console.error(chalk.red(`  - ${error}`)));
+      return;
+    }
+    onChange(result.config);
+  });
+
+  return () => fs.unwatchFile(file);
 }
 
-module.exports = { loadConfig };
+module.exports = { loadConfig, readConfig, watchConfig, CONFIG_FILE };
@@ -0,0 +1,241 @@
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { promisify } = require('util');
+const { rebuildRequest } = require('./object-store');
+
+const gunzip = promisify(zlib.gunzip);
+
+const REQUEST_SUFFIX = '.request.json';
+const RESPONSE_SUFFIX = '.response.json';
+const MANIFEST_FILE = 'manifest.json';
+const MANIFEST_VERSION = 1;
+const SEGMENT_PATTERN = /^requests-.*\.jsonl(\.gz)?$/;
+// Binary response bodies are saved under files/ and referenced as { "$file": path }
+const FILES_DIR = 'files';
+const FILE_KEY = '$file';
+
+// Loads the exchanges RequestLogger wrote to a log group, oldest first.
+// Uses manifest.json when present and falls back to listing the directory
+// for log groups written before manifests existed. options.map turns each
+// exchange into what the caller keeps, so a long log group never has to be
+// held in memory as a whole.
+async function readLogGroup(logDir, options = {}) {
+  const dir = path.resolve(logDir);
+  const map = options.map || (exchange => exchange);
+  const manifest = await readManifest(dir);
+  const results = [];
+
+  const visit = async (exchange) => {
+    exchange.request = await rebuildRequest(dir, exchange.request);
+    results.push({ seq: exchange.seq, id: exchange.id, value: await map(exchange) });
+  };
+
+  if (manifest) {
+    await readFromManifest(dir, manifest, visit);
+  } else {
+    await readFromListing(dir, visit);
+  }
+
+  return results
+    .sort((a, b) => (a.seq ?? 0) - (b.seq ?? 0) || a.id.localeCompare(b.id))
+    .map(result => result.value);
+}
+
+// Loads single exchanges in the order asked for, for callers that only keep
+// summaries of a log group. Each is asked for by its id or its sequence
+// number, and comes back as null when it isn't found. Each segment is read
+// once however many of its exchanges are wanted.
+async function readExchanges(logDir, keys) {
+  const dir = path.resolve(logDir);
+  const ids = keys.some(key => typeof key === 'number') ? await idsForSeqs(dir, keys) : keys;
+  const found = new Map();
+  const segments = new Map();
+
+  for (const id of ids.filter(Boolean)) {
+    const separator = id.lastIndexOf('#');
+    if (separator === -1) {
+      const exchange = await readFilePair(dir, id);
+      if (exchange) {
+        found.set(id, exchange);
+      }
+    } else {
+      const file = id.slice(0, separator);
+      segments.set(file, [...(segments.get(file) || []), id]);
+    }
+  }
+
+  for (const [file, wanted] of segments) {
+    const wantedIds = new Set(wanted);
+    for (const exchange of await readSegmentFile(dir, file)) {
+      // Ids keep the name the segment had before it was compressed
+      exchange.id = `${file}#${exchange.seq}`;
+      if (wantedIds.has(exchange.id)) {
+        found.set(exchange.id, exchange);
+      }
+    }
+  }
+
+  for (const exchange of found.values()) {
+    exchange.request = await rebuildRequest(dir, exchange.request);
+  }
+  return ids.map(id => found.get(id) || null);
+}
+
+// Sequence numbers are looked up in the manifest: file pairs by their entry,
+// JSONL lines by the segment they fall in
+async function idsForSeqs(dir, keys) {
+  const manifest = await readManifest(dir) || {};
+  const pairs = new Map((manifest.entries || []).map(entry => [entry.seq, entry.request.slice(0, -REQUEST_SUFFIX.length)]));
+  const segments = manifest.segments || [];
+
+  return keys.map(key => {
+    if (typeof key !== 'number') {
+      return key;
+    }
+    if (pairs.has(key)) {
+      return pairs.get(key);
+    }
+    const segment = segments.filter(candidate => candidate.firstSeq <= key).pop();
+    return segment ? `${segment.file}#${key}` : null;
+  });
+}
+
+async function readFilePair(dir, id) {
+  try {
+    const request = JSON.parse(await fs.promises.readFile(path.join(dir, `${id}${REQUEST_SUFFIX}`), 'utf8'));
+    const response = JSON.parse(await fs.promises.readFile(path.join(dir, `${id}${RESPONSE_SUFFIX}`), 'utf8'));
+    return { id, timestamp: parseTimestamp(id), request, response };
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw error;
+  }
+}
+
+// A segment that has been rotated out since may have been compressed
+async function readSegmentFile(dir, file) {
+  try {
+    return await readSegment(dir, file);
+  } catch (error) {
+    if (error.code === 'ENOENT' && !file.endsWith('.gz')) {
+      return readSegment(dir, `${file}.gz`).catch(() => []);
+    }
+    if (error.code === 'ENOENT') {
+      return [];
+    }
+    throw error;
+  }
+}
+
+async function readManifest(dir) {
+  try {
+    return JSON.parse(await fs.promises.readFile(path.join(dir, MANIFEST_FILE), 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw error;
+  }
+}
+
+async function readFromManifest(dir, manifest, visit) {
+  for (const entry of manifest.entries || []) {
+    const request = JSON.parse(await fs.promises.readFile(path.join(dir, entry.request), 'utf8'));
+    const response = JSON.parse(await fs.promises.readFile(path.join(dir, entry.response), 'utf8'));
+    await visit({
+      id: entry.request.slice(0, -REQUEST_SUFFIX.length),
+      seq: entry.seq,
+      timestamp: entry.timestamp,
+      request,
+      response
+    });
+  }
+
+  for (const segment of manifest.segments || []) {
+    for (const exchange of await readSegment(dir, segment.file)) {
+      await visit(exchange);
+    }
+  }
+}
+
+// Requests without a saved response are skipped
+async function readFromListing(dir, visit) {
+  const files = await fs.promises.readdir(dir);
+  const fileSet = new Set(files);
+
+  const ids = files
+    .filter(file => file.endsWith(REQUEST_SUFFIX))
+    .map(file => file.slice(0, -REQUEST_SUFFIX.length))
+    .filter(id => fileSet.has(`${id}${RESPONSE_SUFFIX}`))
+    .sort();
+
+  for (const id of ids) {
+    await visit(await readFilePair(dir, id));
+  }
+
+  for (const file of files.filter(file => SEGMENT_PATTERN.test(file)).sort()) {
+    for (const exchange of await readSegment(dir, file)) {
+      await visit(exchange);
+    }
+  }
+}
+
+// One exchange per line; a partially written last line is ignored
+async function readSegment(dir, file) {
+  let content = await fs.promises.readFile(path.join(dir, file));
+  if (file.endsWith('.gz')) {
+    content = await gunzip(content);
+  }
+
+  const exchanges = [];
+  for (const line of content.toString('utf8').split('\n')) {
+    if (!line.trim()) {
+      continue;
+    }
+    try {
+      const entry = JSON.parse(line);
+      exchanges.push({
+        id: `${file}#${entry.seq}`,
+        seq: entry.seq,
+        timestamp: entry.timestamp,
+        request: entry.request,
+        response: entry.response
+      });
+    } catch (error) {
+      // Truncated by a crash mid-write
+    }
+  }
+  return exchanges;
+}
+
+function isBodyFile(data) {
+  return !!data && typeof data === 'object' && typeof data[FILE_KEY] === 'string';
+}
+
+// The bytes of a binary response body saved alongside the log group
+async function readBodyFile(logDir, data) {
+  return fs.promises.readFile(path.join(path.resolve(logDir), data[FILE_KEY]));
+}
+
+// Filenames start with the save time as YYYY-MM-DD_HH-MM-SS-mmm (UTC)
+function parseTimestamp(id) {
+  const match = id.match(/^(\d{4}-\d{2}-\d{2})_(\d{2})-(\d{2})-(\d{2})-(\d{3})/);
+  return match ? `${match[1]}T${match[2]}:${match[3]}:${match[4]}.${match[5]}Z` : null;
+}
+
+module.exports = {
+  readLogGroup,
+  readExchanges,
+  readSegment,
+  parseTimestamp,
+  isBodyFile,
+  readBodyFile,
+  REQUEST_SUFFIX,
+  RESPONSE_SUFFIX,
+  MANIFEST_FILE,
+  MANIFEST_VERSION,
+  FILES_DIR,
+  FILE_KEY
+};
@@ -1,21 +1,30 @@
 const chalk = require('chalk');
+const { formatCost } = require('../cost-tracker');
+const { formatCompactRateLimit } = require('../rate-limits');
 
-function logCompact(colorFn, modelKey, method, url, status, duration, cacheInfo, usageInfo) {
+const CACHE_LABEL_COLORS = {
+  FIRST: chalk.blue,
+  RESET: chalk.red,
+  DIFF: chalk.yellow,
+  CACHED: chalk.green
+};
+
+function getCacheLabel(cacheInfo) {
+  if (cacheInfo.isFirstRequest) return 'FIRST';
+  if (cacheInfo.cacheBusted) return 'RESET';
+  if (cacheInfo.hasDiff) return 'DIFF';
+  return 'CACHED';
+}
+
+function logCompact(colorFn, modelKey, method, url, status, duration, cacheInfo, usageInfo, extras = {}) {
   const timestamp = new Date().toISOString().substring(11, 19); // HH:MM:SS format
-  const modelDisplay = modelKey ? ` [${modelKey}]` : '';
+  const { ttft = null, streamError = null, streamIssues = [], cost = null, cacheMiss = null, threadId = null, listener = '', rewrites = [], fault = null, attempts = null, openai = false, rateLimit = null, plugin = null, guard = null } = extras;
+  const modelDisplay = modelKey ? ` [${modelKey}${threadId ? ` ${threadId}` : ''}]` : '';
   const tag = colorFn('>>');
 
   // Cache status indicators
-  let cacheStatus = '';
-  if (cacheInfo.isFirstRequest) {
-    cacheStatus = chalk.blue(' [FIRST]');
-  } else if (cacheInfo.cacheBusted) {
-    cacheStatus = chalk.red(' [RESET]');
-  } else if (cacheInfo.hasDiff) {
-    cacheStatus = chalk.yellow(' [DIFF]');
-  } else {
-    cacheStatus = chalk.green(' [CACHED]');
-  }
+  const cacheLabel = getCacheLabel(cacheInfo);
+  let cacheStatus = CACHE_LABEL_COLORS[cacheLabel](` [${cacheLabel}]`);
 
   // Usage info from response
   let usageDisplay = '';
@@ -34,7 +43,51 @@ function logCompact(colorFn, modelKey, method, url, status, duration, cacheInfo,
     usageDisplay += ` ${chalk.gray(`in:${inputTokens} out:${outputTokens}`)}`;
   }
 
-  console.log(`${tag}${colorFn(modelDisplay)} [${timestamp}] ${method} ${url} → ${status} (${duration}ms)${cacheStatus}${usageDisplay}`);
+  // Request cost and running session total
+  if (cost) {
+    usageDisplay += ` ${chalk.green(formatCost(cost.cost))}${chalk.gray(` Σ${formatCost(cost.total)}`)}`;
+  }
+
+  // Upstream prompt cache read less than the previous turn had cached
+  if (cacheMiss) {
+    const where = cacheMiss.change ? `${cacheMiss.change.path} @${cacheMiss.change.blockOffset}` : cacheMiss.reason;
+    cacheStatus += chalk.red(` [MISS: ${where}]`);
+  }
+
+  // Names of the rewrite rules that changed this request
+  const rewriteStatus = rewrites.length > 0 ? chalk.magenta(` [RW: ${rewrites.join(',')}]`) : '';
+
+  // Injected failures stand out so test runs are easy to audit
+  const faultStatus = fault ? ` ${chalk.bgRed.white(` FAULT: ${fault.name} (${fault.type}) `)}` : '';
+
+  const timing = ttft !== null ? `${duration}ms ttft:${ttft}ms` : `${duration}ms`;
+
+  // Requests translated from OpenAI Chat Completions
+  const openaiStatus = openai ? chalk.blue(' [OpenAI]') : '';
+
+  // Requests a guard rule blocked, or would have blocked in warn mode
+  let guardStatus = '';
+  if (guard) {
+    const rules = [...new Set(guard.violations.map(violation => violation.rule))].join(',');
+    guardStatus = guard.blocked ? ` ${chalk.bgYellow.black(` BLOCKED: ${rules} `)}` : chalk.yellow(` [GUARD: ${rules}]`);
+  }
+
+  // Requests a plugin answered without contacting target
+  const pluginStatus = plugin ? chalk.cyan(` [PLUGIN: ${plugin}]`) : '';
+
+  // Requests that were retried against target
+  const attemptStatus = attempts ? chalk.yellow(` [${attempts.length} attempts]`) : '';
+
+  // Problems found while reconstructing a streamed response
+  let streamStatus = '';
+  if (streamError) {
+    streamStatus = chalk.red(` [STREAM ERROR: ${streamError.type || 'unknown'}]`);
+  } else if (streamIssues.length > 0) {
+    const more = streamIssues.length > 1 ? ` (+${streamIssues.length - 1} more)` : '';
+    streamStatus = chalk.red(` [MALFORMED: ${streamIssues[0]}${more}]`);
+  }
+
+  console.log(`${tag}${colorFn(modelDisplay)} [${timestamp}]${listener} ${method} ${url} → ${status} (${timing})${attemptStatus}${guardStatus}${faultStatus}${pluginStatus}${openaiStatus}${rewriteStatus}${cacheStatus}${usageDisplay}${formatCompactRateLimit(rateLimit)}${streamStatus}`);
 }
 
-module.exports = { logCompact };
+module.exports = { logCompact, getCacheLabel };
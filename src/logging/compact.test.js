@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const chalk = require('chalk');
+const { logCompact, getCacheLabel } = require('./compact');
+
+chalk.level = 0;
+
+const FIRST = { isFirstRequest: true };
+const CACHED = { isFirstRequest: false, cacheBusted: false, hasDiff: false };
+const USAGE = { input_tokens: 12, output_tokens: 30, cache_read_input_tokens: 1000, cache_creation_input_tokens: 200 };
+
+// The line logCompact prints, without the HH:MM:SS timestamp
+function compactLine(t, cacheInfo, usageInfo, extras, status = 200) {
+  const log = t.mock.method(console, 'log', () => {});
+  logCompact(text => text, 'claude-sonnet-4-5', 'POST', '/v1/messages', status, 850, cacheInfo, usageInfo, extras);
+  assert.equal(log.mock.callCount(), 1);
+  return log.mock.calls[0].arguments[0].replace(/\[\d{2}:\d{2}:\d{2}\]/, '[time]');
+}
+
+test('getCacheLabel picks FIRST, RESET, DIFF or CACHED', () => {
+  assert.equal(getCacheLabel(FIRST), 'FIRST');
+  assert.equal(getCacheLabel({ cacheBusted: true, hasDiff: true }), 'RESET');
+  assert.equal(getCacheLabel({ hasDiff: true }), 'DIFF');
+  assert.equal(getCacheLabel(CACHED), 'CACHED');
+});
+
+test('a plain request shows model, thread, status, timing, cache label and usage', (t) => {
+  const line = compactLine(t, CACHED, USAGE, { threadId: 't2', ttft: 120, cost: { cost: 0.0123, total: 1.5 } });
+  assert.equal(line, '>> [claude-sonnet-4-5 t2] [time] POST /v1/messages → 200 (850ms ttft:120ms) [CACHED] cached:1000 create:200 in:12 out:30 $0.0123 Σ$1.50');
+});
+
+test('requests without usage leave the token counts out', (t) => {
+  const line = compactLine(t, FIRST, null, {}, 502);
+  assert.equal(line, '>> [claude-sonnet-4-5] [time] POST /v1/messages → 502 (850ms) [FIRST]');
+});
+
+test('markers appear in a fixed order', (t) => {
+  const line = compactLine(t, FIRST, null, {
+    attempts: [{}, {}],
+    guard: { blocked: false, violations: [{ rule: 'models' }, { rule: 'maxTokens' }, { rule: 'models' }] },
+    fault: { name: 'cut', type: 'stream_cut' },
+    plugin: 'mock',
+    openai: true,
+    rewrites: ['opus-trial', 'no-search'],
+    cacheMiss: { reason: 'prefix-changed', change: { path: 'system[0]', blockOffset: 42 } }
+  });
+  assert.equal(line, '>> [claude-sonnet-4-5] [time] POST /v1/messages → 200 (850ms) [2 attempts] [GUARD: models,maxTokens]  FAULT: cut (stream_cut)  [PLUGIN: mock] [OpenAI] [RW: opus-trial,no-search] [FIRST] [MISS: system[0] @42]');
+});
+
+test('blocked requests and cache misses without a change say why', (t) => {
+  const line = compactLine(t, CACHED, null, { guard: { blocked: true, violations: [{ rule: 'budget' }] }, cacheMiss: { reason: 'expired' } }, 403);
+  assert.match(line, / BLOCKED: budget /);
+  assert.match(line, /\[CACHED\] \[MISS: expired\]$/);
+});
+
+test('stream errors win over reconstruction issues', (t) => {
+  assert.match(compactLine(t, FIRST, null, { streamError: { type: 'overloaded_error' }, streamIssues: ['x'] }), /\[STREAM ERROR: overloaded_error\]$/);
+  t.mock.restoreAll();
+  assert.match(compactLine(t, FIRST, null, { streamIssues: ['Stream ended without message_stop (truncated)', 'y'] }), /\[MALFORMED: Stream ended without message_stop \(truncated\) \(\+1 more\)\]$/);
+});
@@ -0,0 +1,166 @@
+const chalk = require('chalk');
+const diff = require('deep-diff');
+const { stableStringify } = require('../hash');
+const { stripCacheControl } = require('../request-cache');
+const { firstDifference, snippet } = require('../prompt-cache');
+const { truncate } = require('./formatters');
+
+// Mutations of earlier messages beyond this many are counted, not listed
+const MAX_MUTATIONS_SHOWN = 5;
+
+const CONVERSATION_FIELDS = ['messages', 'system', 'tools'];
+
+function isMessagesBody(body) {
+  return !!body && typeof body === 'object' && Array.isArray(body.messages);
+}
+
+// Describes a Messages API turn relative to the previous one: appended
+// messages block by block, and changes to earlier messages, system or tools
+// (which invalidate the prompt cache) called out separately. Moving
+// cache_control breakpoints is normal and is not reported.
+function formatConversationDiff(previous, current, colorFn, options = {}) {
+  const maxLength = options.maxLength || null;
+  const output = [];
+
+  formatSettingChanges(previous, current, maxLength).forEach(line => output.push(chalk.yellow(line)));
+
+  if (!sameContent(previous.system, current.system)) {
+    output.push(chalk.red.bold(`  ⚠ System prompt changed`));
+    output.push(...textChange(previous.system, current.system, maxLength));
+  }
+
+  output.push(...formatToolChanges(previous.tools || [], current.tools || []));
+
+  const previousMessages = previous.messages || [];
+  const currentMessages = current.messages || [];
+
+  const mutated = [];
+  for (let i = 0; i < Math.min(previousMessages.length, currentMessages.length); i++) {
+    if (!sameContent(previousMessages[i], currentMessages[i])) {
+      mutated.push(i);
+    }
+  }
+  mutated.slice(0, MAX_MUTATIONS_SHOWN).forEach(index => {
+    output.push(chalk.red.bold(`  ⚠ Earlier message ${index} (${currentMessages[index].role}) was modified`));
+    output.push(...textChange(previousMessages[index], currentMessages[index], maxLength));
+  });
+  if (mutated.length > MAX_MUTATIONS_SHOWN) {
+    output.push(chalk.red.bold(`  ⚠ ...and ${mutated.length - MAX_MUTATIONS_SHOWN} more earlier messages modified`));
+  }
+
+  if (currentMessages.length < previousMessages.length) {
+    const removed = previousMessages.length - currentMessages.length;
+    output.push(chalk.red.bold(`  ⚠ ${removed} message${removed === 1 ? '' : 's'} removed from the end`));
+  }
+
+  const appended = currentMessages.slice(previousMessages.length);
+  if (appended.length > 0) {
+    output.push(chalk.green(`  + ${appended.length} message${appended.length === 1 ? '' : 's'} appended`));
+    appended.forEach(message => {
+      messageBlocks(message).forEach(block => {
+        output.push(chalk.green(`    [${message.role}] ${describeBlock(block, maxLength)}`));
+      });
+    });
+  }
+
+  if (output.length === 0) {
+    return colorFn('  No differences from cached request');
+  }
+  return output.join('\n');
+}
+
+// model, max_tokens, thinking, metadata and other request settings
+function formatSettingChanges(previous, current, maxLength) {
+  const settings = body => Object.fromEntries(Object.entries(body).filter(([key]) => !CONVERSATION_FIELDS.includes(key)));
+  const differences = diff.diff(settings(previous), settings(current)) || [];
+
+  return differences.map(d => {
+    const location = (d.path || []).join('.');
+    switch (d.kind) {
+      case 'N': return `  ~ ${location} set to ${truncate(JSON.stringify(d.rhs), maxLength)}`;
+      case 'D': return `  ~ ${location} removed`;
+      case 'A': return `  ~ ${location} changed`;
+      default: return `  ~ ${location}: ${truncate(JSON.stringify(d.lhs), maxLength)} → ${truncate(JSON.stringify(d.rhs), maxLength)}`;
+    }
+  });
+}
+
+function formatToolChanges(previousTools, currentTools) {
+  const previousByName = new Map(previousTools.map(tool => [tool.name, tool]));
+  const currentByName = new Map(currentTools.map(tool => [tool.name, tool]));
+
+  const added = currentTools.filter(tool => !previousByName.has(tool.name)).map(tool => tool.name);
+  const removed = previousTools.filter(tool => !currentByName.has(tool.name)).map(tool => tool.name);
+  const changed = currentTools
+    .filter(tool => previousByName.has(tool.name) && !sameContent(previousByName.get(tool.name), tool))
+    .map(tool => tool.name);
+
+  const output = [];
+  if (added.length > 0) output.push(chalk.red.bold(`  ⚠ Tools added: ${added.join(', ')}`));
+  if (removed.length > 0) output.push(chalk.red.bold(`  ⚠ Tools removed: ${removed.join(', ')}`));
+  if (changed.length > 0) output.push(chalk.red.bold(`  ⚠ Tool definitions changed: ${changed.join(', ')}`));
+
+  const previousOrder = previousTools.map(tool => tool.name).filter(name => currentByName.has(name));
+  const currentOrder = currentTools.map(tool => tool.name).filter(name => previousByName.has(name));
+  if (previousOrder.join('\n') !== currentOrder.join('\n')) {
+    output.push(chalk.red.bold('  ⚠ Tools reordered'));
+  }
+  return output;
+}
+
+// Before/after snippets around the first changed character
+function textChange(before, after, maxLength) {
+  const a = textOf(before);
+  const b = textOf(after);
+  const offset = firstDifference(a, b);
+  return [
+    chalk.red(`    - ${truncate(snippet(a, offset), maxLength)}`),
+    chalk.green(`    + ${truncate(snippet(b, offset), maxLength)}`)
+  ];
+}
+
+function textOf(value) {
+  if (value === undefined || value === null) return '';
+  return typeof value === 'string' ? value : stableStringify(stripCacheControl(value));
+}
+
+function sameContent(a, b) {
+  return stableStringify(stripCacheControl(a ?? null)) === stableStringify(stripCacheControl(b ?? null));
+}
+
+function messageBlocks(message) {
+  if (typeof message.content === 'string') {
+    return [{ type: 'text', text: message.content }];
+  }
+  return Array.isArray(message.content) ? message.content : [];
+}
+
+function describeBlock(block, maxLength) {
+  switch (block.type) {
+    case 'text':
+      return `text ${truncate(JSON.stringify(block.text), maxLength)}`;
+    case 'tool_use':
+      return `tool_use ${block.name} ${truncate(JSON.stringify(block.input), maxLength)}`;
+    case 'tool_result': {
+      const content = typeof block.content === 'string'
+        ? block.content
+        : (block.content || []).map(item => item.type === 'text' ? item.text : `[${item.type}]`).join('\n');
+      const status = block.is_error ? chalk.red('error') : 'ok';
+      return `tool_result ${block.tool_use_id} ${status}, ${content.length} chars ${truncate(JSON.stringify(content), maxLength)}`;
+    }
+    case 'thinking':
+      return `thinking (${(block.thinking || '').length} chars)`;
+    case 'redacted_thinking':
+      return 'redacted_thinking';
+    case 'image':
+    case 'document': {
+      const source = block.source || {};
+      const size = typeof source.data === 'string' ? `, ${Math.round(source.data.length * 3 / 4 / 1024)} KB` : '';
+      return `${block.type} (${source.media_type || source.type || 'unknown'}${size})`;
+    }
+    default:
+      return `${block.type} ${truncate(JSON.stringify(block), maxLength)}`;
+  }
+}
+
+module.exports = { formatConversationDiff, isMessagesBody };
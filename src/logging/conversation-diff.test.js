@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const chalk = require('chalk');
+const { formatConversationDiff, isMessagesBody } = require('./conversation-diff');
+
+chalk.level = 0;
+
+const SYSTEM = [{ type: 'text', text: 'You are helpful.', cache_control: { type: 'ephemeral' } }];
+const TOOLS = [{ name: 'Read', input_schema: { type: 'object' } }, { name: 'Bash', input_schema: { type: 'object' } }];
+const TURN_1 = { model: 'claude-sonnet-4-5', max_tokens: 1024, system: SYSTEM, tools: TOOLS, messages: [{ role: 'user', content: 'List the files' }] };
+
+function lines(previous, current, options) {
+  return formatConversationDiff(previous, current, text => text, options).split('\n');
+}
+
+test('appended messages are listed block by block', () => {
+  const turn2 = {
+    ...TURN_1,
+    messages: [
+      ...TURN_1.messages,
+      { role: 'assistant', content: [{ type: 'text', text: 'Listing.' }, { type: 'tool_use', id: 't1', name: 'Bash', input: { command: 'ls' } }] },
+      { role: 'user', content: [{ type: 'tool_result', tool_use_id: 't1', is_error: true, content: 'ls: permission denied' }] }
+    ]
+  };
+
+  assert.deepEqual(lines(TURN_1, turn2), [
+    '  + 2 messages appended',
+    '    [assistant] text "Listing."',
+    '    [assistant] tool_use Bash {"command":"ls"}',
+    '    [user] tool_result t1 error, 21 chars "ls: permission denied"'
+  ]);
+});
+
+test('moving cache_control breakpoints is not a difference', () => {
+  const unmarked = { ...TURN_1, system: [{ type: 'text', text: 'You are helpful.' }] };
+  assert.deepEqual(lines(unmarked, TURN_1), ['  No differences from cached request']);
+});
+
+test('settings, system, tools and earlier messages that changed are called out', () => {
+  const changed = {
+    ...TURN_1,
+    max_tokens: 2048,
+    system: [{ type: 'text', text: 'You are terse.' }],
+    tools: [TOOLS[1], { ...TOOLS[0], description: 'Reads a file' }, { name: 'Grep' }],
+    messages: [{ role: 'user', content: 'List every file' }]
+  };
+
+  assert.deepEqual(lines(TURN_1, changed), [
+    '  ~ max_tokens: 1024 → 2048',
+    '  ⚠ System prompt changed',
+    '    - [{"text":"You are helpful.","type":"text…',
+    '    + [{"text":"You are terse.","type":"text"}…',
+    '  ⚠ Tools added: Grep',
+    '  ⚠ Tool definitions changed: Read',
+    '  ⚠ Tools reordered',
+    '  ⚠ Earlier message 0 (user) was modified',
+    '    - {"content":"List the files","role":"user…',
+    '    + {"content":"List every file","role":"use…'
+  ]);
+});
+
+test('only the first few modified messages are shown', () => {
+  const messages = Array.from({ length: 8 }, (_, i) => ({ role: i % 2 === 0 ? 'user' : 'assistant', content: `message ${i}` }));
+  const edited = messages.map(message => ({ ...message, content: `${message.content} (edited)` }));
+
+  const output = lines({ ...TURN_1, messages }, { ...TURN_1, messages: edited });
+  assert.equal(output.filter(line => line.includes('was modified')).length, 5);
+  assert.equal(output[output.length - 1], '  ⚠ ...and 3 more earlier messages modified');
+});
+
+test('removed messages are reported and maxLength cuts off block previews', () => {
+  const longer = { ...TURN_1, messages: [...TURN_1.messages, { role: 'assistant', content: 'a'.repeat(40) }, { role: 'user', content: 'ok' }] };
+  const retried = { ...TURN_1, messages: [...TURN_1.messages, { role: 'assistant', content: 'b'.repeat(40) }] };
+
+  assert.deepEqual(lines(longer, retried, { maxLength: 10 }), [
+    '  ⚠ Earlier message 1 (assistant) was modified',
+    '    - {"content"… (+31 chars)',
+    '    + {"content"… (+31 chars)',
+    '  ⚠ 1 message removed from the end'
+  ]);
+  assert.deepEqual(lines(TURN_1, { ...TURN_1, messages: [...TURN_1.messages, { role: 'assistant', content: 'a'.repeat(40) }] }, { maxLength: 10 }), [
+    '  + 1 message appended',
+    '    [assistant] text "aaaaaaaaa… (+32 chars)'
+  ]);
+});
+
+test('only bodies with a messages array get the conversation view', () => {
+  assert.equal(isMessagesBody(TURN_1), true);
+  assert.equal(isMessagesBody({ model: 'claude-sonnet-4-5', prompt: 'hi' }), false);
+  assert.equal(isMessagesBody(null), false);
+});
@@ -6,9 +6,17 @@ function formatHeaders(headers) {
   return JSON.stringify(filtered, null, 2);
 }
 
-function formatBody(body) {
+// maxLength comes from logging.maxBodyLength; longer output is cut off
+function formatBody(body, maxLength = null) {
   const bodyStr = typeof body === 'string' ? body : JSON.stringify(body, null, 2);
-  return bodyStr || '';
+  return truncate(bodyStr || '', maxLength);
+}
+
+function truncate(text, maxLength) {
+  if (!maxLength || text.length <= maxLength) {
+    return text;
+  }
+  return `${text.substring(0, maxLength)}… (+${text.length - maxLength} chars)`;
 }
 
 function logWithOptionalColor(text, colorFn, modelKey, isResponse = false, useColorTag = true) {
@@ -88,6 +96,7 @@ function formatDiff(differences, colorFn) {
 module.exports = {
   formatHeaders,
   formatBody,
+  truncate,
   logWithOptionalColor,
   addColorTag,
   formatDiff
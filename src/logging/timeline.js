@@ -0,0 +1,93 @@
+const chalk = require('chalk');
+
+// Results that take longer than this to come back are highlighted
+const SLOW_TOOL_MS = 10000;
+const SUMMARY_LENGTH = 60;
+
+// Calls that were never answered are dropped once there are more than this many
+const MAX_PENDING_CALLS = 1000;
+
+// Input fields that say the most about a call, checked in order
+const KEY_INPUTS = ['file_path', 'path', 'command', 'pattern', 'url', 'query', 'description', 'prompt', 'notebook_path'];
+
+// tool_use id -> { name, summary, calledAt }
+const pendingCalls = new Map();
+
+// Remembers the tool calls in a response so their results can be matched later
+function recordToolCalls(responseData, completedAt) {
+  const content = responseData && typeof responseData === 'object' && Array.isArray(responseData.content)
+    ? responseData.content
+    : [];
+
+  return content
+    .filter(block => block.type === 'tool_use')
+    .map(block => {
+      const call = { id: block.id, name: block.name, summary: summarizeInput(block.input), calledAt: completedAt };
+      pendingCalls.set(block.id, call);
+      if (pendingCalls.size > MAX_PENDING_CALLS) {
+        pendingCalls.delete(pendingCalls.keys().next().value);
+      }
+      return call;
+    });
+}
+
+// tool_result blocks in the newest message that answer a recorded call.
+// Each result is matched once; later turns repeat it in their history.
+function matchToolResults(body, receivedAt) {
+  const messages = body && Array.isArray(body.messages) ? body.messages : [];
+  const last = messages[messages.length - 1];
+  if (!last || !Array.isArray(last.content)) {
+    return [];
+  }
+
+  return last.content
+    .filter(block => block.type === 'tool_result' && pendingCalls.has(block.tool_use_id))
+    .map(block => {
+      const call = pendingCalls.get(block.tool_use_id);
+      pendingCalls.delete(block.tool_use_id);
+      return {
+        ...call,
+        isError: !!block.is_error,
+        size: resultSize(block.content),
+        elapsed: receivedAt - call.calledAt
+      };
+    });
+}
+
+function resultSize(content) {
+  if (typeof content === 'string') {
+    return content.length;
+  }
+  return (content || []).reduce((total, item) => total + (item.type === 'text' ? item.text.length : 0), 0);
+}
+
+function summarizeInput(input) {
+  if (!input || typeof input !== 'object') {
+    return '';
+  }
+  const key = KEY_INPUTS.find(name => typeof input[name] === 'string')
+    || Object.keys(input).find(name => typeof input[name] === 'string');
+  if (!key) {
+    return '';
+  }
+  const value = input[key].replace(/\s+/g, ' ').trim();
+  return value.length > SUMMARY_LENGTH ? `${value.substring(0, SUMMARY_LENGTH)}…` : value;
+}
+
+function formatElapsed(ms) {
+  const text = ms >= 1000 ? `${(ms / 1000).toFixed(1)}s` : `${ms}ms`;
+  return ms >= SLOW_TOOL_MS ? chalk.yellow.bold(text) : chalk.gray(text);
+}
+
+function formatToolResults(results) {
+  return results.map(result => {
+    const status = result.isError ? chalk.red('error') : chalk.green('ok');
+    return `   ${chalk.green('←')} ${chalk.bold(result.name)} ${chalk.gray(result.summary)} ${status} ${chalk.gray(`${result.size} chars`)} after ${formatElapsed(result.elapsed)}`;
+  });
+}
+
+function formatToolCalls(calls) {
+  return calls.map(call => `   ${chalk.cyan('→')} ${chalk.bold(call.name)} ${chalk.gray(call.summary)}`);
+}
+
+module.exports = { recordToolCalls, matchToolResults, formatToolResults, formatToolCalls, summarizeInput };
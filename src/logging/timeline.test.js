@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const chalk = require('chalk');
+const { recordToolCalls, matchToolResults, formatToolResults, formatToolCalls, summarizeInput } = require('./timeline');
+
+chalk.level = 0;
+
+function response(...blocks) {
+  return { type: 'message', content: [{ type: 'text', text: 'Let me check.' }, ...blocks] };
+}
+
+function toolUse(id, name, input) {
+  return { type: 'tool_use', id, name, input };
+}
+
+function nextTurn(...results) {
+  return { messages: [{ role: 'user', content: 'hi' }, { role: 'assistant', content: [] }, { role: 'user', content: results }] };
+}
+
+test('summarizeInput prefers the fields that say the most and shortens long values', () => {
+  assert.equal(summarizeInput({ description: 'List files', command: 'ls -la\n  /tmp' }), 'ls -la /tmp');
+  assert.equal(summarizeInput({ other: 'value', count: 3 }), 'value');
+  assert.equal(summarizeInput({ count: 3 }), '');
+  assert.equal(summarizeInput(null), '');
+  assert.equal(summarizeInput({ prompt: 'x'.repeat(100) }), `${'x'.repeat(60)}…`);
+});
+
+test('tool calls are matched to their results in the next request', () => {
+  const calls = recordToolCalls(response(toolUse('toolu_a1', 'Read', { file_path: '/src/a.js' }), toolUse('toolu_a2', 'Bash', { command: 'npm test' })), 1000);
+  assert.deepEqual(calls.map(call => [call.name, call.summary]), [['Read', '/src/a.js'], ['Bash', 'npm test']]);
+
+  const results = matchToolResults(nextTurn(
+    { type: 'tool_result', tool_use_id: 'toolu_a1', content: 'file body' },
+    { type: 'tool_result', tool_use_id: 'toolu_a2', is_error: true, content: [{ type: 'text', text: 'failed' }, { type: 'image' }] }
+  ), 1250);
+
+  assert.deepEqual(results.map(({ name, isError, size, elapsed }) => ({ name, isError, size, elapsed })), [
+    { name: 'Read', isError: false, size: 9, elapsed: 250 },
+    { name: 'Bash', isError: true, size: 6, elapsed: 250 }
+  ]);
+});
+
+test('a result is matched once, even though later turns repeat it', () => {
+  recordToolCalls(response(toolUse('toolu_b1', 'Grep', { pattern: 'TODO' })), 0);
+  const turn = nextTurn({ type: 'tool_result', tool_use_id: 'toolu_b1', content: '' });
+
+  assert.equal(matchToolResults(turn, 10).length, 1);
+  assert.equal(matchToolResults(turn, 20).length, 0);
+});
+
+test('only results in the newest message are matched', () => {
+  recordToolCalls(response(toolUse('toolu_c1', 'Glob', { pattern: '*.js' })), 0);
+  const body = { messages: [{ role: 'user', content: [{ type: 'tool_result', tool_use_id: 'toolu_c1', content: '' }] }, { role: 'user', content: 'go on' }] };
+
+  assert.deepEqual(matchToolResults(body, 10), []);
+  assert.deepEqual(recordToolCalls('not a message', 0), []);
+});
+
+test('calls and results format as one line each', () => {
+  assert.deepEqual(formatToolCalls([{ name: 'Read', summary: '/a.js' }]), ['   → Read /a.js']);
+  assert.deepEqual(formatToolResults([
+    { name: 'Read', summary: '/a.js', isError: false, size: 120, elapsed: 40 },
+    { name: 'Bash', summary: 'npm test', isError: true, size: 9, elapsed: 12500 }
+  ]), [
+    '   ← Read /a.js ok 120 chars after 40ms',
+    '   ← Bash npm test error 9 chars after 12.5s'
+  ]);
+});
@@ -0,0 +1,120 @@
+const PREFIX = 'claude_proxy_';
+
+// Seconds; requests run from well under a second to several minutes
+const LATENCY_BUCKETS = [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120, 300];
+const TTFT_BUCKETS = [0.1, 0.25, 0.5, 1, 2, 3, 5, 10, 30];
+
+const TOKEN_TYPES = {
+  input: 'input_tokens',
+  output: 'output_tokens',
+  cache_read: 'cache_read_input_tokens',
+  cache_creation: 'cache_creation_input_tokens'
+};
+
+// Counters and histograms of completed exchanges in Prometheus' text format.
+// The proxy reports every exchange as it finishes, including ones the
+// dashboard has already dropped.
+class Metrics {
+  constructor() {
+    this.metrics = new Map();
+    this.define('requests_total', 'counter', 'Requests answered, by model, path and status');
+    this.define('request_duration_seconds', 'histogram', 'Time from receiving a request to the end of its response', LATENCY_BUCKETS);
+    this.define('time_to_first_token_seconds', 'histogram', 'Time to the first content of streamed responses', TTFT_BUCKETS);
+    this.define('tokens_total', 'counter', 'Tokens reported in response usage, by type');
+    this.define('upstream_errors_total', 'counter', 'Requests that got no response, a 5xx status or a stream error event from target');
+    this.define('cache_labels_total', 'counter', 'Requests by cache label (FIRST, CACHED, DIFF, RESET)');
+  }
+
+  define(name, type, help, buckets = null) {
+    this.metrics.set(name, { type, help, buckets, series: new Map() });
+  }
+
+  observe(record) {
+    const labels = { model: record.model || 'unknown', path: normalizePath(record.url), status: String(record.status) };
+
+    this.increment('requests_total', labels);
+    this.record('request_duration_seconds', labels, (record.duration || 0) / 1000);
+    if (record.ttft !== null && record.ttft !== undefined) {
+      this.record('time_to_first_token_seconds', labels, record.ttft / 1000);
+    }
+    if (record.usage) {
+      Object.entries(TOKEN_TYPES).forEach(([type, field]) => {
+        this.increment('tokens_total', { ...labels, type }, record.usage[field] || 0);
+      });
+    }
+    if (record.error || record.status >= 500 || record.streamError) {
+      this.increment('upstream_errors_total', labels);
+    }
+    if (record.cacheLabel) {
+      this.increment('cache_labels_total', { ...labels, label: record.cacheLabel });
+    }
+  }
+
+  increment(name, labels, amount = 1) {
+    const series = this.series(name, labels, () => ({ value: 0 }));
+    series.value += amount;
+  }
+
+  record(name, labels, value) {
+    const { buckets } = this.metrics.get(name);
+    const series = this.series(name, labels, () => ({ counts: buckets.map(() => 0), sum: 0, count: 0 }));
+    buckets.forEach((bound, index) => {
+      if (value <= bound) {
+        series.counts[index]++;
+      }
+    });
+    series.sum += value;
+    series.count++;
+  }
+
+  series(name, labels, create) {
+    const { series } = this.metrics.get(name);
+    const key = formatLabels(labels);
+    if (!series.has(key)) {
+      series.set(key, { labels, ...create() });
+    }
+    return series.get(key);
+  }
+
+  // The text exposition format served at /metrics
+  render() {
+    const lines = [];
+    this.metrics.forEach(({ type, help, buckets, series }, name) => {
+      const fullName = PREFIX + name;
+      lines.push(`# HELP ${fullName} ${help}`, `# TYPE ${fullName} ${type}`);
+      series.forEach(({ labels, value, counts, sum, count }) => {
+        if (type === 'counter') {
+          lines.push(`${fullName}${formatLabels(labels)} ${value}`);
+          return;
+        }
+        buckets.forEach((bound, index) => {
+          lines.push(`${fullName}_bucket${formatLabels({ ...labels, le: String(bound) })} ${counts[index]}`);
+        });
+        lines.push(`${fullName}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+        lines.push(`${fullName}_sum${formatLabels(labels)} ${sum}`);
+        lines.push(`${fullName}_count${formatLabels(labels)} ${count}`);
+      });
+    });
+    return `${lines.join('\n')}\n`;
+  }
+}
+
+// Paths without the query, and with ids (msg_..., file_..., UUIDs) collapsed
+// so every batch or file doesn't become a series of its own
+function normalizePath(url) {
+  return (url || '').split('?')[0]
+    .split('/')
+    .map(segment => (/^[a-z]+_[A-Za-z0-9]{8,}$/.test(segment) || /^[0-9a-f-]{32,36}$/i.test(segment) ? ':id' : segment))
+    .join('/');
+}
+
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([key, value]) => `${key}="${escapeLabel(value)}"`);
+  return `{${pairs.join(',')}}`;
+}
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+module.exports = { Metrics };
@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Metrics } = require('./metrics');
+
+const USAGE = { input_tokens: 10, output_tokens: 20, cache_read_input_tokens: 300, cache_creation_input_tokens: 0 };
+
+function lines(metrics, name) {
+  return metrics.render().split('\n').filter(line => line.startsWith(`claude_proxy_${name}`));
+}
+
+test('requests are counted and timed by model, path and status', () => {
+  const metrics = new Metrics();
+  metrics.observe({ model: 'claude-sonnet-4-5', url: '/v1/messages?beta=true', status: 200, duration: 800, ttft: 200 });
+  metrics.observe({ model: 'claude-sonnet-4-5', url: '/v1/messages', status: 200, duration: 3000, ttft: null });
+
+  const labels = 'model="claude-sonnet-4-5",path="/v1/messages",status="200"';
+  assert.deepEqual(lines(metrics, 'requests_total'), [`claude_proxy_requests_total{${labels}} 2`]);
+
+  const duration = lines(metrics, 'request_duration_seconds');
+  assert.ok(duration.includes(`claude_proxy_request_duration_seconds_bucket{${labels},le="0.5"} 0`));
+  assert.ok(duration.includes(`claude_proxy_request_duration_seconds_bucket{${labels},le="1"} 1`));
+  assert.ok(duration.includes(`claude_proxy_request_duration_seconds_bucket{${labels},le="5"} 2`));
+  assert.ok(duration.includes(`claude_proxy_request_duration_seconds_bucket{${labels},le="+Inf"} 2`));
+  assert.ok(duration.includes(`claude_proxy_request_duration_seconds_sum{${labels}} 3.8`));
+  assert.ok(lines(metrics, 'time_to_first_token_seconds').includes(`claude_proxy_time_to_first_token_seconds_count{${labels}} 1`));
+});
+
+test('tokens, upstream errors and cache labels get series of their own', () => {
+  const metrics = new Metrics();
+  metrics.observe({ model: 'claude-haiku-4-5', url: '/v1/messages', status: 200, duration: 10, usage: USAGE, cacheLabel: 'CACHED' });
+  metrics.observe({ model: 'claude-haiku-4-5', url: '/v1/messages', status: 200, duration: 10, streamError: { type: 'overloaded_error' } });
+  metrics.observe({ model: null, url: '/v1/models', status: 502, duration: 0 });
+
+  assert.deepEqual(lines(metrics, 'tokens_total'), [
+    'claude_proxy_tokens_total{model="claude-haiku-4-5",path="/v1/messages",status="200",type="input"} 10',
+    'claude_proxy_tokens_total{model="claude-haiku-4-5",path="/v1/messages",status="200",type="output"} 20',
+    'claude_proxy_tokens_total{model="claude-haiku-4-5",path="/v1/messages",status="200",type="cache_read"} 300',
+    'claude_proxy_tokens_total{model="claude-haiku-4-5",path="/v1/messages",status="200",type="cache_creation"} 0'
+  ]);
+  assert.deepEqual(lines(metrics, 'upstream_errors_total'), [
+    'claude_proxy_upstream_errors_total{model="claude-haiku-4-5",path="/v1/messages",status="200"} 1',
+    'claude_proxy_upstream_errors_total{model="unknown",path="/v1/models",status="502"} 1'
+  ]);
+  assert.deepEqual(lines(metrics, 'cache_labels_total'), [
+    'claude_proxy_cache_labels_total{model="claude-haiku-4-5",path="/v1/messages",status="200",label="CACHED"} 1'
+  ]);
+});
+
+test('ids in paths are collapsed and label values are escaped', () => {
+  const metrics = new Metrics();
+  metrics.observe({ model: 'say "hi"\\', url: '/v1/messages/batches/msgbatch_01AbCdEfGhIj/results', status: 200, duration: 1 });
+  metrics.observe({ model: 'claude-sonnet-4-5', url: '/v1/files/123e4567-e89b-12d3-a456-426614174000', status: 404, duration: 1 });
+
+  assert.deepEqual(lines(metrics, 'requests_total'), [
+    'claude_proxy_requests_total{model="say \\"hi\\"\\\\",path="/v1/messages/batches/:id/results",status="200"} 1',
+    'claude_proxy_requests_total{model="claude-sonnet-4-5",path="/v1/files/:id",status="404"} 1'
+  ]);
+});
+
+test('every metric is described even before anything is observed', () => {
+  const text = new Metrics().render();
+
+  assert.match(text, /^# HELP claude_proxy_requests_total Requests answered, by model, path and status\n# TYPE claude_proxy_requests_total counter\n/);
+  assert.match(text, /# TYPE claude_proxy_request_duration_seconds histogram\n/);
+  assert.ok(text.endsWith('\n'));
+});
@@ -0,0 +1,7 @@
+function simplifyModelName(modelName) {
+  if (!modelName) return modelName;
+  // Remove date suffixes like -20241022, -20250101, etc.
+  return modelName.replace(/-\d{8}$/, '');
+}
+
+module.exports = { simplifyModelName };
@@ -0,0 +1,184 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { hashValue } = require('./hash');
+
+const OBJECTS_DIR = 'objects';
+const REF_KEY = '$object';
+
+// Base64 strings at least this long (images, documents) are stored on their own
+const BLOB_MIN_LENGTH = 4096;
+const BASE64_PATTERN = /^[A-Za-z0-9+/=\r\n]+$/;
+
+// Content-addressed JSON values under <logDir>/objects/, one file per value.
+// A value is hashed as it serializes, so rebuilding it gives back the same JSON.
+class ObjectStore {
+  constructor(logDir) {
+    this.dir = path.join(path.resolve(logDir), OBJECTS_DIR);
+    this.known = new Set();
+  }
+
+  objectPath(hash, extension = 'json') {
+    return path.join(this.dir, hash.slice(0, 2), `${hash}.${extension}`);
+  }
+
+  async put(value) {
+    const text = JSON.stringify(value);
+    const hash = hashValue(text);
+    if (this.known.has(hash)) {
+      return hash;
+    }
+
+    const file = this.objectPath(hash);
+    try {
+      await fs.promises.access(file);
+    } catch (error) {
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      await fs.promises.writeFile(file, text, 'utf8');
+    }
+    this.known.add(hash);
+    return hash;
+  }
+
+  async get(hash) {
+    return JSON.parse(await fs.promises.readFile(this.objectPath(hash), 'utf8'));
+  }
+
+  // Raw bytes, kept next to the JSON values as <hash>.bin
+  async putBytes(bytes) {
+    const hash = hashBytes(bytes);
+    const file = this.objectPath(hash, 'bin');
+    try {
+      await fs.promises.access(file);
+    } catch (error) {
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      await fs.promises.writeFile(file, bytes);
+    }
+    return hash;
+  }
+
+  async getBytes(hash) {
+    return fs.promises.readFile(this.objectPath(hash, 'bin'));
+  }
+
+  // Hash and size of the bytes forwarded to target. When the saved body
+  // doesn't serialize back to them (other formatting, or a body that isn't
+  // JSON) the bytes are stored as well, unless redaction changed the body:
+  // they would hold what it removed.
+  async recordSent(bytes, body, redacted) {
+    const sent = { sha256: hashBytes(bytes), size: bytes.length };
+    if (!redacted && !serializeBody(body).equals(bytes)) {
+      sent.object = await this.putBytes(bytes);
+    }
+    return sent;
+  }
+
+  // Replaces system, tools, each message and large base64 strings with
+  // { "$object": hash } references
+  async dedupBody(body) {
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+      return body;
+    }
+
+    const result = { ...body };
+    if (body.system !== undefined) {
+      result.system = await this.ref(await this.extractBlobs(body.system));
+    }
+    if (Array.isArray(body.tools)) {
+      result.tools = await this.ref(body.tools);
+    }
+    if (Array.isArray(body.messages)) {
+      result.messages = [];
+      for (const message of body.messages) {
+        result.messages.push(await this.ref(await this.extractBlobs(message)));
+      }
+    }
+    return result;
+  }
+
+  async extractBlobs(value) {
+    if (typeof value === 'string') {
+      return value.length >= BLOB_MIN_LENGTH && BASE64_PATTERN.test(value) ? this.ref(value) : value;
+    }
+    if (Array.isArray(value)) {
+      const result = [];
+      for (const item of value) {
+        result.push(await this.extractBlobs(item));
+      }
+      return result;
+    }
+    if (value && typeof value === 'object') {
+      const result = {};
+      for (const [key, item] of Object.entries(value)) {
+        result[key] = await this.extractBlobs(item);
+      }
+      return result;
+    }
+    return value;
+  }
+
+  async ref(value) {
+    return { [REF_KEY]: await this.put(value) };
+  }
+
+  // Resolves references recursively, keeping the original key order
+  async rebuild(value) {
+    if (isRef(value)) {
+      return this.rebuild(await this.get(value[REF_KEY]));
+    }
+    if (Array.isArray(value)) {
+      const result = [];
+      for (const item of value) {
+        result.push(await this.rebuild(item));
+      }
+      return result;
+    }
+    if (value && typeof value === 'object') {
+      const result = {};
+      for (const [key, item] of Object.entries(value)) {
+        result[key] = await this.rebuild(item);
+      }
+      return result;
+    }
+    return value;
+  }
+}
+
+function hashBytes(bytes) {
+  return crypto.createHash('sha256').update(bytes).digest('hex');
+}
+
+function serializeBody(body) {
+  return Buffer.from(typeof body === 'string' ? body : JSON.stringify(body ?? null), 'utf8');
+}
+
+function isRef(value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value) &&
+    Object.keys(value).length === 1 && typeof value[REF_KEY] === 'string';
+}
+
+// Gives back a saved request with its body as it was sent. Requests saved
+// without dedup are returned unchanged.
+async function rebuildRequest(logDir, request) {
+  if (request.bodyStorage !== OBJECTS_DIR) {
+    return request;
+  }
+
+  const { bodyStorage, ...rest } = request;
+  return { ...rest, body: await new ObjectStore(logDir).rebuild(request.body) };
+}
+
+// The body of a rebuilt request as the bytes forwarded to target. exact is
+// false when they can't be given back (the body was redacted) and null for
+// requests saved without their hash.
+async function requestBytes(logDir, request) {
+  const sent = request.sentBody;
+  if (sent && sent.object) {
+    return { bytes: await new ObjectStore(logDir).getBytes(sent.object), exact: true };
+  }
+
+  const bytes = serializeBody(request.body);
+  return { bytes, exact: sent ? hashBytes(bytes) === sent.sha256 : null };
+}
+
+module.exports = { ObjectStore, rebuildRequest, requestBytes, OBJECTS_DIR };
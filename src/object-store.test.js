@@ -0,0 +1,135 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ObjectStore, rebuildRequest, requestBytes, OBJECTS_DIR } = require('./object-store');
+const { RequestLogger } = require('./request-logger');
+const { readLogGroup } = require('./log-reader');
+const { Redactor } = require('./redact');
+
+function tempDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'objects-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+function countObjects(dir) {
+  const root = path.join(dir, OBJECTS_DIR);
+  return fs.readdirSync(root).reduce((count, prefix) => count + fs.readdirSync(path.join(root, prefix)).length, 0);
+}
+
+const IMAGE = 'iVBORw0KGgo'.repeat(500);
+
+const TURN_1 = {
+  model: 'claude-sonnet-4-5',
+  max_tokens: 100,
+  system: [{ type: 'text', text: 'You are helpful.', cache_control: { type: 'ephemeral' } }],
+  tools: [{ name: 'Read', input_schema: { type: 'object' } }],
+  messages: [
+    { role: 'user', content: [{ type: 'image', source: { type: 'base64', media_type: 'image/png', data: IMAGE } }, { type: 'text', text: 'What is this?' }] }
+  ]
+};
+
+const TURN_2 = {
+  ...TURN_1,
+  messages: [...TURN_1.messages, { role: 'assistant', content: 'A logo.' }, { role: 'user', content: 'Thanks' }]
+};
+
+test('dedupBody replaces system, tools and each message with references', async (t) => {
+  const store = new ObjectStore(tempDir(t));
+  const body = await store.dedupBody(TURN_1);
+
+  assert.equal(body.model, 'claude-sonnet-4-5');
+  assert.equal(body.max_tokens, 100);
+  assert.deepEqual(Object.keys(body.system), ['$object']);
+  assert.deepEqual(Object.keys(body.tools), ['$object']);
+  assert.equal(body.messages.length, 1);
+  assert.deepEqual(Object.keys(body.messages[0]), ['$object']);
+});
+
+test('values shared between turns are stored once', async (t) => {
+  const dir = tempDir(t);
+  const store = new ObjectStore(dir);
+
+  const first = await store.dedupBody(TURN_1);
+  const objectsAfterFirst = countObjects(dir);
+  const second = await store.dedupBody(TURN_2);
+
+  assert.deepEqual(second.system, first.system);
+  assert.deepEqual(second.tools, first.tools);
+  assert.deepEqual(second.messages[0], first.messages[0]);
+  // Only the two new messages are added
+  assert.equal(countObjects(dir), objectsAfterFirst + 2);
+});
+
+test('large base64 strings are stored on their own', async (t) => {
+  const store = new ObjectStore(tempDir(t));
+  const body = await store.dedupBody(TURN_1);
+  const message = await store.get(body.messages[0].$object);
+
+  assert.deepEqual(Object.keys(message.content[0].source.data), ['$object']);
+  assert.equal(await store.get(message.content[0].source.data.$object), IMAGE);
+  assert.equal(message.content[1].text, 'What is this?');
+});
+
+test('rebuildRequest gives back the original body with its key order', async (t) => {
+  const dir = tempDir(t);
+  const body = await new ObjectStore(dir).dedupBody(TURN_2);
+
+  const rebuilt = await rebuildRequest(dir, { method: 'POST', body, bodyStorage: OBJECTS_DIR });
+
+  assert.equal(JSON.stringify(rebuilt.body), JSON.stringify(TURN_2));
+  assert.equal(rebuilt.bodyStorage, undefined);
+});
+
+test('rebuildRequest leaves requests saved without dedup unchanged', async (t) => {
+  const request = { method: 'POST', body: { $object: 'not a reference here' } };
+  assert.equal(await rebuildRequest(tempDir(t), request), request);
+});
+
+test('dedupBody leaves bodies that are not objects alone', async (t) => {
+  const store = new ObjectStore(tempDir(t));
+  assert.equal(await store.dedupBody('plain text'), 'plain text');
+  assert.equal(await store.dedupBody(null), null);
+  assert.deepEqual(await store.dedupBody([1, 2]), [1, 2]);
+});
+
+// Saves one deduplicated request forwarded as the given bytes and reads it back
+async function saveAndRebuild(t, sentBody, options = {}) {
+  const dir = tempDir(t);
+  t.mock.method(console, 'log', () => {});
+  const logger = new RequestLogger(dir, { dedup: true, ...options });
+  await logger.saveRequest(
+    { method: 'POST', url: '/v1/messages', headers: {}, query: {}, body: JSON.parse(sentBody.toString('utf8')), sentBody, modelKey: 'claude-sonnet-4-5' },
+    { status: 200, statusText: 'OK', headers: {}, data: { content: [] }, duration: 5 }
+  );
+  const [exchange] = await readLogGroup(dir);
+  return { dir, ...await requestBytes(dir, exchange.request) };
+}
+
+test('rebuilt bodies are the bytes that were forwarded', async (t) => {
+  const forwarded = Buffer.from(JSON.stringify(TURN_2), 'utf8');
+  const { bytes, exact } = await saveAndRebuild(t, forwarded);
+
+  assert.equal(exact, true);
+  assert.deepEqual(bytes, forwarded);
+});
+
+test('bodies forwarded with other formatting are kept as sent', async (t) => {
+  const forwarded = Buffer.from(JSON.stringify(TURN_2, null, 2), 'utf8');
+  const { dir, bytes, exact } = await saveAndRebuild(t, forwarded);
+
+  assert.equal(exact, true);
+  assert.deepEqual(bytes, forwarded);
+  assert.equal(fs.readdirSync(path.join(dir, OBJECTS_DIR), { recursive: true }).filter(file => file.endsWith('.bin')).length, 1);
+});
+
+test('redacted bodies are not kept as sent and rebuild says they differ', async (t) => {
+  const forwarded = Buffer.from(JSON.stringify({ ...TURN_2, metadata: { user_id: 'secret-42' } }, null, 2), 'utf8');
+  const { dir, bytes, exact } = await saveAndRebuild(t, forwarded, { redactor: new Redactor({ patterns: ['secret-[0-9]+'] }) });
+
+  assert.equal(exact, false);
+  assert.doesNotMatch(bytes.toString('utf8'), /secret-42/);
+  assert.equal(fs.readdirSync(path.join(dir, OBJECTS_DIR), { recursive: true }).some(file => file.endsWith('.bin')), false);
+});
@@ -0,0 +1,393 @@
+const { Transform } = require('stream');
+const { StringDecoder } = require('string_decoder');
+const { parseSSE } = require('./sse-parser');
+
+const DEFAULT_PATH = '/v1/chat/completions';
+const MESSAGES_PATH = '/v1/messages';
+const DEFAULT_MAX_TOKENS = 4096;
+const ANTHROPIC_VERSION = '2023-06-01';
+
+const FINISH_REASONS = {
+  end_turn: 'stop',
+  stop_sequence: 'stop',
+  pause_turn: 'stop',
+  max_tokens: 'length',
+  tool_use: 'tool_calls',
+  refusal: 'content_filter'
+};
+
+const TOOL_CHOICES = {
+  auto: { type: 'auto' },
+  none: { type: 'none' },
+  required: { type: 'any' }
+};
+
+// Accepts OpenAI Chat Completions requests and forwards them to target as
+// Messages API requests. Responses, streamed or not, are translated back.
+class ChatCompletionsFrontend {
+  constructor(openaiConfig = {}) {
+    this.enabled = !!openaiConfig.enabled;
+    this.path = openaiConfig.path || DEFAULT_PATH;
+    this.models = openaiConfig.models || {};
+    this.maxTokens = openaiConfig.maxTokens || DEFAULT_MAX_TOKENS;
+  }
+
+  matches(method, url) {
+    return this.enabled && method === 'POST' && url.split('?')[0] === this.path;
+  }
+
+  // OpenAI clients send their key as a bearer token
+  translateHeaders(headers) {
+    const translated = { ...headers };
+    const bearer = /^Bearer\s+(.+)$/i.exec(headers.authorization || '');
+    if (bearer && !translated['x-api-key']) {
+      translated['x-api-key'] = bearer[1];
+      delete translated.authorization;
+    }
+    if (!translated['anthropic-version']) {
+      translated['anthropic-version'] = ANTHROPIC_VERSION;
+    }
+    return translated;
+  }
+
+  // Returns the Messages API request to send, plus what is needed to answer
+  // in OpenAI's format. Throws a 400 error for requests that can't be translated.
+  translateRequest(url, chat) {
+    if (!chat || typeof chat !== 'object' || !Array.isArray(chat.messages)) {
+      throw badRequest('messages must be an array');
+    }
+    if (chat.n !== undefined && chat.n !== 1) {
+      throw badRequest('n other than 1 is not supported');
+    }
+
+    return {
+      url: MESSAGES_PATH + url.slice(this.path.length),
+      body: this.toMessagesRequest(chat),
+      model: chat.model,
+      stream: !!chat.stream,
+      includeUsage: !!(chat.stream_options && chat.stream_options.include_usage)
+    };
+  }
+
+  toMessagesRequest(chat) {
+    const system = [];
+    const messages = [];
+
+    // Consecutive turns of the same role are merged, as the Messages API alternates roles
+    const append = (role, blocks) => {
+      if (blocks.length === 0) return;
+      const last = messages[messages.length - 1];
+      if (last && last.role === role) {
+        last.content.push(...blocks);
+      } else {
+        messages.push({ role, content: blocks });
+      }
+    };
+
+    chat.messages.forEach((message, index) => {
+      switch (message.role) {
+        case 'system':
+        case 'developer':
+          system.push(textOf(message.content));
+          break;
+        case 'user':
+          append('user', contentBlocks(message.content, index));
+          break;
+        case 'assistant':
+          append('assistant', [
+            ...contentBlocks(message.content, index),
+            ...(message.tool_calls || []).map(call => ({
+              type: 'tool_use',
+              id: call.id,
+              name: call.function.name,
+              input: parseArguments(call.function.arguments)
+            }))
+          ]);
+          break;
+        case 'tool':
+          append('user', [{ type: 'tool_result', tool_use_id: message.tool_call_id, content: textOf(message.content) }]);
+          break;
+        default:
+          throw badRequest(`messages[${index}] has unsupported role ${message.role}`);
+      }
+    });
+
+    const body = {
+      model: this.models[chat.model] || chat.model,
+      max_tokens: chat.max_completion_tokens ?? chat.max_tokens ?? this.maxTokens,
+      messages
+    };
+    if (system.length > 0) {
+      body.system = system.join('\n\n');
+    }
+    // OpenAI allows temperatures up to 2, Anthropic up to 1
+    if (typeof chat.temperature === 'number') {
+      body.temperature = Math.min(chat.temperature, 1);
+    }
+    if (typeof chat.top_p === 'number') {
+      body.top_p = chat.top_p;
+    }
+    if (chat.stop) {
+      body.stop_sequences = [].concat(chat.stop);
+    }
+    if (chat.user) {
+      body.metadata = { user_id: chat.user };
+    }
+
+    const tools = (chat.tools || []).filter(tool => tool.type === 'function');
+    if (tools.length > 0) {
+      body.tools = tools.map(({ function: fn }) => ({
+        name: fn.name,
+        ...(fn.description ? { description: fn.description } : {}),
+        input_schema: fn.parameters || { type: 'object', properties: {} }
+      }));
+    }
+
+    const toolChoice = toToolChoice(chat.tool_choice);
+    if (toolChoice || chat.parallel_tool_calls === false) {
+      body.tool_choice = { ...(toolChoice || TOOL_CHOICES.auto) };
+      if (chat.parallel_tool_calls === false) {
+        body.tool_choice.disable_parallel_tool_use = true;
+      }
+    }
+    if (chat.stream) {
+      body.stream = true;
+    }
+    return body;
+  }
+}
+
+function badRequest(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+function textOf(content) {
+  if (typeof content === 'string') {
+    return content;
+  }
+  return (content || [])
+    .filter(part => part.type === 'text')
+    .map(part => part.text)
+    .join('\n');
+}
+
+function contentBlocks(content, index) {
+  if (content === null || content === undefined) {
+    return [];
+  }
+  if (typeof content === 'string') {
+    return content ? [{ type: 'text', text: content }] : [];
+  }
+
+  return content.map(part => {
+    if (part.type === 'text') {
+      return { type: 'text', text: part.text };
+    }
+    if (part.type === 'image_url') {
+      return { type: 'image', source: imageSource(part.image_url.url) };
+    }
+    throw badRequest(`messages[${index}] has unsupported content part ${part.type}`);
+  }).filter(block => block.type !== 'text' || block.text);
+}
+
+function imageSource(url) {
+  const data = /^data:([^;,]+);base64,(.*)$/s.exec(url);
+  return data
+    ? { type: 'base64', media_type: data[1], data: data[2] }
+    : { type: 'url', url };
+}
+
+// Tool call arguments are a JSON string in OpenAI's format
+function parseArguments(text) {
+  if (!text) {
+    return {};
+  }
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    throw badRequest(`tool call arguments are not valid JSON: ${text.substring(0, 100)}`);
+  }
+}
+
+function toToolChoice(choice) {
+  if (!choice) {
+    return null;
+  }
+  if (typeof choice === 'string') {
+    return TOOL_CHOICES[choice] || null;
+  }
+  return choice.function ? { type: 'tool', name: choice.function.name } : null;
+}
+
+function toUsage(usage) {
+  if (!usage) {
+    return null;
+  }
+  const cached = usage.cache_read_input_tokens || 0;
+  const prompt = (usage.input_tokens || 0) + cached + (usage.cache_creation_input_tokens || 0);
+  const completion = usage.output_tokens || 0;
+  return {
+    prompt_tokens: prompt,
+    completion_tokens: completion,
+    total_tokens: prompt + completion,
+    prompt_tokens_details: { cached_tokens: cached }
+  };
+}
+
+function toToolCall(block) {
+  return { id: block.id, type: 'function', function: { name: block.name, arguments: JSON.stringify(block.input || {}) } };
+}
+
+// A Messages API response as the chat.completion object OpenAI would return
+function toChatCompletion(message, model) {
+  const content = message.content || [];
+  const text = content.filter(block => block.type === 'text').map(block => block.text).join('');
+  const toolCalls = content.filter(block => block.type === 'tool_use').map(toToolCall);
+
+  return {
+    id: `chatcmpl-${message.id}`,
+    object: 'chat.completion',
+    created: Math.floor(Date.now() / 1000),
+    model,
+    choices: [{
+      index: 0,
+      message: {
+        role: 'assistant',
+        content: text || (toolCalls.length > 0 ? null : ''),
+        ...(toolCalls.length > 0 ? { tool_calls: toolCalls } : {}),
+        refusal: null
+      },
+      logprobs: null,
+      finish_reason: FINISH_REASONS[message.stop_reason] || 'stop'
+    }],
+    usage: toUsage(message.usage)
+  };
+}
+
+// Error bodies in OpenAI's { error: { message, type } } shape
+function toChatError(data, fallbackMessage) {
+  const error = data && typeof data === 'object' && data.error ? data.error : null;
+  return {
+    error: {
+      message: error ? error.message : (typeof data === 'string' && data) || fallbackMessage,
+      type: error ? error.type : 'api_error',
+      param: null,
+      code: null
+    }
+  };
+}
+
+function isObject(value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+// The body to send to the client, or null when the response is neither a
+// message nor an error and should be passed through unchanged
+function translateResponse(data, status, model) {
+  if (data && typeof data === 'object' && data.type === 'message') {
+    return toChatCompletion(data, model);
+  }
+  if (status >= 400 || (data && typeof data === 'object' && data.type === 'error')) {
+    return toChatError(data, `Upstream returned ${status}`);
+  }
+  return null;
+}
+
+// Rewrites a Messages API event stream into chat.completion.chunk events
+class ChatCompletionStream extends Transform {
+  constructor({ model, includeUsage = false }) {
+    super();
+    this.model = model;
+    this.includeUsage = includeUsage;
+    this.decoder = new StringDecoder('utf8');
+    this.pending = '';
+    this.id = null;
+    this.created = Math.floor(Date.now() / 1000);
+    // Content block index -> position in tool_calls
+    this.toolCalls = new Map();
+    this.usage = {};
+  }
+
+  _transform(chunk, encoding, callback) {
+    this.pending += this.decoder.write(chunk);
+    const blocks = this.pending.split(/\r?\n\r?\n/);
+    this.pending = blocks.pop();
+    blocks.forEach(block => this.translate(block));
+    callback();
+  }
+
+  _flush(callback) {
+    this.pending += this.decoder.end();
+    if (this.pending.trim()) {
+      this.translate(this.pending);
+    }
+    this.push('data: [DONE]\n\n');
+    callback();
+  }
+
+  // Events without the expected shape are skipped; anything that still
+  // fails is sent to the client as an error chunk instead of ending the stream
+  translate(block) {
+    parseSSE(block).forEach(({ event, data }) => {
+      if (!isObject(data)) return;
+      try {
+        this.translateEvent(event, data);
+      } catch (error) {
+        this.send(toChatError(null, `Could not translate ${event} event: ${error.message}`));
+      }
+    });
+  }
+
+  translateEvent(event, data) {
+    switch (event) {
+      case 'message_start':
+        if (!isObject(data.message)) return;
+        this.id = `chatcmpl-${data.message.id}`;
+        Object.assign(this.usage, isObject(data.message.usage) ? data.message.usage : {});
+        this.sendDelta({ role: 'assistant', content: '' });
+        break;
+      case 'content_block_start':
+        if (isObject(data.content_block) && data.content_block.type === 'tool_use') {
+          const index = this.toolCalls.size;
+          this.toolCalls.set(data.index, index);
+          const { id, name } = data.content_block;
+          this.sendDelta({ tool_calls: [{ index, id, type: 'function', function: { name, arguments: '' } }] });
+        }
+        break;
+      case 'content_block_delta':
+        if (!isObject(data.delta)) return;
+        if (data.delta.type === 'text_delta' && typeof data.delta.text === 'string') {
+          this.sendDelta({ content: data.delta.text });
+        } else if (data.delta.type === 'input_json_delta' && this.toolCalls.has(data.index)) {
+          this.sendDelta({ tool_calls: [{ index: this.toolCalls.get(data.index), function: { arguments: data.delta.partial_json } }] });
+        }
+        break;
+      case 'message_delta':
+        Object.assign(this.usage, isObject(data.usage) ? data.usage : {});
+        this.sendDelta({}, FINISH_REASONS[isObject(data.delta) ? data.delta.stop_reason : null] || 'stop');
+        if (this.includeUsage) {
+          this.send({ ...this.chunk(), choices: [], usage: toUsage(this.usage) });
+        }
+        break;
+      case 'error':
+        this.send(toChatError(data, 'Stream error'));
+        break;
+    }
+  }
+
+  chunk() {
+    return { id: this.id, object: 'chat.completion.chunk', created: this.created, model: this.model };
+  }
+
+  sendDelta(delta, finishReason = null) {
+    this.send({ ...this.chunk(), choices: [{ index: 0, delta, logprobs: null, finish_reason: finishReason }] });
+  }
+
+  send(payload) {
+    this.push(`data: ${JSON.stringify(payload)}\n\n`);
+  }
+}
+
+module.exports = { ChatCompletionsFrontend, ChatCompletionStream, translateResponse, toChatCompletion, toChatError };
@@ -0,0 +1,176 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ChatCompletionsFrontend, ChatCompletionStream, translateResponse } = require('./openai');
+
+const frontend = new ChatCompletionsFrontend({ enabled: true, models: { 'gpt-4o': 'claude-sonnet-4-5' }, maxTokens: 2048 });
+
+function sse(event, data) {
+  return `event: ${event}\ndata: ${typeof data === 'string' ? data : JSON.stringify(data)}\n\n`;
+}
+
+// Writes the events to a stream in chunks that split them at odd places,
+// and returns the data payloads it produced
+async function translateStream(text, options = {}) {
+  const stream = new ChatCompletionStream({ model: 'gpt-4o', ...options });
+  const output = [];
+  stream.on('data', chunk => output.push(chunk.toString('utf8')));
+  const done = new Promise(resolve => stream.on('end', resolve));
+  for (let i = 0; i < text.length; i += 7) {
+    stream.write(Buffer.from(text.slice(i, i + 7)));
+  }
+  stream.end();
+  await done;
+  return output.join('')
+    .split('\n\n')
+    .filter(Boolean)
+    .map(line => line.replace(/^data: /, ''))
+    .map(data => (data === '[DONE]' ? data : JSON.parse(data)));
+}
+
+test('matches only POSTs to the configured path', () => {
+  assert.equal(frontend.matches('POST', '/v1/chat/completions?x=1'), true);
+  assert.equal(frontend.matches('GET', '/v1/chat/completions'), false);
+  assert.equal(new ChatCompletionsFrontend({}).matches('POST', '/v1/chat/completions'), false);
+});
+
+test('bearer tokens become x-api-key and a version is added', () => {
+  assert.deepEqual(frontend.translateHeaders({ authorization: 'Bearer sk-test', 'content-type': 'application/json' }), {
+    'content-type': 'application/json',
+    'x-api-key': 'sk-test',
+    'anthropic-version': '2023-06-01'
+  });
+});
+
+test('chat requests become Messages API requests', () => {
+  const { url, body, model, stream, includeUsage } = frontend.translateRequest('/v1/chat/completions', {
+    model: 'gpt-4o',
+    messages: [
+      { role: 'system', content: 'Be brief' },
+      { role: 'developer', content: [{ type: 'text', text: 'Use tools' }] },
+      { role: 'user', content: 'Read a.js' },
+      { role: 'assistant', content: null, tool_calls: [{ id: 'toolu_1', type: 'function', function: { name: 'Read', arguments: '{"file_path":"a.js"}' } }] },
+      { role: 'tool', tool_call_id: 'toolu_1', content: 'file body' },
+      { role: 'user', content: [{ type: 'text', text: 'And this?' }, { type: 'image_url', image_url: { url: 'data:image/png;base64,iVBOR' } }] }
+    ],
+    temperature: 1.5,
+    stop: 'END',
+    user: 'u1',
+    stream: true,
+    stream_options: { include_usage: true },
+    tools: [{ type: 'function', function: { name: 'Read', parameters: { type: 'object' } } }],
+    tool_choice: 'required',
+    parallel_tool_calls: false
+  });
+
+  assert.equal(url, '/v1/messages');
+  assert.equal(model, 'gpt-4o');
+  assert.equal(stream, true);
+  assert.equal(includeUsage, true);
+  assert.deepEqual(body, {
+    model: 'claude-sonnet-4-5',
+    max_tokens: 2048,
+    messages: [
+      { role: 'user', content: [{ type: 'text', text: 'Read a.js' }] },
+      { role: 'assistant', content: [{ type: 'tool_use', id: 'toolu_1', name: 'Read', input: { file_path: 'a.js' } }] },
+      {
+        role: 'user',
+        content: [
+          { type: 'tool_result', tool_use_id: 'toolu_1', content: 'file body' },
+          { type: 'text', text: 'And this?' },
+          { type: 'image', source: { type: 'base64', media_type: 'image/png', data: 'iVBOR' } }
+        ]
+      }
+    ],
+    system: 'Be brief\n\nUse tools',
+    temperature: 1,
+    stop_sequences: ['END'],
+    metadata: { user_id: 'u1' },
+    tools: [{ name: 'Read', input_schema: { type: 'object' } }],
+    tool_choice: { type: 'any', disable_parallel_tool_use: true },
+    stream: true
+  });
+});
+
+test('requests that cannot be translated are 400 errors', () => {
+  const attempt = chat => {
+    try {
+      frontend.translateRequest('/v1/chat/completions', chat);
+    } catch (error) {
+      return [error.status, error.message];
+    }
+    return null;
+  };
+
+  assert.deepEqual(attempt({}), [400, 'messages must be an array']);
+  assert.deepEqual(attempt({ messages: [], n: 2 }), [400, 'n other than 1 is not supported']);
+  assert.deepEqual(attempt({ messages: [{ role: 'function', content: '' }] }), [400, 'messages[0] has unsupported role function']);
+  assert.deepEqual(attempt({ messages: [{ role: 'user', content: [{ type: 'input_audio' }] }] }), [400, 'messages[0] has unsupported content part input_audio']);
+  assert.equal(attempt({ messages: [{ role: 'assistant', tool_calls: [{ id: 'a', function: { name: 'x', arguments: '{' } }] }] })[0], 400);
+});
+
+test('messages and errors are translated back', () => {
+  const completion = translateResponse({
+    id: 'msg_1',
+    type: 'message',
+    content: [{ type: 'text', text: 'Reading' }, { type: 'tool_use', id: 'toolu_1', name: 'Read', input: { file_path: 'a.js' } }],
+    stop_reason: 'tool_use',
+    usage: { input_tokens: 10, output_tokens: 5, cache_read_input_tokens: 100 }
+  }, 200, 'gpt-4o');
+
+  assert.equal(completion.id, 'chatcmpl-msg_1');
+  assert.equal(completion.model, 'gpt-4o');
+  assert.deepEqual(completion.choices[0].message.tool_calls, [{ id: 'toolu_1', type: 'function', function: { name: 'Read', arguments: '{"file_path":"a.js"}' } }]);
+  assert.equal(completion.choices[0].finish_reason, 'tool_calls');
+  assert.deepEqual(completion.usage, { prompt_tokens: 110, completion_tokens: 5, total_tokens: 115, prompt_tokens_details: { cached_tokens: 100 } });
+
+  assert.deepEqual(translateResponse({ type: 'error', error: { type: 'overloaded_error', message: 'Overloaded' } }, 529, 'gpt-4o'), {
+    error: { message: 'Overloaded', type: 'overloaded_error', param: null, code: null }
+  });
+  assert.equal(translateResponse({ data: [] }, 200, 'gpt-4o'), null);
+});
+
+test('event streams become chat.completion.chunk events', async () => {
+  const chunks = await translateStream(
+    sse('message_start', { type: 'message_start', message: { id: 'msg_1', usage: { input_tokens: 10 } } }) +
+    sse('content_block_start', { type: 'content_block_start', index: 0, content_block: { type: 'text', text: '' } }) +
+    sse('content_block_delta', { type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: 'Héllo' } }) +
+    sse('content_block_start', { type: 'content_block_start', index: 1, content_block: { type: 'tool_use', id: 'toolu_1', name: 'Read' } }) +
+    sse('content_block_delta', { type: 'content_block_delta', index: 1, delta: { type: 'input_json_delta', partial_json: '{"a":1}' } }) +
+    sse('message_delta', { type: 'message_delta', delta: { stop_reason: 'tool_use' }, usage: { output_tokens: 7 } }) +
+    sse('message_stop', { type: 'message_stop' }),
+    { includeUsage: true }
+  );
+
+  assert.equal(chunks[chunks.length - 1], '[DONE]');
+  const events = chunks.slice(0, -1);
+  assert.ok(events.every(event => event.id === 'chatcmpl-msg_1' && event.object === 'chat.completion.chunk'));
+  assert.deepEqual(events.slice(0, 5).map(event => [event.choices[0].delta, event.choices[0].finish_reason]), [
+    [{ role: 'assistant', content: '' }, null],
+    [{ content: 'Héllo' }, null],
+    [{ tool_calls: [{ index: 0, id: 'toolu_1', type: 'function', function: { name: 'Read', arguments: '' } }] }, null],
+    [{ tool_calls: [{ index: 0, function: { arguments: '{"a":1}' } }] }, null],
+    [{}, 'tool_calls']
+  ]);
+  assert.deepEqual(events[5].usage, { prompt_tokens: 10, completion_tokens: 7, total_tokens: 17, prompt_tokens_details: { cached_tokens: 0 } });
+});
+
+test('malformed events are skipped and the stream carries on', async () => {
+  const chunks = await translateStream(
+    sse('message_start', { type: 'message_start' }) +
+    sse('message_start', { type: 'message_start', message: { id: 'msg_2' } }) +
+    sse('content_block_start', { type: 'content_block_start', index: 0 }) +
+    sse('content_block_delta', { type: 'content_block_delta', index: 0 }) +
+    sse('content_block_delta', '[1, 2]') +
+    sse('content_block_delta', { type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: 'ok' } }) +
+    sse('message_delta', { type: 'message_delta', delta: null, usage: null }) +
+    sse('error', { type: 'error', error: { type: 'overloaded_error', message: 'Overloaded' } })
+  );
+
+  assert.deepEqual(chunks.map(chunk => (chunk.choices ? chunk.choices[0].delta : chunk)), [
+    { role: 'assistant', content: '' },
+    { content: 'ok' },
+    {},
+    { error: { message: 'Overloaded', type: 'overloaded_error', param: null, code: null } },
+    '[DONE]'
+  ]);
+});
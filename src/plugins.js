@@ -0,0 +1,172 @@
+const path = require('path');
+const http = require('http');
+const { Readable } = require('stream');
+const chalk = require('chalk');
+const { parseSSE } = require('./sse-parser');
+const { createEventSplitter } = require('./response-stream');
+
+const HOOKS = ['onRequest', 'onResponse', 'onSSEEvent', 'onError', 'onShutdown'];
+
+// A hook that takes longer than this is reported and skipped
+const HOOK_TIMEOUT_MS = 10000;
+
+// Runs user plugins listed under plugins in config.yaml. Hooks are awaited
+// one plugin at a time, in config order; a hook that throws or times out is
+// reported and the remaining plugins still run. See README for the API.
+class PluginHost {
+  constructor(plugins = []) {
+    this.plugins = plugins;
+    this.exchangeCount = 0;
+  }
+
+  // Entries are a path, or { path, options }; relative paths are resolved from baseDir
+  static load(entries = [], baseDir = process.cwd()) {
+    const plugins = entries.map((entry, index) => {
+      const { path: pluginPath, options = {} } = typeof entry === 'string' ? { path: entry } : entry;
+      if (!pluginPath) {
+        throw new Error(`plugins[${index}] must have a path`);
+      }
+      const resolved = path.resolve(baseDir, pluginPath);
+      let loaded;
+      try {
+        loaded = require(resolved);
+      } catch (error) {
+        // Node appends the require stack, which only points back here
+        throw new Error(`Cannot load plugin ${pluginPath}: ${error.message.split('\n')[0]}`);
+      }
+      // A module can export the hooks, or a function that takes options and returns them
+      const hooks = typeof loaded === 'function' ? loaded(options) : loaded;
+      if (!hooks || typeof hooks !== 'object') {
+        throw new Error(`Plugin ${pluginPath} must export an object of hooks or a function returning one`);
+      }
+      const known = HOOKS.filter(hook => typeof hooks[hook] === 'function');
+      if (known.length === 0) {
+        throw new Error(`Plugin ${pluginPath} defines none of ${HOOKS.join(', ')}`);
+      }
+      return { name: hooks.name || path.basename(resolved, path.extname(resolved)), hooks };
+    });
+
+    const names = plugins.map(plugin => plugin.name);
+    const duplicate = names.find((name, index) => names.indexOf(name) !== index);
+    if (duplicate) {
+      throw new Error(`Plugin "${duplicate}" is loaded more than once`);
+    }
+    return new PluginHost(plugins);
+  }
+
+  get enabled() {
+    return this.plugins.length > 0;
+  }
+
+  has(hook) {
+    return this.plugins.some(plugin => typeof plugin.hooks[hook] === 'function');
+  }
+
+  // State shared by one request's hooks; each plugin gets its own state object
+  createExchange(listener) {
+    return {
+      listener,
+      exchangeId: ++this.exchangeCount,
+      states: new Map(this.plugins.map(plugin => [plugin.name, {}]))
+    };
+  }
+
+  // Plugins may change the request in place. The first one to return a
+  // response ({ status, headers, body }) answers it without contacting target.
+  async runRequest(request, exchange) {
+    for (const plugin of this.plugins) {
+      const result = await this.call(plugin, 'onRequest', [request], exchange);
+      if (result && typeof result === 'object' && result.status) {
+        return { plugin: plugin.name, response: syntheticResponse(result) };
+      }
+    }
+    return null;
+  }
+
+  async runResponse(response, exchange) {
+    await this.runAll('onResponse', [response], exchange);
+  }
+
+  // Runs onSSEEvent for each event of a stream as it arrives. Hooks are
+  // queued in arrival order so a slow one never holds up the stream; end()
+  // resolves once they have all run. Null when no plugin wants events.
+  sseEventFeed(exchange) {
+    if (!this.has('onSSEEvent')) {
+      return null;
+    }
+    const splitter = createEventSplitter();
+    let queue = Promise.resolve();
+    let lastOffset = 0;
+    const run = (blocks, offset) => blocks.forEach(text => {
+      parseSSE(text).forEach(parsed => {
+        queue = queue.then(() => this.runAll('onSSEEvent', [{ ...parsed, offset }], exchange));
+      });
+    });
+
+    return {
+      write: (chunk, offset) => {
+        lastOffset = offset;
+        run(splitter.write(chunk), offset);
+      },
+      end: () => {
+        run(splitter.end(), lastOffset);
+        return queue;
+      }
+    };
+  }
+
+  async runError(error, exchange) {
+    await this.runAll('onError', [error], exchange);
+  }
+
+  async shutdown() {
+    await this.runAll('onShutdown', [], null);
+  }
+
+  async runAll(hook, args, exchange) {
+    for (const plugin of this.plugins) {
+      await this.call(plugin, hook, args, exchange);
+    }
+  }
+
+  async call(plugin, hook, args, exchange) {
+    if (typeof plugin.hooks[hook] !== 'function') {
+      return undefined;
+    }
+    const context = exchange
+      ? { listener: exchange.listener, exchangeId: exchange.exchangeId, state: exchange.states.get(plugin.name) }
+      : {};
+
+    let timer = null;
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => reject(new Error(`timed out after ${HOOK_TIMEOUT_MS}ms`)), HOOK_TIMEOUT_MS);
+    });
+    try {
+      return await Promise.race([plugin.hooks[hook](...args, context), timeout]);
+    } catch (error) {
+      console.error(chalk.red(`✗ Plugin ${plugin.name} ${hook} failed: ${error.message}`));
+      return undefined;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+}
+
+// Turns a plugin's { status, headers, body } into the shape axios returns.
+// Objects are sent as JSON; strings and buffers as they are.
+function syntheticResponse({ status, headers = {}, body = '' }) {
+  const lowerHeaders = Object.fromEntries(Object.entries(headers).map(([key, value]) => [key.toLowerCase(), value]));
+  const isRaw = typeof body === 'string' || Buffer.isBuffer(body);
+  if (!lowerHeaders['content-type']) {
+    lowerHeaders['content-type'] = isRaw ? 'text/plain; charset=utf-8' : 'application/json';
+  }
+  const payload = isRaw ? Buffer.from(body) : Buffer.from(JSON.stringify(body), 'utf8');
+  return {
+    status,
+    statusText: http.STATUS_CODES[status] || '',
+    headers: lowerHeaders,
+    data: Readable.from([payload])
+  };
+}
+
+module.exports = { PluginHost, HOOKS };
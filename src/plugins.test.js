@@ -0,0 +1,95 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PluginHost } = require('./plugins');
+const { messagesRequest, readBody } = require('./testing');
+
+function plugin(name, hooks) {
+  return { name, hooks };
+}
+
+test('onRequest hooks run in order and the first to return a response answers', async () => {
+  const calls = [];
+  const host = new PluginHost([
+    plugin('tag', { onRequest: request => { calls.push('tag'); request.headers['x-tag'] = '1'; } }),
+    plugin('mock', { onRequest: () => { calls.push('mock'); return { status: 200, body: { mocked: true } }; } }),
+    plugin('late', { onRequest: () => { calls.push('late'); } })
+  ]);
+  const request = messagesRequest();
+
+  const answer = await host.runRequest(request, host.createExchange('default'));
+  assert.deepEqual(calls, ['tag', 'mock']);
+  assert.equal(request.headers['x-tag'], '1');
+  assert.equal(answer.plugin, 'mock');
+  assert.equal(answer.response.statusText, 'OK');
+  assert.equal(answer.response.headers['content-type'], 'application/json');
+  assert.deepEqual(JSON.parse(await readBody(answer.response)), { mocked: true });
+});
+
+test('each plugin keeps its own state for the hooks of one exchange', async () => {
+  const seen = [];
+  const host = new PluginHost([
+    plugin('timer', {
+      onRequest: (request, context) => { context.state.startedAt = context.exchangeId * 10; },
+      onResponse: (response, context) => { seen.push([context.listener, context.exchangeId, context.state.startedAt]); }
+    }),
+    plugin('other', { onResponse: (response, context) => { seen.push(['other', context.state.startedAt]); } })
+  ]);
+
+  for (const listener of ['a', 'b']) {
+    const exchange = host.createExchange(listener);
+    await host.runRequest(messagesRequest(), exchange);
+    await host.runResponse({ status: 200 }, exchange);
+  }
+  assert.deepEqual(seen, [['a', 1, 10], ['other', undefined], ['b', 2, 20], ['other', undefined]]);
+});
+
+test('onSSEEvent sees parsed events in order, even when they span chunks', async () => {
+  const events = [];
+  const host = new PluginHost([
+    plugin('watch', {
+      onSSEEvent: async event => {
+        await new Promise(resolve => setImmediate(resolve));
+        events.push([event.event, event.data.type, event.offset]);
+      }
+    })
+  ]);
+  const feed = host.sseEventFeed(host.createExchange('default'));
+
+  feed.write(Buffer.from('event: message_start\ndata: {"type":"message_start"}\n\nevent: ping\nda'), 5);
+  feed.write(Buffer.from('ta: {"type":"ping"}\n\nevent: message_stop\ndata: {"type":"message_stop"}'), 9);
+  await feed.end();
+
+  assert.deepEqual(events, [['message_start', 'message_start', 5], ['ping', 'ping', 9], ['message_stop', 'message_stop', 9]]);
+  assert.equal(new PluginHost([plugin('none', { onResponse: () => {} })]).sseEventFeed(null), null);
+});
+
+test('a hook that throws is reported and the other plugins still run', async (t) => {
+  const errors = t.mock.method(console, 'error', () => {});
+  const shutdown = [];
+  const host = new PluginHost([
+    plugin('broken', { onShutdown: () => { throw new Error('boom'); } }),
+    plugin('fine', { onShutdown: () => { shutdown.push('fine'); } })
+  ]);
+
+  await host.shutdown();
+  assert.deepEqual(shutdown, ['fine']);
+  assert.match(errors.mock.calls[0].arguments[0], /Plugin broken onShutdown failed: boom/);
+});
+
+test('plugins load from paths, with options for ones that export a function', (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'plugins-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  fs.writeFileSync(path.join(dir, 'header.js'), 'module.exports = options => ({ onRequest: request => { request.headers.x = options.value; } });');
+  fs.writeFileSync(path.join(dir, 'empty.js'), 'module.exports = { helper() {} };');
+
+  const host = PluginHost.load([{ path: 'header.js', options: { value: 'y' } }], dir);
+  assert.deepEqual(host.plugins.map(loaded => loaded.name), ['header']);
+
+  assert.throws(() => PluginHost.load(['empty.js'], dir), /Plugin empty.js defines none of onRequest/);
+  assert.throws(() => PluginHost.load(['missing.js'], dir), /^Error: Cannot load plugin missing.js: Cannot find module/);
+  assert.throws(() => PluginHost.load(['header.js', './header.js'], dir), /Plugin "header" is loaded more than once/);
+  assert.throws(() => PluginHost.load([{ options: {} }], dir), /plugins\[0\] must have a path/);
+});
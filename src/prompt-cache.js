@@ -0,0 +1,239 @@
+const { stableStringify, hashValue } = require('./hash');
+const { getPromptState, setPromptState } = require('./request-cache');
+
+// Upstream cache entries expire after 5 minutes without a hit
+const DEFAULT_CACHE_TTL_MS = 5 * 60 * 1000;
+
+// A turn is reported as a miss when it reads less than this share of what the
+// previous turn had cached (read + written)
+const MISS_RATIO = 0.9;
+
+const SNIPPET_LENGTH = 40;
+
+// Kept snapshots hash block text in pieces of this many characters instead
+// of keeping the text, so a change is located to within one piece
+const CHUNK_LENGTH = 64;
+const CHUNK_HASH_LENGTH = 8;
+
+// Blocks in the order the API builds the cache prefix: tools, system, messages
+function flattenPromptBlocks(body) {
+  const blocks = [];
+  const add = (path, value) => {
+    const isObject = value && typeof value === 'object' && !Array.isArray(value);
+    // Moving a breakpoint doesn't change the cached content, so it is left out of the hash
+    const { cache_control: cacheControl = null, ...rest } = isObject ? value : {};
+    blocks.push({ path, text: stableStringify(isObject ? rest : value), cacheControl });
+  };
+
+  (body.tools || []).forEach((tool, index) => add(`tools[${index}]${tool.name ? ` (${tool.name})` : ''}`, tool));
+
+  if (typeof body.system === 'string') {
+    add('system', body.system);
+  } else if (Array.isArray(body.system)) {
+    body.system.forEach((block, index) => add(`system[${index}]`, block));
+  }
+
+  (body.messages || []).forEach((message, messageIndex) => {
+    if (typeof message.content === 'string') {
+      add(`messages[${messageIndex}].content`, message.content);
+    } else if (Array.isArray(message.content)) {
+      message.content.forEach((block, blockIndex) => add(`messages[${messageIndex}].content[${blockIndex}]`, block));
+    }
+  });
+
+  return blocks;
+}
+
+// Hashes every block and the prefix ending at it, and marks the
+// cache_control breakpoints
+function snapshotPrompt(body) {
+  const blocks = flattenPromptBlocks(body);
+  let prefixHash = hashValue(body.model || '');
+
+  const hashed = blocks.map(block => {
+    prefixHash = hashValue(prefixHash + hashValue(block.text));
+    return { ...block, hash: hashValue(block.text), prefixHash, chunks: hashChunks(block.text) };
+  });
+
+  return {
+    blocks: hashed,
+    breakpoints: hashed
+      .map((block, index) => ({ index, path: block.path, prefixHash: block.prefixHash, ttl: block.cacheControl?.ttl }))
+      .filter((_, index) => hashed[index].cacheControl),
+    timestamp: Date.now()
+  };
+}
+
+// Compares this turn with the previous one of its thread and, when the
+// upstream cache read less than expected, explains why. The first turn of a
+// forked thread is compared with its parent's last turn (see seedFromParent);
+// any other first turn has nothing to be compared with.
+function explainCacheMiss(threadId, snapshot, usage) {
+  // Responses without usage (errors, token counts) say nothing about the cache
+  if (!usage || !snapshot || !threadId) {
+    return null;
+  }
+
+  const previous = getPromptState(threadId) || null;
+  setPromptState(threadId, { snapshot: keepSnapshot(snapshot), usage });
+
+  const cacheRead = usage.cache_read_input_tokens || 0;
+  const cacheCreate = usage.cache_creation_input_tokens || 0;
+
+  if (snapshot.breakpoints.length === 0) {
+    return null;
+  }
+
+  if (!previous || !previous.usage) {
+    if (cacheRead === 0 && cacheCreate === 0) {
+      return {
+        reason: 'below-minimum',
+        summary: 'Nothing was cached although the request has cache_control breakpoints; the prefix may be shorter than the minimum cacheable length'
+      };
+    }
+    return null;
+  }
+
+  const expected = (previous.usage.cache_read_input_tokens || 0) + (previous.usage.cache_creation_input_tokens || 0);
+  if (expected === 0 || cacheRead >= expected * MISS_RATIO) {
+    return null;
+  }
+
+  const details = { expectedTokens: expected, cacheReadTokens: cacheRead };
+  const change = findFirstChange(previous.snapshot, snapshot);
+  const lastIntact = lastIntactBreakpoint(previous.snapshot, snapshot);
+
+  if (change) {
+    const reordered = describeReorder(previous.snapshot, snapshot, change);
+    const partial = lastIntact ? `; still cached up to ${lastIntact.path}` : '';
+    return {
+      reason: reordered ? 'reordered' : 'prefix-changed',
+      summary: (reordered || `${change.path} changed near offset ${change.blockOffset} (prefix offset ${change.prefixOffset})`) + partial,
+      change,
+      ...details
+    };
+  }
+
+  const elapsed = snapshot.timestamp - previous.snapshot.timestamp;
+  const ttl = lastIntact?.ttl === '1h' ? 60 * 60 * 1000 : DEFAULT_CACHE_TTL_MS;
+  if (elapsed > ttl) {
+    return {
+      reason: 'expired',
+      summary: `Prefix unchanged up to ${lastIntact ? lastIntact.path : 'the last breakpoint'}, but ${Math.round(elapsed / 1000)}s passed since the previous turn (TTL ${ttl / 1000}s)`,
+      ...details
+    };
+  }
+
+  return {
+    reason: 'unexplained',
+    summary: `Prefix unchanged up to ${lastIntact ? lastIntact.path : 'the last breakpoint'}; the entry may have been evicted or written by a concurrent request`,
+    ...details
+  };
+}
+
+// What is kept of a snapshot for the next turn: hashes, lengths and a
+// snippet of each block's start instead of its text
+function keepSnapshot(snapshot) {
+  return {
+    ...snapshot,
+    blocks: snapshot.blocks.map(block => ({
+      path: block.path,
+      hash: block.hash,
+      prefixHash: block.prefixHash,
+      length: block.text.length,
+      chunks: block.chunks,
+      snippet: snippet(block.text, 0)
+    }))
+  };
+}
+
+// Short hashes of consecutive CHUNK_LENGTH pieces, joined into one string
+function hashChunks(text) {
+  let chunks = '';
+  for (let offset = 0; offset < text.length; offset += CHUNK_LENGTH) {
+    chunks += hashValue(text.substring(offset, offset + CHUNK_LENGTH)).substring(0, CHUNK_HASH_LENGTH);
+  }
+  return chunks;
+}
+
+function lastIntactBreakpoint(previous, current) {
+  const intact = previous.breakpoints.filter(breakpoint =>
+    current.blocks[breakpoint.index] && current.blocks[breakpoint.index].prefixHash === breakpoint.prefixHash
+  );
+  return intact[intact.length - 1] || null;
+}
+
+// First block that differs between the previous turn's kept snapshot and
+// this prompt, limited to the part the previous turn had cached (up to its
+// last breakpoint). The offset is where the first changed piece starts; only
+// the new text can be shown there.
+function findFirstChange(previous, current) {
+  const lastBreakpoint = previous.breakpoints[previous.breakpoints.length - 1];
+  if (!lastBreakpoint) {
+    return null;
+  }
+
+  let prefixOffset = 0;
+  for (let index = 0; index <= lastBreakpoint.index; index++) {
+    const before = previous.blocks[index];
+    const after = current.blocks[index];
+
+    if (!after) {
+      return { index, path: before.path, blockOffset: 0, prefixOffset, before: before.snippet, after: '(missing)' };
+    }
+    if (before.hash !== after.hash) {
+      const blockOffset = firstDifference(before.chunks, after.chunks, CHUNK_HASH_LENGTH) * CHUNK_LENGTH;
+      return {
+        index,
+        path: after.path,
+        blockOffset,
+        prefixOffset: prefixOffset + blockOffset,
+        before: blockOffset === 0 ? before.snippet : null,
+        after: chunkSnippet(after.text, blockOffset)
+      };
+    }
+    prefixOffset += before.length;
+  }
+
+  return null;
+}
+
+function describeReorder(previous, current, change) {
+  const before = previous.blocks[change.index];
+  const movedTo = current.blocks.findIndex(block => block.hash === before.hash);
+  if (movedTo === -1 || movedTo === change.index) {
+    return null;
+  }
+  return `${before.path} moved to ${current.blocks[movedTo].path}; reordering invalidates everything after it`;
+}
+
+// Index of the first differing character, or of the first differing piece
+// when comparing strings of fixed-length pieces such as chunk hashes
+function firstDifference(a, b, pieceLength = 1) {
+  const length = Math.min(a.length, b.length);
+  for (let i = 0; i < length; i += pieceLength) {
+    if (a.substring(i, i + pieceLength) !== b.substring(i, i + pieceLength)) return i / pieceLength;
+  }
+  return Math.ceil(length / pieceLength);
+}
+
+function snippet(text, offset) {
+  const start = Math.max(0, offset - SNIPPET_LENGTH / 2);
+  const prefix = start > 0 ? '…' : '';
+  const suffix = start + SNIPPET_LENGTH < text.length ? '…' : '';
+  return `${prefix}${text.substring(start, start + SNIPPET_LENGTH)}${suffix}`;
+}
+
+// The piece of text starting at offset that a chunk hash covers
+function chunkSnippet(text, offset) {
+  const end = offset + CHUNK_LENGTH;
+  return `${offset > 0 ? '…' : ''}${text.substring(offset, end)}${end < text.length ? '…' : ''}`;
+}
+
+module.exports = {
+  flattenPromptBlocks,
+  snapshotPrompt,
+  explainCacheMiss,
+  firstDifference,
+  snippet
+};
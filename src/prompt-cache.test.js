@@ -0,0 +1,102 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { snapshotPrompt, explainCacheMiss } = require('./prompt-cache');
+const { resolveThread, seedFromParent, getPromptState } = require('./request-cache');
+
+const CACHED = { input_tokens: 10, cache_read_input_tokens: 0, cache_creation_input_tokens: 5000 };
+const READ_NONE = { input_tokens: 5000, cache_read_input_tokens: 0, cache_creation_input_tokens: 0 };
+const BREAKPOINT = { type: 'ephemeral' };
+
+const LONG_SYSTEM = 'You are a coding assistant. '.repeat(10);
+
+function body({ system = LONG_SYSTEM, tools = [{ name: 'Read', cache_control: BREAKPOINT }], messages = [{ role: 'user', content: 'hi' }] } = {}) {
+  return {
+    model: 'claude-sonnet-4-5',
+    tools,
+    system: [{ type: 'text', text: system, cache_control: BREAKPOINT }],
+    messages
+  };
+}
+
+test('requests without breakpoints are never explained', () => {
+  const snapshot = snapshotPrompt({ model: 'claude-sonnet-4-5', messages: [{ role: 'user', content: 'hi' }] });
+  assert.equal(explainCacheMiss('no-breakpoints', snapshot, READ_NONE), null);
+  assert.equal(explainCacheMiss('no-breakpoints', snapshot, null), null);
+});
+
+test('a first turn that caches nothing is reported as below the minimum length', () => {
+  const miss = explainCacheMiss('below-minimum', snapshotPrompt(body()), READ_NONE);
+  assert.equal(miss.reason, 'below-minimum');
+  assert.equal(explainCacheMiss('first-cached', snapshotPrompt(body()), CACHED), null);
+});
+
+test('a change inside a cached block is located to the piece it is in', () => {
+  explainCacheMiss('changed', snapshotPrompt(body()), CACHED);
+  const changed = LONG_SYSTEM.substring(0, 100) + 'Today is Tuesday. ' + LONG_SYSTEM.substring(100);
+  const miss = explainCacheMiss('changed', snapshotPrompt(body({ system: changed })), READ_NONE);
+
+  assert.equal(miss.reason, 'prefix-changed');
+  assert.equal(miss.expectedTokens, 5000);
+  assert.equal(miss.cacheReadTokens, 0);
+  assert.equal(miss.change.path, 'system[0]');
+  assert.equal(miss.change.blockOffset, 64);
+  assert.equal(miss.change.before, null);
+  assert.match(miss.change.after, /Today is/);
+  assert.match(miss.summary, /^system\[0\] changed near offset 64 \(prefix offset \d+\); still cached up to tools\[0\] \(Read\)$/);
+});
+
+test('a change at the start of a block shows the start of the previous one', () => {
+  explainCacheMiss('start', snapshotPrompt(body()), CACHED);
+  const miss = explainCacheMiss('start', snapshotPrompt(body({ system: `Hello. ${LONG_SYSTEM}` })), READ_NONE);
+
+  assert.equal(miss.change.blockOffset, 0);
+  assert.match(miss.change.before, /You are a coding/);
+  assert.match(miss.change.after, /Hello\. You are/);
+});
+
+test('moved blocks, expired entries and unexplained misses are told apart', () => {
+  const tools = [{ name: 'Read' }, { name: 'Write', cache_control: BREAKPOINT }];
+  explainCacheMiss('reordered', snapshotPrompt(body({ tools })), CACHED);
+  const reordered = explainCacheMiss('reordered', snapshotPrompt(body({ tools: [tools[1], tools[0]] })), READ_NONE);
+  assert.equal(reordered.reason, 'reordered');
+  assert.match(reordered.summary, /^tools\[0\] \(Read\) moved to tools\[1\] \(Read\)/);
+
+  const earlier = snapshotPrompt(body());
+  earlier.timestamp -= 10 * 60 * 1000;
+  explainCacheMiss('expired', earlier, CACHED);
+  assert.equal(explainCacheMiss('expired', snapshotPrompt(body()), READ_NONE).reason, 'expired');
+
+  explainCacheMiss('unexplained', snapshotPrompt(body()), CACHED);
+  assert.equal(explainCacheMiss('unexplained', snapshotPrompt(body()), READ_NONE).reason, 'unexplained');
+  assert.equal(explainCacheMiss('unexplained', snapshotPrompt(body()), { ...CACHED, cache_read_input_tokens: 4800 }), null);
+});
+
+test('only hashes and snippets of the previous turn are kept, and only while its thread is', () => {
+  const first = resolveThread(body({ system: 'evicted thread' })).threadId;
+  const snapshot = snapshotPrompt(body());
+  explainCacheMiss(first, snapshot, CACHED);
+
+  const { text } = snapshot.blocks[1];
+  const kept = getPromptState(first).snapshot.blocks[1];
+  assert.equal(kept.text, undefined);
+  assert.equal(kept.length, text.length);
+  assert.equal(kept.chunks.length, Math.ceil(text.length / 64) * 8);
+  assert.equal(kept.snippet, `${text.substring(0, 40)}…`);
+
+  for (let i = 0; i < 200; i++) {
+    resolveThread(body({ system: `thread ${i}` }));
+  }
+  assert.equal(getPromptState(first), undefined);
+});
+
+test('the first turn of a fork is compared with its parent, and of a new thread with nothing', () => {
+  const parent = resolveThread(body({ system: 'forked prompt', messages: [{ role: 'user', content: 'a' }, { role: 'assistant', content: 'b' }] }));
+  explainCacheMiss(parent.threadId, snapshotPrompt(body({ system: 'forked prompt' })), CACHED);
+
+  const fork = resolveThread(body({ system: 'forked prompt', messages: [{ role: 'user', content: 'a' }, { role: 'assistant', content: 'c' }] }));
+  seedFromParent(fork.threadId, fork.forkedFrom);
+  assert.equal(explainCacheMiss(fork.threadId, snapshotPrompt(body({ system: 'forked prompt' })), READ_NONE).reason, 'unexplained');
+
+  const unrelated = resolveThread(body({ system: 'another prompt' }));
+  assert.equal(explainCacheMiss(unrelated.threadId, snapshotPrompt(body({ system: 'another prompt' })), CACHED), null);
+});
@@ -1,45 +1,128 @@
 const express = require('express');
-const axios = require('axios');
 const chalk = require('chalk');
+const diff = require('deep-diff');
 const { getNextColor } = require('./logging/colors');
 const { formatHeaders, formatBody, logWithOptionalColor, formatDiff } = require('./logging/formatters');
-const { logCompact } = require('./logging/compact');
-const { getCachedData, updateCache, updateResponseHeaders, analyzeCacheStatus } = require('./request-cache');
-const { isSSEResponse, formatSSEResponse, parseSSE, reconstructMessageFromSSE } = require('./sse-parser');
+const { logCompact, getCacheLabel } = require('./logging/compact');
+const { formatConversationDiff, isMessagesBody } = require('./logging/conversation-diff');
+const { recordToolCalls, matchToolResults, formatToolResults, formatToolCalls } = require('./logging/timeline');
+const { resolveThread, seedFromParent, getCachedData, updateCache, updateResponseHeaders, analyzeCacheStatus } = require('./request-cache');
+const { isSSEResponse, formatSSEResponse, parseSSE, reconstructStream } = require('./sse-parser');
+const { collectResponse, findTimeToFirstToken, splitTimedEvents } = require('./response-stream');
+const { resolveTarget } = require('./listeners');
+const { Redactor } = require('./redact');
+const { CostTracker, formatCost } = require('./cost-tracker');
+const { snapshotPrompt, explainCacheMiss } = require('./prompt-cache');
+const { UpstreamClient } = require('./upstream');
+const { ChatCompletionStream, translateResponse, toChatCompletion, toChatError } = require('./openai');
+const { formatRateLimits, formatRateLimitAlerts } = require('./rate-limits');
+const { collectRawBody, parseRequestBody, isBinary } = require('./bodies');
+
+const MAX_BODY_BYTES = 50 * 1024 * 1024;
 
 function createProxyServer(proxyConfig, loggingConfig, requestLogger = null) {
   const app = express();
+  const redactor = proxyConfig.redactor || new Redactor();
+  const costTracker = proxyConfig.costTracker || new CostTracker();
+  const traffic = proxyConfig.traffic || null;
+  const metrics = proxyConfig.metrics || null;
+  const upstreamClient = proxyConfig.upstream || new UpstreamClient();
 
-  app.use(express.json({ limit: '50mb' }));
-  app.use(express.urlencoded({ extended: true, limit: '50mb' }));
-  app.use(express.raw({ type: '*/*', limit: '50mb' }));
+  // Bodies are forwarded unchanged; logging works on a parsed copy
+  app.use(collectRawBody(MAX_BODY_BYTES));
 
   app.use(async (req, res) => {
     const colorFn = getNextColor();
-    const timestamp = new Date().toISOString();
+    const receivedAt = Date.now();
+    const timestamp = new Date(receivedAt).toISOString();
     const method = req.method;
-    const url = req.url;
-    const targetUrl = `${proxyConfig.target}${url}`;
+    let url = req.url;
+
+    // Process body early to get model key for header display. bodyContent is
+    // what logs show for bodies that aren't JSON (text, form fields, a summary
+    // of multipart parts or binary data).
+    const rawBody = req.body.length > 0 ? req.body : null;
+    const { json, display: bodyContent } = parseRequestBody(rawBody, req.headers);
+    let parsedBody = json;
+    let isJsonWithModel = !!(parsedBody && typeof parsedBody === 'object' && parsedBody.model);
+    let modelKey = isJsonWithModel ? parsedBody.model : null;
+    // Compared before forwarding, to tell whether anything changed the body
+    const originalJson = parsedBody !== null ? JSON.stringify(parsedBody) : null;
+
+    // Chat Completions requests are translated first, so rewrite rules,
+    // threads, logs and replay all see the Messages API request sent to target
+    let requestHeaders = req.headers;
+    let translation = null;
+    if (proxyConfig.openai && proxyConfig.openai.matches(method, url)) {
+      try {
+        translation = { ...proxyConfig.openai.translateRequest(url, parsedBody), originalUrl: url, originalBody: parsedBody };
+      } catch (error) {
+        console.error(chalk.red(`✗ Can't translate ${method} ${redactor.text(url)}: ${error.message}`));
+        res.status(error.status || 500).json(toChatError({ error: { type: 'invalid_request_error', message: error.message } }));
+        return;
+      }
+      url = translation.url;
+      requestHeaders = proxyConfig.openai.translateHeaders(req.headers);
+      parsedBody = translation.body;
+      modelKey = parsedBody.model;
+      isJsonWithModel = true;
+    }
 
-    // Process body early to get model key for header display
-    const bodyContent = req.body ? (req.body instanceof Buffer ? req.body.toString() : req.body) : null;
-    let isJsonWithModel = false;
-    let parsedBody = null;
-    let modelKey = null;
+    const upstream = resolveTarget(proxyConfig, url);
+    const targetUrl = `${upstream.target}${upstream.url}`;
+
+    // Rewrite rules change what is sent upstream; everything after this point
+    // (threads, logs, replay) sees the rewritten request
+    let rewrite = null;
+    if (proxyConfig.rewriter && proxyConfig.rewriter.enabled) {
+      const result = proxyConfig.rewriter.rewriteRequest({ listener: proxyConfig.name, method, url, headers: requestHeaders, body: parsedBody });
+      if (result.rules.length > 0) {
+        rewrite = {
+          rules: result.rules,
+          responseRules: result.responseRules,
+          headerDiff: diff.diff(redactor.headers(requestHeaders), redactor.headers(result.headers)) || [],
+          bodyDiff: diff.diff(redactor.body(parsedBody), redactor.body(result.body)) || []
+        };
+        requestHeaders = result.headers;
+        parsedBody = result.body;
+        modelKey = isJsonWithModel ? parsedBody.model : modelKey;
+      }
+    }
 
-    // Check if body is JSON and has a model property
-    if (bodyContent) {
-      try {
-        parsedBody = typeof bodyContent === 'string' ? JSON.parse(bodyContent) : bodyContent;
-        if (parsedBody && typeof parsedBody === 'object' && parsedBody.model) {
-          isJsonWithModel = true;
-          modelKey = parsedBody.model;
-        }
-      } catch (e) {
-        // Not JSON or parsing error, treat as regular body
+    // Plugins see the request as it will be sent. They may change its headers
+    // and body in place, or answer it themselves.
+    const plugins = proxyConfig.plugins && proxyConfig.plugins.enabled ? proxyConfig.plugins : null;
+    const exchange = plugins ? plugins.createExchange(proxyConfig.name) : null;
+    let pluginRequest = null;
+    let pluginAnswer = null;
+    if (plugins) {
+      pluginRequest = { method, url, headers: { ...requestHeaders }, query: req.query, body: parsedBody || bodyContent, model: modelKey };
+      pluginAnswer = await plugins.runRequest(pluginRequest, exchange);
+      requestHeaders = pluginRequest.headers;
+      if (parsedBody && typeof pluginRequest.body === 'object') {
+        parsedBody = pluginRequest.body;
+        modelKey = isJsonWithModel && parsedBody.model ? parsedBody.model : modelKey;
       }
     }
 
+    // Everything printed or diffed uses redacted copies; the originals are forwarded
+    const displayBody = redactor.body(parsedBody || bodyContent);
+    const displayUrl = redactor.text(url);
+
+    // Conversation thread this request belongs to; diffs only compare turns within a thread
+    const thread = isJsonWithModel ? resolveThread(displayBody) : null;
+    const threadId = thread ? thread.threadId : null;
+    if (thread && thread.forkedFrom) {
+      seedFromParent(threadId, thread.forkedFrom);
+    }
+
+    // Results for tool calls seen in earlier responses, for the compact timeline
+    const timeline = loggingConfig.compact && loggingConfig.timeline;
+    const toolResults = timeline ? matchToolResults(displayBody, receivedAt) : [];
+
+    // Hashes of the prompt prefix at each cache_control breakpoint
+    const promptSnapshot = isJsonWithModel && Array.isArray(parsedBody.messages) ? snapshotPrompt(displayBody) : null;
+
     // Cache tracking for compact mode
     const cacheInfo = {
       isFirstRequest: false,
@@ -47,82 +130,121 @@ function createProxyServer(proxyConfig, loggingConfig, requestLogger = null) {
       hasDiff: false
     };
 
-    const modelDisplay = modelKey ? ` [${modelKey}]` : '';
+    // Compare against the previous turn of this thread once, for both headers and body
+    const filteredHeaders = redactor.headers(requestHeaders);
+    delete filteredHeaders.host;
+
+    const cacheAnalysis = threadId ? analyzeCacheStatus(threadId, displayBody, filteredHeaders) : null;
+    if (cacheAnalysis) {
+      cacheInfo.isFirstRequest = cacheAnalysis.isFirstRequest;
+      cacheInfo.cacheBusted = cacheAnalysis.cacheBusted;
+      cacheInfo.hasDiff = !!(cacheAnalysis.bodyDiff && cacheAnalysis.bodyDiff.length > 0);
+
+      // Update cache with the new request (including headers)
+      updateCache(threadId, displayBody, filteredHeaders);
+    }
+
+    const modelDisplay = modelKey ? ` [${modelKey}${threadId ? ` ${threadId}` : ''}]` : '';
+    const listenerDisplay = proxyConfig.showListenerName ? ` (${proxyConfig.name})` : '';
     const requestTag = colorFn('>>');
     const responseTag = colorFn('<<');
 
     // Use compact mode if enabled
     if (!loggingConfig.compact) {
       console.log('\n' + colorFn('━'.repeat(80)));
-      console.log(`${requestTag}${colorFn(modelDisplay)} [${timestamp}] ${method} ${url}`);
+      console.log(`${requestTag}${colorFn(modelDisplay)} [${timestamp}]${listenerDisplay} ${method} ${displayUrl}`);
+      if (translation) {
+        console.log(chalk.blue(`   ↳ Translated from OpenAI ${method} ${redactor.text(translation.originalUrl)}`));
+      }
+      if (upstream.route) {
+        console.log(chalk.gray(`   ↳ Routed to ${redactor.text(targetUrl)}`));
+      }
+      if (thread && thread.forkedFrom) {
+        console.log(chalk.gray(`   ↳ Thread ${threadId} forked from ${thread.forkedFrom} after ${thread.commonMessages} shared messages`));
+      }
+      if (rewrite) {
+        console.log(chalk.magenta(`   ↳ Rewritten by: ${rewrite.rules.join(', ')}`));
+      }
     }
 
     if (loggingConfig.showQuery && !loggingConfig.compact && Object.keys(req.query).length > 0) {
       console.log(`\n${requestTag}${modelDisplay} ${chalk.bold('Query Parameters:')}`);
-      console.log(logWithOptionalColor(JSON.stringify(req.query, null, 2), colorFn, modelKey, false, loggingConfig.useColorTag));
+      console.log(logWithOptionalColor(JSON.stringify(redactor.body(req.query), null, 2), colorFn, modelKey, false, loggingConfig.useColorTag));
     }
 
-    // Handle headers - show diff if we have a cached request with the same model
+    // Handle headers - show diff if we have a cached request from the same thread
     if (loggingConfig.showHeaders && !loggingConfig.compact) {
-      const filteredHeaders = { ...req.headers };
-      delete filteredHeaders.host;
-
-      if (isJsonWithModel && modelKey) {
-        const cachedData = getCachedData(modelKey);
-
-        if (cachedData && cachedData.headers) {
-          console.log(`\n${requestTag}${modelDisplay} ${chalk.bold('Request Headers')}${chalk.gray(' - Showing diff from previous request:')}`);
-          const cacheAnalysis = analyzeCacheStatus(modelKey, parsedBody, filteredHeaders);
-          if (cacheAnalysis.headerDiff && cacheAnalysis.headerDiff.length > 0) {
-            console.log(formatDiff(cacheAnalysis.headerDiff, colorFn));
-          } else {
-            console.log(logWithOptionalColor('  No header changes', colorFn, modelKey, false, loggingConfig.useColorTag));
-          }
+      if (cacheAnalysis && cacheAnalysis.shouldDiff) {
+        console.log(`\n${requestTag}${modelDisplay} ${chalk.bold('Request Headers')}${chalk.gray(' - Showing diff from previous request:')}`);
+        if (cacheAnalysis.headerDiff && cacheAnalysis.headerDiff.length > 0) {
+          console.log(formatDiff(cacheAnalysis.headerDiff, colorFn));
         } else {
-          console.log(`\n${requestTag}${modelDisplay} ${chalk.bold('Headers:')}`);
-          console.log(logWithOptionalColor(formatHeaders(filteredHeaders), colorFn, modelKey, false, loggingConfig.useColorTag));
+          console.log(logWithOptionalColor('  No header changes', colorFn, modelKey, false, loggingConfig.useColorTag));
         }
       } else {
         console.log(`\n${requestTag}${modelDisplay} ${chalk.bold('Headers:')}`);
-        console.log(logWithOptionalColor(formatHeaders(req.headers), colorFn, modelKey, false, loggingConfig.useColorTag));
+        console.log(logWithOptionalColor(formatHeaders(filteredHeaders), colorFn, modelKey, false, loggingConfig.useColorTag));
       }
     }
 
+    if (translation && loggingConfig.showBody && !loggingConfig.compact) {
+      console.log(`\n${requestTag}${modelDisplay} ${chalk.bold('OpenAI Request Body:')}`);
+      console.log(logWithOptionalColor(formatBody(redactor.body(translation.originalBody), loggingConfig.maxBodyLength), colorFn, modelKey, false, loggingConfig.useColorTag));
+    }
+
     // Handle body
     if (loggingConfig.showBody && bodyContent) {
-      if (isJsonWithModel && modelKey) {
-        const filteredHeaders = { ...req.headers };
-        delete filteredHeaders.host;
-
-        const cacheAnalysis = analyzeCacheStatus(modelKey, parsedBody, filteredHeaders);
-
-        cacheInfo.isFirstRequest = cacheAnalysis.isFirstRequest;
-        cacheInfo.cacheBusted = cacheAnalysis.cacheBusted;
-        cacheInfo.hasDiff = cacheAnalysis.bodyDiff && cacheAnalysis.bodyDiff.length > 0;
-
+      if (cacheAnalysis) {
         if (cacheAnalysis.shouldDiff) {
           if (!loggingConfig.compact) {
             console.log(`\n${requestTag}${modelDisplay} ${chalk.bold('Request Body')}${chalk.gray(' - Showing diff from previous request:')}`);
-            console.log(formatDiff(cacheAnalysis.bodyDiff, colorFn));
+            console.log(isMessagesBody(displayBody) && isMessagesBody(cacheAnalysis.previousBody)
+              ? formatConversationDiff(cacheAnalysis.previousBody, displayBody, colorFn, { maxLength: loggingConfig.maxBodyLength })
+              : formatDiff(cacheAnalysis.bodyDiff, colorFn));
           }
         } else if (cacheAnalysis.cacheBusted && !loggingConfig.compact) {
-          console.log(`\n${requestTag} ${chalk.bold('Request Body')}${chalk.gray(` (model: ${modelKey}) - Cache busted (messages array reset), starting fresh...`)}`);
-          console.log(logWithOptionalColor(formatBody(parsedBody), colorFn, modelKey, false, loggingConfig.useColorTag));
+          const reason = thread.forkedFrom ? `forked from ${thread.forkedFrom}` : 'messages array reset';
+          // Show what was rewound or edited relative to the turn this one replaces
+          if (isMessagesBody(displayBody) && isMessagesBody(cacheAnalysis.previousBody)) {
+            console.log(`\n${requestTag} ${chalk.bold('Request Body')}${chalk.gray(` (model: ${modelKey}, thread: ${threadId}) - Cache busted (${reason}), changes from previous request:`)}`);
+            console.log(formatConversationDiff(cacheAnalysis.previousBody, displayBody, colorFn, { maxLength: loggingConfig.maxBodyLength }));
+          } else {
+            console.log(`\n${requestTag} ${chalk.bold('Request Body')}${chalk.gray(` (model: ${modelKey}, thread: ${threadId}) - Cache busted (${reason}), starting fresh...`)}`);
+            console.log(logWithOptionalColor(formatBody(displayBody, loggingConfig.maxBodyLength), colorFn, modelKey, false, loggingConfig.useColorTag));
+          }
         } else if (cacheAnalysis.isFirstRequest && !loggingConfig.compact) {
-          console.log(`\n${requestTag} ${chalk.bold('Request Body')}${chalk.gray(` (model: ${modelKey}) - First request, caching...`)}`);
-          console.log(logWithOptionalColor(formatBody(parsedBody), colorFn, modelKey, false, loggingConfig.useColorTag));
+          console.log(`\n${requestTag} ${chalk.bold('Request Body')}${chalk.gray(` (model: ${modelKey}, thread: ${threadId}) - First request, caching...`)}`);
+          console.log(logWithOptionalColor(formatBody(displayBody, loggingConfig.maxBodyLength), colorFn, modelKey, false, loggingConfig.useColorTag));
         }
-
-        // Update cache with the new request (including headers)
-        updateCache(modelKey, parsedBody, filteredHeaders);
       } else {
         console.log(`\n${requestTag} ${chalk.bold('Request Body:')}`);
-        console.log(logWithOptionalColor(formatBody(bodyContent), colorFn, modelKey, false, loggingConfig.useColorTag));
+        console.log(logWithOptionalColor(formatBody(displayBody, loggingConfig.maxBodyLength), colorFn, modelKey, false, loggingConfig.useColorTag));
+      }
+    }
+
+    // What the rules changed, relative to the request the client sent
+    if (rewrite && !loggingConfig.compact) {
+      console.log(`\n${requestTag}${modelDisplay} ${chalk.bold('Rewrites')}${chalk.gray(` (${rewrite.rules.join(', ')}) - Changes from the original request:`)}`);
+      if (rewrite.headerDiff.length > 0) {
+        console.log(formatDiff(rewrite.headerDiff.map(d => ({ ...d, path: ['headers', ...d.path] })), colorFn));
+      }
+      if (rewrite.bodyDiff.length > 0) {
+        console.log(formatDiff(rewrite.bodyDiff.map(d => ({ ...d, path: ['body', ...(d.path || [])] })), colorFn));
       }
     }
 
+    // Guard rules this request broke, and whether it was blocked for it
+    let guardResult = null;
+    // Simulated upstream failure chosen for this request, if any
+    let fault = null;
+    // Tries made against target, when the request was retried
+    let attempts = null;
+    // The body bytes as they go to target, saved with dedup so rebuild can
+    // give them back
+    let sentBody = null;
+
     try {
-      const headers = { ...req.headers };
+      const headers = { ...requestHeaders };
       delete headers.host;
       delete headers['content-length'];
 
@@ -135,62 +257,205 @@ function createProxyServer(proxyConfig, loggingConfig, requestLogger = null) {
         validateStatus: () => true
       };
 
-      if (req.body) {
-        requestConfig.data = req.body instanceof Buffer ? req.body.toString() : req.body;
+      // The client's bytes go out as they came in, unless translation, a
+      // rewrite rule or a plugin changed the body
+      if (parsedBody !== null && JSON.stringify(parsedBody) !== originalJson) {
+        requestConfig.data = parsedBody;
+        delete headers['content-encoding'];
+        sentBody = Buffer.from(JSON.stringify(parsedBody), 'utf8');
+      } else if (rawBody) {
+        requestConfig.data = rawBody;
+        sentBody = rawBody;
+      }
+
+      const guard = proxyConfig.guard;
+      if (guard && guard.enabled && isJsonWithModel && !pluginAnswer) {
+        guardResult = guard.check({ model: modelKey, body: parsedBody, size: Buffer.byteLength(JSON.stringify(parsedBody)) });
+      }
+      if (guardResult && !loggingConfig.compact) {
+        console.log(formatGuardResult(guardResult));
+      }
+      const blocked = guardResult && guardResult.blocked;
+
+      const faultInjector = proxyConfig.faultInjector;
+      if (faultInjector && faultInjector.enabled && !pluginAnswer && !blocked) {
+        fault = faultInjector.pick({ listener: proxyConfig.name, method, url, headers: requestHeaders, body: parsedBody });
+      }
+      if (fault && !loggingConfig.compact) {
+        console.log(chalk.bgRed.white(` ⚡ Injected fault: ${fault.name} (${fault.type}, ${fault.trigger}) `));
       }
 
       const startTime = Date.now();
 
-      const response = await axios(requestConfig);
+      if (fault && fault.latencyMs) {
+        await new Promise(resolve => setTimeout(resolve, fault.latencyMs));
+      }
+      if (fault && fault.type === 'connection_reset') {
+        req.socket.destroy();
+        throw new Error(`Connection reset by injected fault ${fault.name}`);
+      }
+
+      // Compact lines show the attempt count instead
+      const logRetry = (failed) => {
+        if (loggingConfig.compact) {
+          return;
+        }
+        const reason = failed.error || `status ${failed.status}`;
+        console.log(chalk.yellow(`   ↻ Attempt ${failed.attempt} failed (${reason}), retrying in ${failed.delay}ms`));
+      };
+
+      // Injected faults, plugin answers, guard rejections and replay never contact target
+      const faultResponse = fault ? faultInjector.respond(fault, parsedBody) : null;
+      const localResponse = faultResponse || (pluginAnswer && pluginAnswer.response) || (blocked ? guard.respond(guardResult) : null);
+      let response = localResponse;
+      if (!response && proxyConfig.replayer) {
+        response = await proxyConfig.replayer.respond(method, url, parsedBody || bodyContent);
+      } else if (!response) {
+        const sent = await upstreamClient.request(requestConfig, logRetry);
+        response = sent.response;
+        // Only kept when a request needed more than one
+        attempts = sent.attempts.length > 1 ? sent.attempts : null;
+      }
+      const streaming = isSSEResponse(response.headers);
+
+      // Response rules only change what the client sees; logs keep upstream's headers
+      const clientHeaders = rewrite
+        ? proxyConfig.rewriter.rewriteResponseHeaders(response.headers, rewrite.responseRules)
+        : response.headers;
+      copyResponseHeaders(clientHeaders, res, streaming);
+
+      // Event streams go to the client as they arrive; everything else is
+      // buffered so it can be sent in one piece after logging
+      if (streaming) {
+        res.status(response.status);
+        res.flushHeaders();
+      }
+
+      // Chat Completions clients get the stream in OpenAI's chunk format
+      const clientStream = translation && streaming
+        ? new ChatCompletionStream({ model: translation.model, includeUsage: translation.includeUsage })
+        : null;
+      if (clientStream) {
+        clientStream.pipe(res);
+        // Keep draining if the client goes away, so the upstream stream can finish
+        res.on('close', () => {
+          clientStream.unpipe(res);
+          clientStream.resume();
+        });
+      }
+
+      const sseFeed = plugins && streaming ? plugins.sseEventFeed(exchange) : null;
+      const collected = await collectResponse(response.data, startTime, streaming ? (clientStream || res) : null, sseFeed && sseFeed.write);
 
       const duration = Date.now() - startTime;
+      const ttft = streaming ? findTimeToFirstToken(collected.chunks, collected.firstByteAt) : null;
+      const timedEvents = streaming ? splitTimedEvents(collected.chunks) : null;
+      const responseText = collected.body.toString('utf8');
+      // Saved to a file of its own rather than as a string
+      const binaryBody = !streaming && isBinary(collected.body, response.headers['content-type'] || '') ? collected.body : null;
 
       // Parse response data to normalized JSON format for logging
-      let normalizedResponseData = response.data;
+      let normalizedResponseData = responseText;
       let usageInfo = null;
+      let streamError = null;
+      let streamIssues = [];
+
+      if (streaming) {
+        // Parse SSE to get the reconstructed message
+        const events = parseSSE(responseText);
+        const reconstructed = reconstructStream(events);
+        streamError = reconstructed.error;
+        streamIssues = reconstructed.issues;
+        if (reconstructed.message) {
+          normalizedResponseData = reconstructed.message;
+          usageInfo = reconstructed.message.usage;
+        } else if (streamError) {
+          // Same shape the non-streaming API uses for errors
+          normalizedResponseData = { type: 'error', error: streamError };
+        }
+      } else if (binaryBody) {
+        normalizedResponseData = { binary: true, contentType: response.headers['content-type'] || null, size: binaryBody.length };
+      } else {
+        // Try to parse as JSON
+        try {
+          const parsed = JSON.parse(responseText);
+          normalizedResponseData = parsed;
+          usageInfo = parsed.usage;
+        } catch (e) {
+          // Not JSON, keep as string
+        }
+      }
 
-      if (response.data && typeof response.data === 'object') {
-        // Already an object
-        usageInfo = response.data.usage;
-      } else if (typeof response.data === 'string') {
-        // Check if this is an SSE response first
-        if (isSSEResponse(response.headers)) {
-          // Parse SSE to get the reconstructed message
-          const events = parseSSE(response.data);
-          const reconstructed = reconstructMessageFromSSE(events);
-          if (reconstructed) {
-            normalizedResponseData = reconstructed;
-            usageInfo = reconstructed.usage;
-          }
-        } else {
-          // Try to parse as JSON
-          try {
-            const parsed = JSON.parse(response.data);
-            normalizedResponseData = parsed;
-            usageInfo = parsed.usage;
-          } catch (e) {
-            // Not JSON, keep as string
-          }
+      // What a Chat Completions client receives; logs keep the Messages API response too
+      if (translation) {
+        translation.response = streaming
+          ? (normalizedResponseData && normalizedResponseData.type === 'message' ? toChatCompletion(normalizedResponseData, translation.model) : null)
+          : translateResponse(normalizedResponseData, response.status, translation.model);
+      }
+
+      // Local and replayed responses didn't come from target just now, so they
+      // cost nothing and say nothing about its cache or rate limits
+      const fromTarget = !localResponse && !proxyConfig.replayer;
+
+      // Remaining budget from target's rate-limit headers
+      const rateLimit = proxyConfig.rateLimits && fromTarget
+        ? proxyConfig.rateLimits.record(requestHeaders, modelKey, response)
+        : null;
+
+      const cost = usageInfo && fromTarget ? costTracker.record(modelKey, usageInfo) : null;
+      const cacheMiss = promptSnapshot && fromTarget ? explainCacheMiss(threadId, promptSnapshot, usageInfo) : null;
+      if (guard && fromTarget) {
+        guard.record(usageInfo, cost && cost.cost);
+      }
+
+      if (proxyConfig.replayer && !localResponse && !response.replayed) {
+        console.error(chalk.red(`✗ Replay miss: ${method} ${displayUrl}`));
+        if (response.closest) {
+          console.error(chalk.red(`   ↳ Closest recorded request: ${response.closest.id}`));
+          response.closest.differences.forEach(difference => console.error(chalk.red(`     - ${difference}`)));
         }
       }
 
       // Use compact logging if enabled
       if (loggingConfig.compact) {
-        logCompact(colorFn, modelKey, method, url, response.status, duration, cacheInfo, usageInfo);
+        formatToolResults(toolResults).forEach(line => console.log(line));
+        logCompact(colorFn, modelKey, method, displayUrl, response.status, duration, cacheInfo, usageInfo, { ttft, streamError, streamIssues, cost, cacheMiss, threadId, listener: listenerDisplay, rewrites: rewrite ? rewrite.rules : [], fault, attempts, openai: !!translation, rateLimit, plugin: pluginAnswer ? pluginAnswer.plugin : null, guard: guardResult });
+        if (timeline) {
+          formatToolCalls(recordToolCalls(redactor.body(normalizedResponseData), Date.now())).forEach(line => console.log(line));
+        }
       } else {
-        console.log(`\n${responseTag}${modelDisplay} ${chalk.bold('✓ Received:')} ${response.status} ${response.statusText} (${duration}ms)`);
+        const attemptCount = attempts ? `, ${attempts.length} attempts` : '';
+        const timing = `${duration}ms${ttft !== null ? `, ttft ${ttft}ms` : ''}${attemptCount}`;
+        const costDisplay = cost ? chalk.gray(` ${formatCost(cost.cost)} (session ${formatCost(cost.total)})`) : '';
+        console.log(`\n${responseTag}${modelDisplay} ${chalk.bold('✓ Received:')} ${response.status} ${response.statusText} (${timing})${costDisplay}`);
+        if (response.replayed) {
+          console.log(chalk.gray(`   ↳ Replayed from ${response.replayed}`));
+        }
+        if (pluginAnswer) {
+          console.log(chalk.cyan(`   ↳ Answered by plugin ${pluginAnswer.plugin}`));
+        }
+        if (cacheMiss) {
+          console.log(formatCacheMiss(cacheMiss));
+        }
+        if (rateLimit && rateLimit.tightest) {
+          console.log(formatRateLimits(rateLimit));
+        }
+      }
+      if (rateLimit) {
+        formatRateLimitAlerts(rateLimit).forEach(line => console.log(line));
       }
 
       if (loggingConfig.showResponse && !loggingConfig.compact) {
+        const displayResponseHeaders = redactor.headers(response.headers);
+
         if (loggingConfig.showHeaders) {
           // Handle response headers diff if we have cached data
           if (isJsonWithModel && modelKey) {
-            const cachedData = getCachedData(modelKey);
+            const cachedData = getCachedData(threadId);
 
             if (cachedData && cachedData.responseHeaders) {
               console.log(`\n${responseTag}${modelDisplay} ${chalk.bold('Headers')}${chalk.gray(' - Showing diff:')}`);
-              const diff = require('deep-diff');
-              const responseHeaderDiffs = diff.diff(cachedData.responseHeaders, response.headers);
+              const responseHeaderDiffs = diff.diff(cachedData.responseHeaders, displayResponseHeaders);
               if (responseHeaderDiffs && responseHeaderDiffs.length > 0) {
                 console.log(formatDiff(responseHeaderDiffs, colorFn));
               } else {
@@ -198,101 +463,254 @@ function createProxyServer(proxyConfig, loggingConfig, requestLogger = null) {
               }
             } else {
               console.log(`\n${responseTag}${modelDisplay} ${chalk.bold('Headers:')}`);
-              console.log(logWithOptionalColor(JSON.stringify(response.headers, null, 2), colorFn, modelKey, true, loggingConfig.useColorTag));
+              console.log(logWithOptionalColor(JSON.stringify(displayResponseHeaders, null, 2), colorFn, modelKey, true, loggingConfig.useColorTag));
             }
 
             // Update cached response headers
-            updateResponseHeaders(modelKey, response.headers);
+            updateResponseHeaders(threadId, displayResponseHeaders);
           } else {
             console.log(`\n${responseTag}${modelDisplay} ${chalk.bold('Headers:')}`);
-            console.log(logWithOptionalColor(JSON.stringify(response.headers, null, 2), colorFn, modelKey, true, loggingConfig.useColorTag));
+            console.log(logWithOptionalColor(JSON.stringify(displayResponseHeaders, null, 2), colorFn, modelKey, true, loggingConfig.useColorTag));
           }
         }
 
-        if (response.data) {
+        if (responseText) {
           // Check if this is an SSE response
-          if (isSSEResponse(response.headers)) {
+          if (streaming) {
             console.log(`\n${responseTag}${modelDisplay} ${chalk.bold('Body')}${chalk.gray(' (SSE stream):')}`);
-            const formattedSSE = formatSSEResponse(response.data, colorFn);
+            const formattedSSE = formatSSEResponse(responseText, colorFn, redactor);
             console.log(logWithOptionalColor(formattedSSE, colorFn, modelKey, true, loggingConfig.useColorTag));
           } else {
             console.log(`\n${responseTag}${modelDisplay} ${chalk.bold('Body:')}`);
-            const responseBody = typeof response.data === 'string'
-              ? response.data
-              : JSON.stringify(response.data, null, 2);
-            console.log(logWithOptionalColor(formatBody(responseBody), colorFn, modelKey, true, loggingConfig.useColorTag));
+            const displayResponse = redactor.body(normalizedResponseData);
+            const responseBody = typeof displayResponse === 'string'
+              ? displayResponse
+              : JSON.stringify(displayResponse, null, 2);
+            console.log(logWithOptionalColor(formatBody(responseBody, loggingConfig.maxBodyLength), colorFn, modelKey, true, loggingConfig.useColorTag));
           }
         }
-      }
 
-      Object.entries(response.headers).forEach(([key, value]) => {
-        if (key.toLowerCase() !== 'content-encoding' &&
-            key.toLowerCase() !== 'transfer-encoding') {
-          res.setHeader(key, value);
+        if (translation && translation.response) {
+          console.log(`\n${responseTag}${modelDisplay} ${chalk.bold('OpenAI Response Body:')}`);
+          const translatedBody = JSON.stringify(redactor.body(translation.response), null, 2);
+          console.log(logWithOptionalColor(formatBody(translatedBody, loggingConfig.maxBodyLength), colorFn, modelKey, true, loggingConfig.useColorTag));
         }
-      });
+      }
 
-      // Save request/response if logging is enabled
+      // Save request/response if logging is enabled; the dashboard reads
+      // it back from there once it drops the bodies
+      let log = null;
       if (requestLogger && requestLogger.enabled) {
-        await requestLogger.saveRequest(
+        const seq = await requestLogger.saveRequest(
           {
             method,
             url,
-            headers: req.headers,
+            headers: requestHeaders,
             query: req.query,
             body: parsedBody || bodyContent,
-            modelKey
+            sentBody,
+            modelKey,
+            threadId,
+            rewrites: rewrite ? { rules: rewrite.rules, headerDiff: rewrite.headerDiff, bodyDiff: rewrite.bodyDiff } : null,
+            openai: translation ? { url: translation.originalUrl, body: translation.originalBody } : null
           },
           {
             status: response.status,
             statusText: response.statusText,
             headers: response.headers,
             data: normalizedResponseData,
-            duration
+            binaryBody,
+            duration,
+            ttft,
+            streamError,
+            streamIssues,
+            sseEvents: timedEvents,
+            cost: cost ? cost.cost : null,
+            cacheMiss,
+            fault,
+            attempts,
+            openai: translation && translation.response ? { body: translation.response } : null,
+            rateLimit,
+            plugin: pluginAnswer ? pluginAnswer.plugin : null,
+            guard: guardResult
           }
         );
+        log = seq !== null ? { logDir: requestLogger.getLogDir(), id: seq } : null;
+        requestLogger.scheduleSummary(() => costTracker.getSummary());
+      }
+
+      if (traffic) {
+        traffic.add({
+          timestamp,
+          listener: proxyConfig.name,
+          log,
+          method,
+          url: displayUrl,
+          model: modelKey,
+          threadId,
+          status: response.status,
+          duration,
+          ttft,
+          usage: usageInfo || null,
+          cacheLabel: cacheAnalysis ? getCacheLabel(cacheInfo) : null,
+          cacheMiss,
+          cost: cost ? cost.cost : null,
+          fault,
+          attempts,
+          rateLimit,
+          plugin: pluginAnswer ? pluginAnswer.plugin : null,
+          guard: guardResult,
+          rewrites: rewrite ? rewrite.rules : null,
+          request: { headers: filteredHeaders, query: redactor.body(req.query), body: displayBody },
+          response: { headers: redactor.headers(response.headers), body: redactor.body(normalizedResponseData), streamIssues },
+          bodyDiff: cacheAnalysis ? cacheAnalysis.bodyDiff : null
+        });
+      }
+
+      if (metrics) {
+        metrics.observe({
+          model: modelKey,
+          url,
+          status: response.status,
+          duration,
+          ttft,
+          usage: fromTarget ? usageInfo : null,
+          cacheLabel: cacheAnalysis ? getCacheLabel(cacheInfo) : null,
+          streamError
+        });
       }
 
-      res.status(response.status).send(response.data);
+      if (streaming && fault && fault.type === 'stream_cut') {
+        // Close the connection without the chunk that ends the response (or
+        // OpenAI's [DONE]), so the client sees the stream break off
+        setImmediate(() => req.socket.end());
+      } else if (streaming) {
+        (clientStream || res).end();
+      } else if (translation && translation.response) {
+        res.status(response.status).json(translation.response);
+      } else {
+        res.status(response.status).send(collected.body);
+      }
+
+      // Run after the client has its response, so plugins don't add latency
+      if (plugins) {
+        if (sseFeed) {
+          await sseFeed.end();
+        }
+        await plugins.runResponse({
+          request: pluginRequest,
+          response: {
+            status: response.status,
+            headers: response.headers,
+            body: normalizedResponseData,
+            streamed: streaming,
+            duration,
+            ttft,
+            usage: usageInfo || null,
+            cost: cost ? cost.cost : null
+          }
+        }, exchange);
+      }
 
     } catch (error) {
+      if (error.attempts && error.attempts.length > 1) {
+        attempts = error.attempts;
+      }
+
       if (loggingConfig.compact) {
-        logCompact(colorFn, modelKey, method, url, error.response?.status || 500, 0, cacheInfo, null);
+        formatToolResults(toolResults).forEach(line => console.log(line));
+        logCompact(colorFn, modelKey, method, displayUrl, error.response?.status || 500, 0, cacheInfo, null, { threadId, listener: listenerDisplay, rewrites: rewrite ? rewrite.rules : [], fault, attempts, openai: !!translation, guard: guardResult });
       } else {
-        console.error(`\n${responseTag}${modelDisplay} ${chalk.red.bold('✗ Error:')} ${error.message}`);
+        const attemptCount = attempts ? chalk.gray(` (after ${attempts.length} attempts)`) : '';
+        console.error(`\n${responseTag}${modelDisplay} ${chalk.red.bold('✗ Error:')} ${error.message}${attemptCount}`);
         if (error.response) {
           console.error(`${responseTag}${modelDisplay} ${chalk.red('Status:')} ${error.response.status}`);
-          console.error(`${responseTag}${modelDisplay} ${chalk.red('Data:')} ${error.response.data}`);
+          console.error(`${responseTag}${modelDisplay} ${chalk.red('Data:')} ${formatErrorData(error.response.data, redactor)}`);
         }
       }
 
-      // Save error response if logging is enabled
+      // Save error response if logging is enabled; the dashboard reads
+      // it back from there once it drops the bodies
+      let log = null;
       if (requestLogger && requestLogger.enabled) {
-        await requestLogger.saveRequest(
+        const seq = await requestLogger.saveRequest(
           {
             method,
             url,
-            headers: req.headers,
+            headers: requestHeaders,
             query: req.query,
             body: parsedBody || bodyContent,
-            modelKey
+            sentBody,
+            modelKey,
+            threadId,
+            rewrites: rewrite ? { rules: rewrite.rules, headerDiff: rewrite.headerDiff, bodyDiff: rewrite.bodyDiff } : null,
+            openai: translation ? { url: translation.originalUrl, body: translation.originalBody } : null
           },
           {
             status: error.response?.status || 500,
             statusText: error.response?.statusText || 'Error',
             headers: error.response?.headers || {},
-            data: error.response?.data || { error: error.message },
+            data: isStream(error.response?.data) ? { error: error.message } : error.response?.data || { error: error.message },
             duration: 0,
-            error: error.message
+            error: error.message,
+            fault,
+            attempts,
+            guard: guardResult
           }
         );
+        log = seq !== null ? { logDir: requestLogger.getLogDir(), id: seq } : null;
       }
 
-      res.status(error.response?.status || 500).json({
-        error: 'Proxy Error',
-        message: error.message,
-        target: targetUrl
-      });
+      if (traffic) {
+        traffic.add({
+          timestamp,
+          listener: proxyConfig.name,
+          log,
+          method,
+          url: displayUrl,
+          model: modelKey,
+          threadId,
+          status: error.response?.status || 500,
+          duration: 0,
+          cacheLabel: cacheAnalysis ? getCacheLabel(cacheInfo) : null,
+          error: redactor.text(error.message),
+          fault,
+          attempts,
+          guard: guardResult,
+          rewrites: rewrite ? rewrite.rules : null,
+          request: { headers: filteredHeaders, query: redactor.body(req.query), body: displayBody },
+          response: { headers: {}, body: null },
+          bodyDiff: cacheAnalysis ? cacheAnalysis.bodyDiff : null
+        });
+      }
+
+      if (metrics) {
+        metrics.observe({
+          model: modelKey,
+          url,
+          status: error.response?.status || 500,
+          duration: 0,
+          cacheLabel: cacheAnalysis ? getCacheLabel(cacheInfo) : null,
+          error: true
+        });
+      }
+
+      // A stream that fails midway has already sent its headers
+      if (res.headersSent || req.socket.destroyed) {
+        res.end();
+      } else if (translation) {
+        res.status(error.response?.status || 500).json(toChatError(null, error.message));
+      } else {
+        res.status(error.response?.status || 500).json({
+          error: 'Proxy Error',
+          message: error.message,
+          target: targetUrl
+        });
+      }
+
+      if (plugins) {
+        await plugins.runError(error, exchange);
+      }
     }
 
     if (!loggingConfig.compact) {
@@ -301,12 +719,92 @@ function createProxyServer(proxyConfig, loggingConfig, requestLogger = null) {
   });
 
   const server = app.listen(proxyConfig.port, () => {
-    console.log(chalk.bold.white(`Proxy server started on port ${proxyConfig.port}`));
-    console.log(chalk.gray(`   ↳ Proxying to: ${proxyConfig.target}`));
+    const nameDisplay = proxyConfig.showListenerName ? ` [${proxyConfig.name}]` : '';
+    console.log(chalk.bold.white(`Proxy server${nameDisplay} started on port ${proxyConfig.port}`));
+    if (proxyConfig.replayer) {
+      console.log(chalk.gray(`   ↳ Replaying ${proxyConfig.replayer.getEntryCount()} recorded requests from: ${proxyConfig.replayer.logDir}`));
+    } else {
+      console.log(chalk.gray(`   ↳ Proxying to: ${proxyConfig.target}`));
+      const upstreamDescription = upstreamClient.describe();
+      if (upstreamDescription) {
+        console.log(chalk.gray(`   ↳ Upstream: ${upstreamDescription}`));
+      }
+    }
+    if (proxyConfig.guard && proxyConfig.guard.enabled) {
+      console.log(chalk.yellow(`   ↳ Guards: ${proxyConfig.guard.describe()}`));
+    }
+    if (proxyConfig.faultInjector && proxyConfig.faultInjector.enabled) {
+      const profiles = proxyConfig.faultInjector.profiles.map(profile => `${profile.name} (${profile.type}, ${profile.trigger})`);
+      console.log(chalk.red(`   ↳ Fault injection: ${profiles.join(', ')}; seed ${proxyConfig.faultInjector.seed}`));
+    }
+    if (proxyConfig.openai && proxyConfig.openai.enabled) {
+      console.log(chalk.blue(`   ↳ OpenAI Chat Completions accepted at: ${proxyConfig.openai.path}`));
+    }
+    if (proxyConfig.plugins && proxyConfig.plugins.enabled) {
+      console.log(chalk.cyan(`   ↳ Plugins: ${proxyConfig.plugins.plugins.map(plugin => plugin.name).join(', ')}`));
+    }
+    if (proxyConfig.rewriter && proxyConfig.rewriter.enabled) {
+      console.log(chalk.magenta(`   ↳ Rewrite rules: ${proxyConfig.rewriter.rules.map(rule => rule.name).join(', ')}`));
+    }
+    (proxyConfig.routes || []).forEach(route => {
+      const strip = route.stripPrefix ? ' (prefix stripped)' : '';
+      console.log(chalk.gray(`   ↳ Routing ${route.prefix} to: ${route.target}${strip}`));
+    });
     console.log(chalk.cyan(`   ↳ Run claude with \`ANTHROPIC_BASE_URL=http://localhost:${proxyConfig.port} claude\``));
   });
 
   return server;
 }
 
+function formatGuardResult(guardResult) {
+  const lines = guardResult.violations.map(violation => (guardResult.blocked
+    ? chalk.red(`⛔ Blocked by guard ${violation.rule}: ${violation.message}`)
+    : chalk.yellow(`⚠ Guard ${violation.rule} (warn only): ${violation.message}`)));
+  return lines.join('\n');
+}
+
+function formatCacheMiss(cacheMiss) {
+  const lines = [chalk.red(`   ↳ Prompt cache miss: ${cacheMiss.summary}`)];
+  if (cacheMiss.expectedTokens !== undefined) {
+    lines.push(chalk.gray(`     read ${cacheMiss.cacheReadTokens} of ~${cacheMiss.expectedTokens} previously cached tokens`));
+  }
+  if (cacheMiss.change) {
+    // Only the start of the previous turn's blocks is kept
+    if (cacheMiss.change.before !== null) {
+      lines.push(chalk.red(`     - ${cacheMiss.change.before}`));
+    }
+    lines.push(chalk.green(`     + ${cacheMiss.change.after}`));
+  }
+  return lines.join('\n');
+}
+
+// Responses are requested as streams, so an error's body may be one that was never read
+function formatErrorData(data, redactor) {
+  if (isStream(data)) {
+    return chalk.gray('(unread response stream)');
+  }
+  if (Buffer.isBuffer(data)) {
+    return redactor.text(data.toString('utf8'));
+  }
+  return typeof data === 'string' ? redactor.text(data) : JSON.stringify(redactor.body(data));
+}
+
+function isStream(data) {
+  return !!data && typeof data.pipe === 'function';
+}
+
+function copyResponseHeaders(upstreamHeaders, res, streaming) {
+  Object.entries(upstreamHeaders).forEach(([key, value]) => {
+    const name = key.toLowerCase();
+    if (name === 'content-encoding' || name === 'transfer-encoding') {
+      return;
+    }
+    // Streamed bodies are decompressed and chunked, so the upstream length no longer applies
+    if (streaming && name === 'content-length') {
+      return;
+    }
+    res.setHeader(key, value);
+  });
+}
+
 module.exports = { createProxyServer };
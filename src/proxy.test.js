@@ -0,0 +1,93 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+const { createProxyServer } = require('./proxy');
+const { RequestLogger } = require('./request-logger');
+const { Replayer } = require('./replay');
+const { CostTracker } = require('./cost-tracker');
+const { Metrics } = require('./metrics');
+const { FaultInjector } = require('./faults');
+
+const USAGE = { input_tokens: 1000, output_tokens: 100, cache_read_input_tokens: 0, cache_creation_input_tokens: 0 };
+const REQUEST = { model: 'claude-sonnet-4-5', max_tokens: 1024, messages: [{ role: 'user', content: 'hi' }] };
+const ANSWER = { id: 'msg_1', type: 'message', role: 'assistant', content: [{ type: 'text', text: 'hello' }], usage: USAGE };
+
+// Answers every request with ANSWER instead of contacting target
+const upstream = {
+  request: async () => ({
+    response: { status: 200, statusText: 'OK', headers: { 'content-type': 'application/json' }, data: Readable.from([Buffer.from(JSON.stringify(ANSWER))]) },
+    attempts: [{ attempt: 1 }]
+  }),
+  describe: () => null
+};
+
+async function startProxy(t, proxyConfig) {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'error', () => {});
+  const server = createProxyServer({ name: 'default', port: 0, target: 'http://target.invalid', upstream, ...proxyConfig }, { compact: true });
+  await new Promise(resolve => server.once('listening', resolve));
+  t.after(() => {
+    server.closeAllConnections();
+    server.close();
+  });
+  return `http://127.0.0.1:${server.address().port}`;
+}
+
+async function send(base) {
+  const response = await fetch(`${base}/v1/messages`, { method: 'POST', headers: { 'content-type': 'application/json' }, body: JSON.stringify(REQUEST) });
+  return { status: response.status, body: await response.json() };
+}
+
+test('usage of responses from target is priced and counted', async (t) => {
+  const costTracker = new CostTracker();
+  const metrics = new Metrics();
+  const base = await startProxy(t, { costTracker, metrics });
+
+  assert.deepEqual(await send(base), { status: 200, body: ANSWER });
+  assert.equal(costTracker.getSummary().total.requests, 1);
+  assert.equal(costTracker.getSummary().total.input_tokens, 1000);
+  assert.match(metrics.render(), /claude_proxy_tokens_total\{[^}]*type="input"\} 1000/);
+});
+
+test('replayed responses are served without adding to spend or token metrics', async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'proxy-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  t.mock.method(console, 'log', () => {});
+  await new RequestLogger(dir).saveRequest(
+    { method: 'POST', url: '/v1/messages', headers: {}, query: {}, body: REQUEST, modelKey: REQUEST.model },
+    { status: 200, statusText: 'OK', headers: { 'content-type': 'application/json' }, data: ANSWER, duration: 5 }
+  );
+  const replayer = new Replayer(dir);
+  await replayer.load();
+
+  const costTracker = new CostTracker();
+  const metrics = new Metrics();
+  const base = await startProxy(t, { costTracker, metrics, replayer });
+
+  assert.deepEqual(await send(base), { status: 200, body: ANSWER });
+  assert.equal(costTracker.getSummary().total.requests, 0);
+  assert.doesNotMatch(metrics.render(), /claude_proxy_tokens_total\{/);
+  assert.match(metrics.render(), /claude_proxy_requests_total\{[^}]*status="200"\} 1/);
+});
+
+test('a stream_cut fault drops the connection partway through the stream', async (t) => {
+  const faultInjector = new FaultInjector({ profiles: [{ name: 'cut', type: 'stream_cut' }] });
+  const base = await startProxy(t, { faultInjector });
+
+  const response = await fetch(`${base}/v1/messages`, { method: 'POST', headers: { 'content-type': 'application/json' }, body: JSON.stringify({ ...REQUEST, stream: true }) });
+  assert.equal(response.status, 200);
+
+  const chunks = [];
+  const reader = response.body.getReader();
+  await assert.rejects(async () => {
+    for (let read = await reader.read(); !read.done; read = await reader.read()) {
+      chunks.push(Buffer.from(read.value));
+    }
+  }, /terminated/);
+  const received = Buffer.concat(chunks).toString('utf8');
+  assert.match(received, /event: content_block_delta/);
+  assert.doesNotMatch(received, /message_stop/);
+});
@@ -0,0 +1,176 @@
+const chalk = require('chalk');
+const { simplifyModelName } = require('./models');
+
+const DEFAULT_WARN_AT = 0.8;
+
+// anthropic-ratelimit-<name>-{limit,remaining,reset} headers, and the short
+// labels used for them in compact lines
+const LIMITS = {
+  requests: 'req',
+  tokens: 'tok',
+  'input-tokens': 'in',
+  'output-tokens': 'out'
+};
+
+// Follows the rate-limit headers target returns, per API key and model, so
+// parallel runs can see a limit coming before they hit it.
+class RateLimitTracker {
+  constructor(rateLimitConfig = {}) {
+    this.configure(rateLimitConfig);
+    // "<key> <model>" -> { limits, warned }
+    this.budgets = new Map();
+  }
+
+  configure(rateLimitConfig = {}) {
+    this.warnAt = rateLimitConfig.warnAt ?? DEFAULT_WARN_AT;
+  }
+
+  // Returns what the headers say about this key and model, or null when the
+  // response carried no rate-limit headers and wasn't a 429
+  record(requestHeaders, modelKey, response) {
+    const limits = parseLimits(response.headers);
+    const retryAfter = parseRetryAfter(response.headers);
+    if (Object.keys(limits).length === 0 && response.status !== 429) {
+      return null;
+    }
+
+    const key = keyLabel(requestHeaders);
+    const model = simplifyModelName(modelKey) || null;
+    const id = `${key} ${model || ''}`;
+    const budget = this.budgets.get(id) || { limits: {}, warned: new Set() };
+    Object.assign(budget.limits, limits);
+    this.budgets.set(id, budget);
+
+    // Each limit warns once when it crosses the threshold, and again only after it has recovered
+    const warnings = [];
+    Object.entries(limits).forEach(([name, limit]) => {
+      if (usage(limit) >= this.warnAt) {
+        if (!budget.warned.has(name)) {
+          budget.warned.add(name);
+          warnings.push(name);
+        }
+      } else {
+        budget.warned.delete(name);
+      }
+    });
+
+    const tightest = tightestLimit(limits);
+    return {
+      key,
+      model,
+      limits,
+      tightest,
+      nearLimit: !!tightest && usage(limits[tightest]) >= this.warnAt,
+      warnings,
+      limited: response.status === 429,
+      limitHit: response.status === 429 ? limitHit(limits) : null,
+      retryAfter
+    };
+  }
+}
+
+function parseLimits(headers) {
+  const limits = {};
+  Object.keys(LIMITS).forEach(name => {
+    const prefix = `anthropic-ratelimit-${name}`;
+    const limit = Number(headers[`${prefix}-limit`]);
+    const remaining = Number(headers[`${prefix}-remaining`]);
+    if (headers[`${prefix}-limit`] === undefined || !Number.isFinite(limit) || !Number.isFinite(remaining)) {
+      return;
+    }
+    limits[name] = { limit, remaining, reset: headers[`${prefix}-reset`] || null };
+  });
+  return limits;
+}
+
+// Seconds to wait; retry-after may also be an HTTP date
+function parseRetryAfter(headers) {
+  const value = headers['retry-after'];
+  if (value === undefined) {
+    return null;
+  }
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return seconds;
+  }
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, Math.round((date - Date.now()) / 1000));
+}
+
+// Keys are identified by their last characters, never stored whole
+function keyLabel(headers) {
+  const bearer = /^Bearer\s+(.+)$/i.exec(headers.authorization || '');
+  const key = headers['x-api-key'] || (bearer && bearer[1]);
+  return key ? `…${String(key).slice(-4)}` : null;
+}
+
+function usage(limit) {
+  return limit.limit > 0 ? 1 - limit.remaining / limit.limit : 0;
+}
+
+function tightestLimit(limits) {
+  const names = Object.keys(limits);
+  return names.length > 0
+    ? names.reduce((tightest, name) => (usage(limits[name]) > usage(limits[tightest]) ? name : tightest))
+    : null;
+}
+
+// The limit with nothing left, or failing that the one closest to running out
+function limitHit(limits) {
+  return Object.keys(limits).find(name => limits[name].remaining === 0) || tightestLimit(limits);
+}
+
+function formatCount(value) {
+  if (value >= 1000000) return `${+(value / 1000000).toFixed(1)}M`;
+  if (value >= 1000) return `${+(value / 1000).toFixed(1)}k`;
+  return String(value);
+}
+
+function formatReset(reset) {
+  const seconds = Math.max(0, Math.round((Date.parse(reset) - Date.now()) / 1000));
+  if (Number.isNaN(seconds)) return '';
+  return seconds >= 60 ? `${Math.floor(seconds / 60)}m${seconds % 60 ? `${seconds % 60}s` : ''}` : `${seconds}s`;
+}
+
+function describeLimit(name, limit) {
+  const reset = limit.reset ? ` ↻${formatReset(limit.reset)}` : '';
+  return `${LIMITS[name]}:${formatCount(limit.remaining)}/${formatCount(limit.limit)}${reset}`;
+}
+
+// Remaining budget of the limit closest to running out, for compact lines
+function formatCompactRateLimit(rateLimit) {
+  if (!rateLimit || !rateLimit.tightest) {
+    return '';
+  }
+  const color = rateLimit.limited ? chalk.red : rateLimit.nearLimit ? chalk.yellow : chalk.gray;
+  return color(` [RL ${describeLimit(rateLimit.tightest, rateLimit.limits[rateLimit.tightest])}]`);
+}
+
+// Every limit target reported, for full mode
+function formatRateLimits(rateLimit) {
+  const limits = Object.entries(rateLimit.limits).map(([name, limit]) => describeLimit(name, limit));
+  const key = rateLimit.key ? ` (key ${rateLimit.key})` : '';
+  return chalk.gray(`   ↳ Rate limits${key}: ${limits.join(', ')}`);
+}
+
+// Warnings for limits that passed the threshold, and the limit a 429 ran into
+function formatRateLimitAlerts(rateLimit) {
+  const who = `${rateLimit.key ? `key ${rateLimit.key}` : 'no API key'}${rateLimit.model ? `, ${rateLimit.model}` : ''}`;
+  // A 429 reports the limit it hit below instead
+  const warnings = rateLimit.warnings.filter(name => name !== rateLimit.limitHit);
+  const lines = warnings.map(name => {
+    const limit = rateLimit.limits[name];
+    const reset = limit.reset ? `, resets in ${formatReset(limit.reset)}` : '';
+    return chalk.yellow(`⚠ Rate limit ${name} at ${Math.round(usage(limit) * 100)}% for ${who} (${formatCount(limit.remaining)} of ${formatCount(limit.limit)} left${reset})`);
+  });
+
+  if (rateLimit.limited) {
+    const limit = rateLimit.limitHit ? rateLimit.limits[rateLimit.limitHit] : null;
+    const detail = limit ? ` on ${rateLimit.limitHit} (${formatCount(limit.remaining)} of ${formatCount(limit.limit)} left)` : '';
+    const retry = rateLimit.retryAfter !== null ? `, retry after ${rateLimit.retryAfter}s` : '';
+    lines.push(chalk.red(`✗ Rate limited${detail} for ${who}${retry}`));
+  }
+  return lines;
+}
+
+module.exports = { RateLimitTracker, formatCompactRateLimit, formatRateLimits, formatRateLimitAlerts };
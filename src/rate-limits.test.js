@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const chalk = require('chalk');
+const { RateLimitTracker, formatCompactRateLimit, formatRateLimitAlerts } = require('./rate-limits');
+
+chalk.level = 0;
+
+const KEY = { 'x-api-key': 'sk-ant-secret-abcd' };
+
+function limitHeaders(limits, extra = {}) {
+  const headers = { ...extra };
+  Object.entries(limits).forEach(([name, [limit, remaining]]) => {
+    headers[`anthropic-ratelimit-${name}-limit`] = String(limit);
+    headers[`anthropic-ratelimit-${name}-remaining`] = String(remaining);
+  });
+  return headers;
+}
+
+test('responses without rate-limit headers are ignored unless they are a 429', () => {
+  const tracker = new RateLimitTracker();
+
+  assert.equal(tracker.record(KEY, 'claude-sonnet-4-5', { status: 200, headers: {} }), null);
+  const limited = tracker.record(KEY, 'claude-sonnet-4-5', { status: 429, headers: { 'retry-after': '12' } });
+  assert.equal(limited.limited, true);
+  assert.equal(limited.retryAfter, 12);
+  assert.equal(limited.tightest, null);
+});
+
+test('headers are read per limit and keys are only kept by their last characters', () => {
+  const tracker = new RateLimitTracker();
+  const result = tracker.record(KEY, 'claude-sonnet-4-5-20250929', {
+    status: 200,
+    headers: limitHeaders({ requests: [50, 45], 'input-tokens': [100000, 30000] }, { 'anthropic-ratelimit-tokens-limit': 'n/a' })
+  });
+
+  assert.equal(result.key, '…abcd');
+  assert.equal(result.model, 'claude-sonnet-4-5');
+  assert.deepEqual(Object.keys(result.limits), ['requests', 'input-tokens']);
+  assert.equal(result.tightest, 'input-tokens');
+  assert.equal(result.nearLimit, false);
+  assert.equal(formatCompactRateLimit(result), ' [RL in:30k/100k]');
+  assert.equal(tracker.record({ authorization: 'Bearer token-wxyz' }, null, { status: 200, headers: limitHeaders({ requests: [1, 1] }) }).key, '…wxyz');
+});
+
+test('each limit warns once past the threshold and again only after it recovers', () => {
+  const tracker = new RateLimitTracker({ warnAt: 0.5 });
+  const record = remaining => tracker.record(KEY, 'claude-sonnet-4-5', { status: 200, headers: limitHeaders({ requests: [10, remaining] }) }).warnings;
+
+  assert.deepEqual([record(8), record(4), record(2), record(9), record(1)], [[], ['requests'], [], [], ['requests']]);
+});
+
+test('a 429 names the limit that ran out and when to retry', () => {
+  const tracker = new RateLimitTracker();
+  const result = tracker.record(KEY, 'claude-opus-4-1', {
+    status: 429,
+    headers: limitHeaders({ requests: [50, 40], 'output-tokens': [8000, 0] }, { 'retry-after': '30' })
+  });
+
+  assert.equal(result.limitHit, 'output-tokens');
+  assert.deepEqual(formatRateLimitAlerts(result), ['✗ Rate limited on output-tokens (0 of 8k left) for key …abcd, claude-opus-4-1, retry after 30s']);
+});
@@ -0,0 +1,124 @@
+const chalk = require('chalk');
+
+const DEFAULT_REPLACEMENT = '[REDACTED]';
+
+// Always redacted unless redaction is turned off for the run
+const DEFAULT_HEADERS = [
+  'x-api-key',
+  'authorization',
+  'proxy-authorization',
+  'cookie',
+  'set-cookie'
+];
+
+const DEFAULT_PATTERNS = [
+  'sk-ant-[A-Za-z0-9_-]+',
+  '[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\\.[A-Za-z]{2,}'
+];
+
+// Masks credentials and sensitive values before anything is printed or saved.
+// Configured rules are added to the defaults above.
+class Redactor {
+  constructor(redactionConfig = {}, options = {}) {
+    this.enabled = options.enabled !== false;
+    this.replacement = redactionConfig.replacement || DEFAULT_REPLACEMENT;
+    this.headerNames = new Set(
+      [...DEFAULT_HEADERS, ...(redactionConfig.headers || [])].map(name => name.toLowerCase())
+    );
+    this.paths = (redactionConfig.paths || []).map(parsePath);
+    this.patterns = [...DEFAULT_PATTERNS, ...(redactionConfig.patterns || [])]
+      .map(pattern => new RegExp(pattern, 'g'));
+  }
+
+  headers(headers) {
+    if (!this.enabled || !headers) {
+      return headers;
+    }
+    const redacted = {};
+    Object.entries(headers).forEach(([name, value]) => {
+      redacted[name] = this.headerNames.has(name.toLowerCase())
+        ? this.replacement
+        : this.value(value);
+    });
+    return redacted;
+  }
+
+  // Returns a redacted copy; the original is never modified since it is
+  // what gets forwarded upstream.
+  body(body) {
+    if (!this.enabled || body === null || body === undefined) {
+      return body;
+    }
+    const redacted = this.value(body);
+    if (redacted && typeof redacted === 'object') {
+      this.paths.forEach(tokens => redactPath(redacted, tokens, this.replacement));
+    }
+    return redacted;
+  }
+
+  // Path rules only apply to parsed bodies, not to raw text such as SSE events
+  hasPathRules() {
+    return this.enabled && this.paths.length > 0;
+  }
+
+  text(text) {
+    if (!this.enabled || typeof text !== 'string') {
+      return text;
+    }
+    return this.patterns.reduce((result, pattern) => result.replace(pattern, this.replacement), text);
+  }
+
+  value(value) {
+    if (typeof value === 'string') {
+      return this.text(value);
+    }
+    if (Array.isArray(value)) {
+      return value.map(item => this.value(item));
+    }
+    if (value && typeof value === 'object' && !(value instanceof Buffer)) {
+      const copy = {};
+      Object.entries(value).forEach(([key, item]) => {
+        copy[key] = this.value(item);
+      });
+      return copy;
+    }
+    return value;
+  }
+}
+
+// "messages[*].content", "metadata.user_id", "system[0].text"
+function parsePath(path) {
+  return path
+    .replace(/\[(\*|\d+)\]/g, '.$1')
+    .split('.')
+    .filter(Boolean);
+}
+
+function redactPath(target, tokens, replacement) {
+  if (!target || typeof target !== 'object' || tokens.length === 0) {
+    return;
+  }
+  const [token, ...rest] = tokens;
+  const keys = token === '*' ? Object.keys(target) : [token];
+
+  keys.forEach(key => {
+    if (!Object.prototype.hasOwnProperty.call(target, key)) {
+      return;
+    }
+    if (rest.length === 0) {
+      target[key] = replacement;
+    } else {
+      redactPath(target[key], rest, replacement);
+    }
+  });
+}
+
+function createRedactor(redactionConfig = {}, options = {}) {
+  const redactor = new Redactor(redactionConfig || {}, options);
+  if (!redactor.enabled) {
+    console.log(chalk.yellow('⚠ Redaction disabled. Credentials will appear in console output and saved logs.'));
+  }
+  return redactor;
+}
+
+module.exports = { Redactor, createRedactor, parsePath };
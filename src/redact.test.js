@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Redactor, parsePath } = require('./redact');
+
+test('credential headers and configured headers are replaced whatever their case', () => {
+  const redactor = new Redactor({ headers: ['X-Session'] });
+  assert.deepEqual(
+    redactor.headers({ 'X-Api-Key': 'sk-ant-abc', 'x-session': 's1', accept: 'mail a@b.io' }),
+    { 'X-Api-Key': '[REDACTED]', 'x-session': '[REDACTED]', accept: 'mail [REDACTED]' }
+  );
+});
+
+test('path rules replace the values they point at, with * matching every key or item', () => {
+  const redactor = new Redactor({ paths: ['messages[*].content', 'metadata.user_id', 'system[1].text'], replacement: '***' });
+  const body = {
+    metadata: { user_id: 'u1', other: 'kept' },
+    system: [{ text: 'first' }, { text: 'second' }],
+    messages: [{ role: 'user', content: 'a' }, { role: 'assistant', content: [{ type: 'text', text: 'b' }] }]
+  };
+
+  assert.deepEqual(redactor.body(body), {
+    metadata: { user_id: '***', other: 'kept' },
+    system: [{ text: 'first' }, { text: '***' }],
+    messages: [{ role: 'user', content: '***' }, { role: 'assistant', content: '***' }]
+  });
+  // What is forwarded upstream is left alone
+  assert.equal(body.messages[0].content, 'a');
+});
+
+test('paths that do not exist are ignored', () => {
+  const redactor = new Redactor({ paths: ['metadata.user_id', 'messages[3].content'] });
+  assert.deepEqual(redactor.body({ messages: [] }), { messages: [] });
+  assert.equal(redactor.body('plain text'), 'plain text');
+  assert.deepEqual(parsePath('messages[*].content[0]'), ['messages', '*', 'content', '0']);
+});
+
+test('patterns are masked in strings at any depth and in plain text', () => {
+  const redactor = new Redactor({ patterns: ['tok_[0-9]+'] });
+  assert.deepEqual(redactor.body({ a: ['key sk-ant-xyz', { b: 'tok_123' }], n: 1 }), { a: ['key [REDACTED]', { b: '[REDACTED]' }], n: 1 });
+  assert.equal(redactor.text('/v1/files?owner=me@example.com'), '/v1/files?owner=[REDACTED]');
+});
+
+test('a disabled redactor returns everything unchanged', () => {
+  const redactor = new Redactor({ paths: ['a'] }, { enabled: false });
+  assert.deepEqual(redactor.body({ a: 'sk-ant-xyz' }), { a: 'sk-ant-xyz' });
+  assert.deepEqual(redactor.headers({ authorization: 'Bearer x' }), { authorization: 'Bearer x' });
+  assert.equal(redactor.hasPathRules(), false);
+  assert.equal(new Redactor({ paths: ['a'] }).hasPathRules(), true);
+});
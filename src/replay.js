@@ -0,0 +1,260 @@
+const { Readable } = require('stream');
+const diff = require('deep-diff');
+const chalk = require('chalk');
+const { readLogGroup, readExchanges, isBodyFile, readBodyFile } = require('./log-reader');
+const { isSSEResponse, messageToSSE } = require('./sse-parser');
+const { Redactor } = require('./redact');
+const { hashValue } = require('./hash');
+
+// Request body fields that change between otherwise identical runs
+const VOLATILE_BODY_FIELDS = ['metadata'];
+
+// Recorded requests deep-diffed against an unmatched one
+const MAX_COMPARED = 10;
+
+// Serves recorded responses from a log group instead of contacting target.
+class Replayer {
+  constructor(logDir, options = {}) {
+    this.logDir = logDir;
+    this.originalTiming = !!options.originalTiming;
+    // Saved bodies are redacted, so incoming ones must be too before comparing
+    this.redactor = options.redactor || new Redactor();
+    this.entries = [];
+    this.served = new Map();
+  }
+
+  // Only what matching needs is kept per recorded request; bodies are read
+  // back from the log group when a miss has to be explained.
+  async load() {
+    this.entries = await readLogGroup(this.logDir, {
+      map: exchange => {
+        const body = normalizeBody(this.redactor.body(exchange.request.body));
+        return {
+          id: exchange.id,
+          method: exchange.request.method,
+          url: exchange.request.url,
+          model: exchange.request.modelKey || null,
+          fingerprint: fingerprint(body),
+          fields: fieldHashes(body),
+          messageCount: messageCount(body),
+          response: exchange.response
+        };
+      }
+    });
+    return this.entries.length;
+  }
+
+  // Returns the recorded exchange for this request, or the closest candidate
+  // and a list of what differs when there is no exact match.
+  async match(method, url, body) {
+    const normalizedBody = normalizeBody(this.redactor.body(body));
+    const model = body && typeof body === 'object' ? body.model || null : null;
+    url = this.redactor.text(url);
+    const key = fingerprint(normalizedBody);
+
+    const matches = this.entries.filter(entry =>
+      entry.method === method &&
+      entry.url === url &&
+      entry.model === model &&
+      entry.fingerprint === key
+    );
+
+    if (matches.length > 0) {
+      // Identical requests (retries, repeated token counts) are served in recorded order
+      const matchKey = `${method} ${url} ${key}`;
+      const count = this.served.get(matchKey) || 0;
+      this.served.set(matchKey, count + 1);
+      return { entry: matches[Math.min(count, matches.length - 1)] };
+    }
+
+    return { entry: null, closest: await this.findClosest(method, url, model, normalizedBody) };
+  }
+
+  // Candidates are narrowed to the entries with the fewest method, URL and
+  // model mismatches, then ranked by which top-level body fields differ and
+  // how far apart their conversations are. Only the best MAX_COMPARED of
+  // them are read back and deep-diffed.
+  async findClosest(method, url, model, normalizedBody) {
+    const fields = fieldHashes(normalizedBody);
+    const messages = messageCount(normalizedBody);
+    const ranked = this.entries.map(entry => {
+      const differences = [];
+      if (entry.method !== method) differences.push(`method: recorded ${entry.method}, got ${method}`);
+      if (entry.url !== url) differences.push(`url: recorded ${entry.url}, got ${url}`);
+      if (entry.model !== model) differences.push(`model: recorded ${entry.model}, got ${model}`);
+      return {
+        entry,
+        differences,
+        distance: fieldDistance(entry.fields, fields),
+        turns: Math.abs(entry.messageCount - messages)
+      };
+    });
+
+    const fewest = Math.min(...ranked.map(candidate => candidate.differences.length));
+    const candidates = ranked
+      .filter(candidate => candidate.differences.length === fewest)
+      .sort((a, b) => a.distance - b.distance || a.turns - b.turns)
+      .slice(0, MAX_COMPARED);
+    if (candidates.length === 0) {
+      return null;
+    }
+
+    const exchanges = await readExchanges(this.logDir, candidates.map(candidate => candidate.entry.id));
+
+    let best = null;
+    for (const [index, { entry, differences }] of candidates.entries()) {
+      const recordedBody = exchanges[index] ? normalizeBody(this.redactor.body(exchanges[index].request.body)) : null;
+      const bodyDiffs = diff.diff(recordedBody, normalizedBody) || [];
+      if (!best || bodyDiffs.length < best.bodyDiffs.length) {
+        best = { id: entry.id, differences, bodyDiffs };
+      }
+    }
+
+    const { bodyDiffs } = best;
+    const differences = [...best.differences, ...bodyDiffs.slice(0, 5).map(d => `body: ${describeDiff(d)}`)];
+    if (bodyDiffs.length > 5) {
+      differences.push(`body: ...and ${bodyDiffs.length - 5} more differences`);
+    }
+    return { id: best.id, differences };
+  }
+
+  // Builds an upstream-shaped response ({ status, statusText, headers, data })
+  // whose data is a stream, so the proxy treats it like a live response.
+  async respond(method, url, body) {
+    const { entry, closest } = await this.match(method, url, body);
+
+    if (!entry) {
+      return { replayed: null, closest, ...unmatchedResponse(method, url, closest) };
+    }
+
+    const recorded = entry.response;
+    const headers = { ...recorded.headers };
+    delete headers['content-length'];
+    delete headers['content-encoding'];
+    delete headers['transfer-encoding'];
+
+    let data;
+    if (isSSEResponse(headers)) {
+      data = this.streamEvents(recordedEvents(recorded));
+    } else if (isBodyFile(recorded.data)) {
+      // Binary responses are served from the files they were saved to
+      data = Readable.from([await readBodyFile(this.logDir, recorded.data)]);
+    } else {
+      const payload = typeof recorded.data === 'string' ? recorded.data : JSON.stringify(recorded.data);
+      data = Readable.from([Buffer.from(payload || '', 'utf8')]);
+    }
+
+    return {
+      replayed: entry.id,
+      status: recorded.status,
+      statusText: recorded.statusText,
+      headers,
+      data
+    };
+  }
+
+  streamEvents(events) {
+    const originalTiming = this.originalTiming;
+
+    async function* emit() {
+      let elapsed = 0;
+      for (const event of events) {
+        if (originalTiming && event.offset > elapsed) {
+          await new Promise(resolve => setTimeout(resolve, event.offset - elapsed));
+          elapsed = event.offset;
+        }
+        yield Buffer.from(`${event.text}\n\n`, 'utf8');
+      }
+    }
+
+    return Readable.from(emit());
+  }
+
+  getEntryCount() {
+    return this.entries.length;
+  }
+}
+
+// Logs written since per-event timing was recorded keep the raw events;
+// older ones only have the reconstructed message and are re-serialized.
+function recordedEvents(recorded) {
+  if (Array.isArray(recorded.sseEvents)) {
+    return recorded.sseEvents;
+  }
+  if (recorded.data && typeof recorded.data === 'object') {
+    return messageToSSE(recorded.data).map(text => ({ offset: 0, text }));
+  }
+  return [{ offset: 0, text: String(recorded.data || '') }];
+}
+
+function unmatchedResponse(method, url, closest) {
+  const message = closest
+    ? `No recorded response for ${method} ${url}. Closest recorded request is ${closest.id}: ${closest.differences.join('; ')}`
+    : `No recorded response for ${method} ${url}. The log group is empty.`;
+
+  const payload = {
+    type: 'error',
+    error: { type: 'not_found_error', message },
+    replay: { closest: closest || null }
+  };
+
+  return {
+    status: 404,
+    statusText: 'Not Found',
+    headers: { 'content-type': 'application/json' },
+    data: Readable.from([Buffer.from(JSON.stringify(payload), 'utf8')])
+  };
+}
+
+function normalizeBody(body) {
+  if (!body || typeof body !== 'object') {
+    return body === undefined || body === '' ? null : body;
+  }
+  const normalized = { ...body };
+  VOLATILE_BODY_FIELDS.forEach(field => delete normalized[field]);
+  return normalized;
+}
+
+function fingerprint(value) {
+  return hashValue(value);
+}
+
+// A hash per top-level field, for ranking candidates without diffing whole bodies
+function fieldHashes(body) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return { '': fingerprint(body) };
+  }
+  const fields = {};
+  for (const [key, value] of Object.entries(body)) {
+    fields[key] = fingerprint(value);
+  }
+  return fields;
+}
+
+function fieldDistance(a, b) {
+  const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+  return [...keys].filter(key => a[key] !== b[key]).length;
+}
+
+function messageCount(body) {
+  return body && Array.isArray(body.messages) ? body.messages.length : 0;
+}
+
+function describeDiff(d) {
+  const location = (d.path || []).join('.') + (d.kind === 'A' ? `[${d.index}]` : '');
+  switch (d.kind) {
+    case 'N': return `${location} added`;
+    case 'D': return `${location} missing`;
+    case 'A': return `${location} ${d.item.kind === 'N' ? 'added' : d.item.kind === 'D' ? 'missing' : 'changed'}`;
+    default: return `${location} changed`;
+  }
+}
+
+async function createReplayer(logDir, options = {}) {
+  const replayer = new Replayer(logDir, options);
+  const count = await replayer.load();
+  console.log(chalk.green(`✓ Replay enabled. Loaded ${count} recorded requests from: ${logDir}`));
+  return replayer;
+}
+
+module.exports = { Replayer, createReplayer };
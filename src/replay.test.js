@@ -0,0 +1,138 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { RequestLogger } = require('./request-logger');
+const { Replayer } = require('./replay');
+const { Redactor } = require('./redact');
+
+function tempDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'replay-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+function messages(...texts) {
+  return texts.map((text, i) => ({ role: i % 2 === 0 ? 'user' : 'assistant', content: text }));
+}
+
+function body(texts, extra = {}) {
+  return { model: 'claude-sonnet-4-5', max_tokens: 1024, messages: messages(...texts), ...extra };
+}
+
+async function record(t, exchanges, options = {}) {
+  const dir = tempDir(t);
+  t.mock.method(console, 'log', () => {});
+  const logger = new RequestLogger(dir, options);
+  for (const [requestBody, answer] of exchanges) {
+    await logger.saveRequest(
+      { method: 'POST', url: '/v1/messages', headers: {}, query: {}, body: requestBody, modelKey: requestBody.model },
+      { status: 200, statusText: 'OK', headers: { 'content-type': 'application/json' }, data: { content: [{ type: 'text', text: answer }] }, duration: 5 }
+    );
+  }
+  return dir;
+}
+
+async function text(response) {
+  const chunks = [];
+  for await (const chunk of response.data) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks).toString('utf8');
+}
+
+test('requests match on method, URL, model and body, ignoring metadata', async (t) => {
+  const dir = await record(t, [[body(['hi'], { metadata: { user_id: 'a' } }), 'hello']]);
+  const replayer = new Replayer(dir);
+  await replayer.load();
+
+  const { entry } = await replayer.match('POST', '/v1/messages', body(['hi'], { metadata: { user_id: 'b' } }));
+  assert.equal(entry.response.data.content[0].text, 'hello');
+
+  const response = await replayer.respond('POST', '/v1/messages', body(['hi']));
+  assert.equal(response.status, 200);
+  assert.equal(response.replayed, entry.id);
+  assert.deepEqual(JSON.parse(await text(response)), { content: [{ type: 'text', text: 'hello' }] });
+});
+
+test('identical requests are served in the order they were recorded', async (t) => {
+  const dir = await record(t, [[body(['hi']), 'first'], [body(['hi']), 'second']]);
+  const replayer = new Replayer(dir);
+  await replayer.load();
+
+  const answers = [];
+  for (let i = 0; i < 3; i++) {
+    const { entry } = await replayer.match('POST', '/v1/messages', body(['hi']));
+    answers.push(entry.response.data.content[0].text);
+  }
+  assert.deepEqual(answers, ['first', 'second', 'second']);
+});
+
+test('incoming bodies are redacted before they are compared with saved ones', async (t) => {
+  const redactor = new Redactor({ patterns: ['secret-[0-9]+'] });
+  const dir = await record(t, [[body(['mail me at someone@example.com about secret-42']), 'ok']], { redactor });
+  const replayer = new Replayer(dir, { redactor });
+  await replayer.load();
+
+  const { entry } = await replayer.match('POST', '/v1/messages', body(['mail me at someone@example.com about secret-42']));
+  assert.ok(entry);
+});
+
+test('a miss names the closest recorded request of the same model and what differs', async (t) => {
+  const dir = await record(t, [
+    [body(['a', 'b', 'c']), 'one'],
+    [body(['a', 'b', 'c'], { model: 'claude-haiku-4-5' }), 'two'],
+    [body(['x']), 'three']
+  ]);
+  const replayer = new Replayer(dir);
+  await replayer.load();
+
+  const response = await replayer.respond('POST', '/v1/messages', body(['a', 'b', 'changed']));
+  const { error, replay } = JSON.parse(await text(response));
+
+  assert.equal(response.status, 404);
+  assert.equal(response.replayed, null);
+  assert.equal(replay.closest.id, replayer.entries[0].id);
+  assert.deepEqual(replay.closest.differences, ['body: messages.2.content changed']);
+  assert.match(error.message, /^No recorded response for POST \/v1\/messages\. Closest recorded request is /);
+});
+
+test('method, URL and model mismatches are reported when no recorded request shares them', async (t) => {
+  const dir = await record(t, [[body(['hi']), 'one']]);
+  const replayer = new Replayer(dir);
+  await replayer.load();
+
+  const { entry, closest } = await replayer.match('POST', '/v1/messages/count_tokens', body(['hi'], { model: 'claude-opus-4-1' }));
+  assert.equal(entry, null);
+  assert.deepEqual(closest.differences, [
+    'url: recorded /v1/messages, got /v1/messages/count_tokens',
+    'model: recorded claude-sonnet-4-5, got claude-opus-4-1',
+    'body: model changed'
+  ]);
+});
+
+test('candidates are ranked by their top-level fields before bodies are read back', async (t) => {
+  const recorded = [];
+  for (let i = 0; i < 15; i++) {
+    recorded.push([body([`question ${i}`], { temperature: i }), `answer ${i}`]);
+  }
+  const dir = await record(t, recorded, { format: 'jsonl' });
+  const replayer = new Replayer(dir);
+  await replayer.load();
+  assert.equal(replayer.entries[0].request, undefined);
+
+  // The last recorded request differs only in its message, so it ranks first
+  const { closest } = await replayer.match('POST', '/v1/messages', body(['question 99'], { temperature: 14 }));
+  assert.equal(closest.id, replayer.entries[14].id);
+  assert.deepEqual(closest.differences, ['body: messages.0.content changed']);
+});
+
+test('an empty log group answers every request with a not-found error', async (t) => {
+  const replayer = new Replayer(tempDir(t));
+  assert.equal(await replayer.load(), 0);
+
+  const response = await replayer.respond('GET', '/v1/models', null);
+  assert.equal(response.status, 404);
+  assert.match(JSON.parse(await text(response)).error.message, /The log group is empty/);
+});
@@ -1,35 +1,159 @@
 const diff = require('deep-diff');
+const { hashValue } = require('./hash');
 
-// cache by model string
+// Threads not seen for a while are dropped once there are more than this many
+const MAX_THREADS = 200;
+
+// cache by conversation thread id
 const requestCache = new Map();
 
-function getCachedData(modelKey) {
-  return requestCache.get(modelKey);
+// thread id -> { id, fingerprint, baseFingerprint, messageHashes, lastSeen }
+const threads = new Map();
+
+// Prompt snapshot and usage of the last turn, for explaining cache misses
+const promptStates = new Map();
+let nextThreadNumber = 1;
+
+function stripCacheControl(value) {
+  if (Array.isArray(value)) {
+    return value.map(stripCacheControl);
+  }
+  if (value && typeof value === 'object') {
+    const copy = {};
+    Object.entries(value).forEach(([key, item]) => {
+      if (key !== 'cache_control') {
+        copy[key] = stripCacheControl(item);
+      }
+    });
+    return copy;
+  }
+  return value;
+}
+
+// Moving cache_control breakpoints between turns is normal, so they are
+// ignored when deciding whether two requests belong to the same conversation
+function hashMessages(messages) {
+  return (messages || []).map(message => hashValue(stripCacheControl(message)));
+}
+
+function commonPrefixLength(a, b) {
+  let length = 0;
+  while (length < a.length && length < b.length && a[length] === b[length]) {
+    length++;
+  }
+  return length;
 }
 
-function updateCache(modelKey, body, headers, responseHeaders = null) {
-  const existingCache = requestCache.get(modelKey);
-  requestCache.set(modelKey, {
+function createThread(fingerprint, baseFingerprint, messageHashes) {
+  const thread = {
+    id: `t${nextThreadNumber++}`,
+    fingerprint,
+    baseFingerprint,
+    messageHashes,
+    lastSeen: Date.now()
+  };
+  threads.set(thread.id, thread);
+
+  if (threads.size > MAX_THREADS) {
+    const oldest = [...threads.values()].sort((a, b) => a.lastSeen - b.lastSeen)[0];
+    threads.delete(oldest.id);
+    requestCache.delete(oldest.id);
+    promptStates.delete(oldest.id);
+  }
+
+  return thread;
+}
+
+// Assigns a request to a conversation thread. Requests with the same system
+// prompt, tools and first message belong together as long as the previous
+// turn's messages are a prefix of this one's; anything else that shares
+// history with a known thread is a fork of it.
+function resolveThread(body) {
+  const baseFingerprint = hashValue(stripCacheControl({ system: body.system || null, tools: body.tools || null }));
+  const fingerprint = hashValue(stripCacheControl({
+    system: body.system || null,
+    tools: body.tools || null,
+    first: (body.messages || [])[0] || null
+  }));
+  const messageHashes = hashMessages(body.messages);
+
+  let best = null;
+  for (const thread of threads.values()) {
+    if (thread.baseFingerprint !== baseFingerprint) {
+      continue;
+    }
+    const common = commonPrefixLength(thread.messageHashes, messageHashes);
+    const continues = thread.fingerprint === fingerprint && common === thread.messageHashes.length;
+    // Prefer a thread this request continues, then the one sharing the most history
+    const score = (continues ? 1000000 : 0) + common;
+    if (common > 0 || continues) {
+      if (!best || score > best.score || (score === best.score && thread.lastSeen > best.thread.lastSeen)) {
+        best = { thread, common, continues, score };
+      }
+    }
+  }
+
+  if (best && best.continues) {
+    best.thread.messageHashes = messageHashes;
+    best.thread.lastSeen = Date.now();
+    return { threadId: best.thread.id, isNew: false, forkedFrom: null };
+  }
+
+  const thread = createThread(fingerprint, baseFingerprint, messageHashes);
+  if (best) {
+    return { threadId: thread.id, isNew: false, forkedFrom: best.thread.id, commonMessages: best.common };
+  }
+  return { threadId: thread.id, isNew: true, forkedFrom: null };
+}
+
+function getCachedData(threadId) {
+  return requestCache.get(threadId);
+}
+
+function updateCache(threadId, body, headers, responseHeaders = null) {
+  const existingCache = requestCache.get(threadId);
+  requestCache.set(threadId, {
     body,
     headers,
     responseHeaders: responseHeaders || existingCache?.responseHeaders
   });
 }
 
-function updateResponseHeaders(modelKey, responseHeaders) {
-  const cachedData = requestCache.get(modelKey);
+function updateResponseHeaders(threadId, responseHeaders) {
+  const cachedData = requestCache.get(threadId);
   if (cachedData) {
     cachedData.responseHeaders = responseHeaders;
-    requestCache.set(modelKey, cachedData);
+    requestCache.set(threadId, cachedData);
   }
 }
 
-function bustCache(modelKey) {
-  requestCache.delete(modelKey);
+function bustCache(threadId) {
+  requestCache.delete(threadId);
 }
 
-function analyzeCacheStatus(modelKey, currentBody, currentHeaders) {
-  const cachedData = requestCache.get(modelKey);
+// Forked threads start from their parent's cached request, so the first
+// turn is reported as a reset rather than diffed against an empty cache,
+// and its cache reads are compared with the parent's last turn.
+function seedFromParent(threadId, parentId) {
+  const parentData = requestCache.get(parentId);
+  if (parentData && !requestCache.has(threadId)) {
+    requestCache.set(threadId, { ...parentData, forked: true });
+  }
+  if (promptStates.has(parentId) && !promptStates.has(threadId)) {
+    promptStates.set(threadId, promptStates.get(parentId));
+  }
+}
+
+function getPromptState(threadId) {
+  return promptStates.get(threadId);
+}
+
+function setPromptState(threadId, state) {
+  promptStates.set(threadId, state);
+}
+
+function analyzeCacheStatus(threadId, currentBody, currentHeaders) {
+  const cachedData = requestCache.get(threadId);
 
   if (!cachedData) {
     return {
@@ -44,15 +168,15 @@ function analyzeCacheStatus(modelKey, currentBody, currentHeaders) {
   const currentMessages = currentBody.messages || [];
   const cachedMessages = cachedData.body?.messages || [];
 
-  // Check if messages array was reset (current < cached)
-  if (currentMessages.length < cachedMessages.length) {
-    bustCache(modelKey);
+  // A fork, or a messages array that was reset (current < cached)
+  if (cachedData.forked || currentMessages.length < cachedMessages.length) {
     return {
       isFirstRequest: false,
       cacheBusted: true,
       shouldDiff: false,
       bodyDiff: null,
-      headerDiff: null
+      headerDiff: null,
+      previousBody: cachedData.body
     };
   }
 
@@ -65,14 +189,20 @@ function analyzeCacheStatus(modelKey, currentBody, currentHeaders) {
     cacheBusted: false,
     shouldDiff: true,
     bodyDiff,
-    headerDiff
+    headerDiff,
+    previousBody: cachedData.body
   };
 }
 
 module.exports = {
+  resolveThread,
   getCachedData,
   updateCache,
   updateResponseHeaders,
   bustCache,
-  analyzeCacheStatus
+  seedFromParent,
+  analyzeCacheStatus,
+  getPromptState,
+  setPromptState,
+  stripCacheControl
 };
@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { resolveThread, seedFromParent, updateCache, analyzeCacheStatus } = require('./request-cache');
+
+function turn(system, ...texts) {
+  return {
+    model: 'claude-sonnet-4-5',
+    system,
+    tools: [{ name: 'Read' }],
+    messages: texts.map((text, i) => ({ role: i % 2 === 0 ? 'user' : 'assistant', content: text }))
+  };
+}
+
+test('turns that extend the previous one stay in its thread, even when breakpoints move', () => {
+  const start = turn('continue', 'hi');
+  start.messages[0].content = [{ type: 'text', text: 'hi', cache_control: { type: 'ephemeral' } }];
+  const first = resolveThread(start);
+  assert.equal(first.isNew, true);
+
+  const second = turn('continue', 'hi', 'hello', 'read a.js');
+  second.messages[0].content = [{ type: 'text', text: 'hi' }];
+  const next = resolveThread(second);
+
+  assert.deepEqual(next, { threadId: first.threadId, isNew: false, forkedFrom: null });
+  const third = turn('continue', 'hi', 'hello', 'read a.js', 'done', 'thanks');
+  third.messages[0].content = [{ type: 'text', text: 'hi' }];
+  assert.equal(resolveThread(third).threadId, first.threadId);
+});
+
+test('a subagent on the same model with its own first message gets its own thread', () => {
+  const main = resolveThread(turn('agents', 'fix the bug', 'looking'));
+  const subagent = resolveThread(turn('agents', 'search for usages of foo'));
+  const mainAgain = resolveThread(turn('agents', 'fix the bug', 'looking', 'found it'));
+
+  assert.notEqual(subagent.threadId, main.threadId);
+  assert.equal(subagent.isNew, true);
+  assert.equal(mainAgain.threadId, main.threadId);
+});
+
+test('a changed system prompt starts an unrelated thread', () => {
+  const before = resolveThread(turn('prompt v1', 'hi'));
+  const after = resolveThread(turn('prompt v2', 'hi'));
+  assert.notEqual(after.threadId, before.threadId);
+  assert.equal(after.isNew, true);
+  assert.equal(after.forkedFrom, null);
+});
+
+test('a conversation rewound to an earlier turn forks from the thread it shares history with', () => {
+  const parent = resolveThread(turn('fork', 'a', 'b', 'c', 'd'));
+  const fork = resolveThread(turn('fork', 'a', 'b', 'other'));
+
+  assert.equal(fork.isNew, false);
+  assert.equal(fork.forkedFrom, parent.threadId);
+  assert.equal(fork.commonMessages, 2);
+  assert.equal(resolveThread(turn('fork', 'a', 'b', 'other', 'e')).threadId, fork.threadId);
+});
+
+test('turns are diffed against their own thread, and forks and shrinks count as resets', () => {
+  const parent = resolveThread(turn('diffs', 'a', 'b', 'c'));
+  assert.equal(analyzeCacheStatus(parent.threadId, turn('diffs', 'a', 'b', 'c'), {}).isFirstRequest, true);
+  updateCache(parent.threadId, turn('diffs', 'a', 'b', 'c'), { 'x-id': '1' });
+
+  const status = analyzeCacheStatus(parent.threadId, turn('diffs', 'a', 'b', 'c', 'd', 'e'), { 'x-id': '1' });
+  assert.equal(status.shouldDiff, true);
+  assert.deepEqual(status.bodyDiff.map(d => d.kind), ['A', 'A']);
+  assert.equal(status.headerDiff, undefined);
+
+  assert.equal(analyzeCacheStatus(parent.threadId, turn('diffs', 'a'), {}).cacheBusted, true);
+
+  const fork = resolveThread(turn('diffs', 'a', 'x'));
+  seedFromParent(fork.threadId, fork.forkedFrom);
+  const forked = analyzeCacheStatus(fork.threadId, turn('diffs', 'a', 'x'), {});
+  assert.equal(forked.cacheBusted, true);
+  assert.deepEqual(forked.previousBody, turn('diffs', 'a', 'b', 'c'));
+});
@@ -1,12 +1,56 @@
 const fs = require('fs');
 const path = require('path');
+const zlib = require('zlib');
+const { promisify } = require('util');
 const chalk = require('chalk');
+const { Redactor } = require('./redact');
+const { simplifyModelName } = require('./models');
+const { messageToSSE } = require('./sse-parser');
+const { ObjectStore, OBJECTS_DIR } = require('./object-store');
+const { parseTimestamp, readSegment, REQUEST_SUFFIX, RESPONSE_SUFFIX, MANIFEST_FILE, MANIFEST_VERSION, FILES_DIR, FILE_KEY } = require('./log-reader');
+
+const gzip = promisify(zlib.gzip);
+
+// Log group layouts: a request/response file pair per exchange, or one JSONL line per exchange
+const LOG_FORMATS = ['directory', 'jsonl'];
+
+// summary.json is rewritten at most this often while requests come in
+const SUMMARY_DELAY_MS = 1000;
+
+// Extensions for binary response files; anything else is saved as .bin
+const FILE_EXTENSIONS = {
+  'application/pdf': '.pdf',
+  'application/zip': '.zip',
+  'application/gzip': '.gz',
+  'image/png': '.png',
+  'image/jpeg': '.jpg',
+  'image/gif': '.gif',
+  'image/webp': '.webp',
+  'audio/mpeg': '.mp3',
+  'audio/wav': '.wav'
+};
 
 class RequestLogger {
-  constructor(logDir = null) {
+  constructor(logDir = null, options = {}) {
     this.enabled = !!logDir;
     this.logDir = logDir;
     this.requestCount = 0;
+    this.redactor = options.redactor || new Redactor();
+    this.format = options.format || 'directory';
+    // { maxBytes, maxEntries, gzip } for JSONL segments
+    this.rotation = options.rotation || {};
+    this.manifest = null;
+    this.nextSeq = 1;
+    this.writeQueue = Promise.resolve();
+    this.summaryTimer = null;
+    // Called for the totals when the scheduled summary.json is written
+    this.pendingSummary = null;
+    // Store system prompts, tools and messages once by hash instead of in every request
+    this.objectStore = options.dedup && logDir ? new ObjectStore(logDir) : null;
+
+    if (!LOG_FORMATS.includes(this.format)) {
+      throw new Error(`Unknown log format "${this.format}" (expected ${LOG_FORMATS.join(' or ')})`);
+    }
 
     if (this.enabled) {
       this.initializeLogDirectory();
@@ -14,71 +58,382 @@ class RequestLogger {
   }
 
   simplifyModelName(modelName) {
-    if (!modelName) return modelName;
-    // Remove date suffixes like -20241022, -20250101, etc.
-    return modelName.replace(/-\d{8}$/, '');
+    return simplifyModelName(modelName);
   }
 
   initializeLogDirectory() {
     // Resolve to absolute path
     this.logDir = path.resolve(this.logDir);
-    console.log(chalk.green(`✓ Request logging enabled. Saving to: ${this.logDir}`));
+    const formatDisplay = this.format === 'jsonl' ? ' (JSONL)' : '';
+    console.log(chalk.green(`✓ Request logging enabled. Saving to: ${this.logDir}${formatDisplay}`));
   }
 
-  async saveRequest(requestData, responseData) {
+  // options.savedAt overrides the time used for the filename (e.g. when importing).
+  // Resolves to the exchange's sequence number, or null when it wasn't saved.
+  async saveRequest(requestData, responseData, options = {}) {
     if (!this.enabled || !this.logDir) {
-      return;
+      return null;
     }
 
     this.requestCount++;
+    const savedAt = options.savedAt || new Date();
 
-    // Ensure directory exists every time (in case user deleted it)
-    try {
-      await fs.promises.mkdir(this.logDir, { recursive: true });
-    } catch (error) {
-      console.error(chalk.red(`Failed to create log directory: ${error.message}`));
-      return;
-    }
-
-    // Generate timestamp-based filename: YYYY-MM-DD_HH-MM-SS-mmm
-    const timestamp = new Date().toISOString().replace(/[:.]/g, '-').replace('T', '_').split('Z')[0];
-
-    // Add model name suffix if available (simplified to remove date suffixes)
-    const modelSuffix = requestData.modelKey ? `.${this.simplifyModelName(requestData.modelKey)}` : '';
-    const baseFilename = `${timestamp}${modelSuffix}`;
-
-    // Separate files for request and response with .json extension
-    const requestFilepath = path.join(this.logDir, `${baseFilename}.request.json`);
-    const responseFilepath = path.join(this.logDir, `${baseFilename}.response.json`);
+    const redactor = this.redactor;
 
     const requestLog = {
       method: requestData.method,
-      url: requestData.url,
-      headers: requestData.headers,
-      query: requestData.query,
-      body: requestData.body,
+      url: redactor.text(requestData.url),
+      headers: redactor.headers(requestData.headers),
+      query: redactor.body(requestData.query),
+      body: redactor.body(requestData.body),
       modelKey: requestData.modelKey
     };
 
+    if (requestData.threadId) {
+      requestLog.threadId = requestData.threadId;
+    }
+
+    // Rule names and what they changed; the diffs are made from redacted copies
+    if (requestData.rewrites) {
+      requestLog.rewrites = requestData.rewrites;
+    }
+
+    // The Chat Completions request this one was translated from
+    if (requestData.openai) {
+      requestLog.openai = { url: redactor.text(requestData.openai.url), body: redactor.body(requestData.openai.body) };
+    }
+
     const responseLog = {
       status: responseData.status,
       statusText: responseData.statusText,
-      headers: responseData.headers,
-      data: responseData.data,
+      headers: redactor.headers(responseData.headers),
+      data: redactor.body(responseData.data),
       duration: responseData.duration
     };
 
+    // Time-to-first-token is only measured for streamed responses
+    if (responseData.ttft !== undefined && responseData.ttft !== null) {
+      responseLog.ttft = responseData.ttft;
+    }
+
+    // Stream error events and reconstruction problems for SSE responses
+    if (responseData.streamError) {
+      responseLog.streamError = responseData.streamError;
+    }
+    if (responseData.streamIssues && responseData.streamIssues.length > 0) {
+      responseLog.streamIssues = responseData.streamIssues;
+    }
+
+    if (responseData.cost !== undefined && responseData.cost !== null) {
+      responseLog.cost = responseData.cost;
+    }
+
+    if (responseData.cacheMiss) {
+      responseLog.cacheMiss = responseData.cacheMiss;
+    }
+
+    // Raw events with arrival offsets, so replay can reproduce the original
+    // pacing. Path rules can't reach into raw event text, so with path rules
+    // the events are rebuilt from the redacted message instead.
+    if (responseData.sseEvents) {
+      responseLog.sseEvents = redactor.hasPathRules() && responseLog.data && typeof responseLog.data === 'object'
+        ? rebuildEvents(responseLog.data, responseData.sseEvents)
+        : responseData.sseEvents.map(event => ({ ...event, text: redactor.text(event.text) }));
+    }
+
+    // Budget left according to target's rate-limit headers, and the limit a 429 hit
+    if (responseData.rateLimit) {
+      const { key, model, limits, limited, limitHit, retryAfter } = responseData.rateLimit;
+      responseLog.rateLimit = { key, model, limits, limited, limitHit, retryAfter };
+    }
+
+    // What the Chat Completions client was sent instead of data
+    if (responseData.openai) {
+      responseLog.openai = { body: redactor.body(responseData.openai.body) };
+    }
+
+    // Simulated failure answered by the proxy instead of target
+    if (responseData.fault) {
+      responseLog.fault = responseData.fault;
+    }
+
+    // Guard rules the request broke; blocked requests were answered by the proxy
+    if (responseData.guard) {
+      responseLog.guard = responseData.guard;
+    }
+
+    // Plugin that answered instead of target
+    if (responseData.plugin) {
+      responseLog.plugin = responseData.plugin;
+    }
+
+    // Every try made against target, when the request was retried
+    if (responseData.attempts) {
+      responseLog.attempts = responseData.attempts.map(attempt => ({ ...attempt, error: attempt.error && redactor.text(attempt.error) }));
+    }
+
     // Include error if present
     if (responseData.error) {
-      responseLog.error = responseData.error;
+      responseLog.error = redactor.text(responseData.error);
+    }
+
+    // Writes are queued so sequence numbers, JSONL segments and the manifest
+    // stay consistent when requests finish concurrently
+    return this.enqueue(async () => {
+      try {
+        // Ensure directory exists every time (in case user deleted it)
+        await fs.promises.mkdir(this.logDir, { recursive: true });
+
+        await this.loadManifest();
+        const seq = this.nextSeq++;
+
+        if (responseData.binaryBody) {
+          responseLog.data = await this.saveBodyFile(seq, responseData.binaryBody, responseLog.headers['content-type']);
+        }
+
+        if (this.objectStore) {
+          if (requestData.sentBody) {
+            const redacted = JSON.stringify(requestLog.body) !== JSON.stringify(requestData.body);
+            requestLog.sentBody = await this.objectStore.recordSent(requestData.sentBody, requestLog.body, redacted);
+          }
+          requestLog.body = await this.objectStore.dedupBody(requestLog.body);
+          requestLog.bodyStorage = OBJECTS_DIR;
+        }
+
+        if (this.format === 'jsonl') {
+          await this.appendJsonl(seq, savedAt, requestLog, responseLog);
+        } else {
+          await this.writeFiles(seq, savedAt, requestLog, responseLog);
+        }
+        return seq;
+      } catch (error) {
+        console.error(chalk.red(`Failed to save request ${this.requestCount}: ${error.message}`));
+        return null;
+      }
+    });
+  }
+
+  // Binary bodies are written as they were received, next to the log files
+  async saveBodyFile(seq, body, contentType) {
+    const mimeType = String(contentType || '').split(';')[0].trim().toLowerCase();
+    const file = `${FILES_DIR}/${String(seq).padStart(6, '0')}.response${FILE_EXTENSIONS[mimeType] || '.bin'}`;
+    await fs.promises.mkdir(path.join(this.logDir, FILES_DIR), { recursive: true });
+    await fs.promises.writeFile(path.join(this.logDir, file), body);
+    return { [FILE_KEY]: file, contentType: contentType || null, size: body.length };
+  }
+
+  enqueue(task) {
+    this.writeQueue = this.writeQueue.then(task);
+    return this.writeQueue;
+  }
+
+  async writeFiles(seq, savedAt, requestLog, responseLog) {
+    // Generate timestamp-based filename: YYYY-MM-DD_HH-MM-SS-mmm_<seq>
+    const timestamp = savedAt.toISOString().replace(/[:.]/g, '-').replace('T', '_').split('Z')[0];
+
+    // Add model name suffix if available (simplified to remove date suffixes)
+    const modelSuffix = requestLog.modelKey ? `.${this.simplifyModelName(requestLog.modelKey)}` : '';
+    const baseFilename = `${timestamp}_${String(seq).padStart(6, '0')}${modelSuffix}`;
+
+    // Separate files for request and response with .json extension
+    const requestFile = `${baseFilename}${REQUEST_SUFFIX}`;
+    const responseFile = `${baseFilename}${RESPONSE_SUFFIX}`;
+
+    await fs.promises.writeFile(path.join(this.logDir, requestFile), JSON.stringify(requestLog, null, 2), 'utf8');
+    await fs.promises.writeFile(path.join(this.logDir, responseFile), JSON.stringify(responseLog, null, 2), 'utf8');
+
+    this.manifest.entries.push({
+      seq,
+      timestamp: savedAt.toISOString(),
+      method: requestLog.method,
+      url: requestLog.url,
+      model: requestLog.modelKey || null,
+      status: responseLog.status,
+      duration: responseLog.duration,
+      request: requestFile,
+      response: responseFile
+    });
+    await this.saveManifest();
+  }
+
+  async appendJsonl(seq, savedAt, requestLog, responseLog) {
+    const segment = await this.currentSegment(seq);
+    const data = responseLog.data;
+
+    const line = JSON.stringify({
+      seq,
+      timestamp: savedAt.toISOString(),
+      request: requestLog,
+      response: responseLog,
+      timing: { duration: responseLog.duration, ttft: responseLog.ttft ?? null },
+      usage: data && typeof data === 'object' ? data.usage || null : null
+    }) + '\n';
+
+    await fs.promises.appendFile(path.join(this.logDir, segment.file), line, 'utf8');
+    segment.lastSeq = seq;
+    segment.entries++;
+    segment.bytes += Buffer.byteLength(line);
+
+    const { maxBytes, maxEntries } = this.rotation;
+    if ((maxBytes && segment.bytes >= maxBytes) || (maxEntries && segment.entries >= maxEntries)) {
+      await this.closeSegment(segment);
+    }
+  }
+
+  // The last segment keeps receiving lines until it is rotated out. Its
+  // counters are only kept in memory; the manifest is written when a segment
+  // is added or closed.
+  async currentSegment(seq) {
+    const segments = this.manifest.segments;
+    const last = segments[segments.length - 1];
+    if (last && !last.closed) {
+      return last;
+    }
+
+    const segment = {
+      file: `requests-${String(segments.length + 1).padStart(6, '0')}.jsonl`,
+      firstSeq: seq,
+      lastSeq: seq,
+      entries: 0,
+      bytes: 0,
+      closed: false
+    };
+    segments.push(segment);
+    await this.saveManifest();
+    return segment;
+  }
+
+  async closeSegment(segment) {
+    segment.closed = true;
+    if (this.rotation.gzip) {
+      await this.compressSegment(segment);
+    }
+    await this.saveManifest();
+  }
+
+  async compressSegment(segment) {
+    const source = path.join(this.logDir, segment.file);
+    const compressed = await gzip(await fs.promises.readFile(source));
+    await fs.promises.writeFile(`${source}.gz`, compressed);
+    await fs.promises.unlink(source);
+    segment.file = `${segment.file}.gz`;
+    segment.compressedBytes = compressed.length;
+  }
+
+  // manifest.json lists exchanges saved as file pairs under entries and the
+  // JSONL segments under segments, so a log group can be read without
+  // listing its directory. Appending to an existing log group continues its
+  // sequence.
+  async loadManifest() {
+    if (this.manifest) {
+      return this.manifest;
+    }
+
+    let existing = null;
+    try {
+      existing = JSON.parse(await fs.promises.readFile(path.join(this.logDir, MANIFEST_FILE), 'utf8'));
+    } catch (error) {
+      // A new log group, or one written before manifests existed
+    }
+    this.manifest = { version: MANIFEST_VERSION, entries: [], segments: [], ...existing };
+
+    if (!existing) {
+      await this.indexExistingFiles();
     }
 
+    const seqs = [...this.manifest.entries, ...this.manifest.segments.map(segment => ({ seq: segment.lastSeq }))]
+      .map(entry => entry.seq || 0);
+    this.nextSeq = Math.max(1, ...seqs.map(seq => seq + 1));
+
+    const open = this.manifest.segments.find(segment => !segment.closed);
+    if (open) {
+      await this.restoreSegment(open);
+    }
+
+    await this.saveManifest();
+    return this.manifest;
+  }
+
+  // Counters of a segment left open by an earlier run, so rotation carries on
+  async restoreSegment(segment) {
     try {
-      await fs.promises.writeFile(requestFilepath, JSON.stringify(requestLog, null, 2), 'utf8');
-      await fs.promises.writeFile(responseFilepath, JSON.stringify(responseLog, null, 2), 'utf8');
+      const file = path.join(this.logDir, segment.file);
+      const lines = await readSegment(this.logDir, segment.file);
+      segment.entries = lines.length;
+      segment.bytes = (await fs.promises.stat(file)).size;
+      lines.forEach(line => {
+        segment.lastSeq = Math.max(segment.lastSeq || 0, line.seq || 0);
+      });
+      this.nextSeq = Math.max(this.nextSeq, segment.lastSeq + 1);
     } catch (error) {
-      console.error(chalk.red(`Failed to save request ${this.requestCount}: ${error.message}`));
+      segment.entries = 0;
+      segment.bytes = 0;
+    }
+  }
+
+  // Log groups written before manifests existed get their request/response
+  // pairs listed once, so appending to them doesn't hide older exchanges
+  async indexExistingFiles() {
+    const files = await fs.promises.readdir(this.logDir);
+    const fileSet = new Set(files);
+    let seq = 0;
+
+    const entries = files
+      .filter(file => file.endsWith(REQUEST_SUFFIX))
+      .map(file => file.slice(0, -REQUEST_SUFFIX.length))
+      .filter(id => fileSet.has(`${id}${RESPONSE_SUFFIX}`))
+      .sort()
+      .map(id => ({
+        seq: ++seq,
+        timestamp: parseTimestamp(id),
+        request: `${id}${REQUEST_SUFFIX}`,
+        response: `${id}${RESPONSE_SUFFIX}`
+      }));
+
+    this.manifest.entries.push(...entries);
+  }
+
+  // Written to a temporary file and renamed, so a crash never leaves a
+  // partly written manifest behind
+  async saveManifest() {
+    const file = path.join(this.logDir, MANIFEST_FILE);
+    await fs.promises.writeFile(`${file}.tmp`, JSON.stringify(this.manifest, null, 2), 'utf8');
+    await fs.promises.rename(`${file}.tmp`, file);
+  }
+
+  // Writes summary.json about a second after the totals last changed, off
+  // the request path; getSummary is called when it is written
+  scheduleSummary(getSummary) {
+    if (!this.enabled || !this.logDir) {
+      return;
+    }
+    this.pendingSummary = getSummary;
+    if (!this.summaryTimer) {
+      this.summaryTimer = setTimeout(() => {
+        this.summaryTimer = null;
+        this.writeSummary(this.pendingSummary());
+      }, SUMMARY_DELAY_MS);
+      this.summaryTimer.unref();
+    }
+  }
+
+  // summary.json holds session totals; called directly on shutdown
+  async writeSummary(summary) {
+    if (!this.enabled || !this.logDir) {
+      return;
     }
+    clearTimeout(this.summaryTimer);
+    this.summaryTimer = null;
+
+    // Queued behind pending saves so shutdown waits for them
+    return this.enqueue(async () => {
+      try {
+        await fs.promises.mkdir(this.logDir, { recursive: true });
+        await fs.promises.writeFile(path.join(this.logDir, 'summary.json'), JSON.stringify(summary, null, 2), 'utf8');
+      } catch (error) {
+        console.error(chalk.red(`Failed to save summary: ${error.message}`));
+      }
+    });
   }
 
   getLogDir() {
@@ -90,4 +445,14 @@ class RequestLogger {
   }
 }
 
-module.exports = { RequestLogger };
+// Events re-serialized from a message, spread evenly between the times the
+// first and last recorded events arrived
+function rebuildEvents(message, recordedEvents) {
+  const texts = messageToSSE(message);
+  const first = recordedEvents.length > 0 ? recordedEvents[0].offset : 0;
+  const last = recordedEvents.length > 0 ? recordedEvents[recordedEvents.length - 1].offset : 0;
+  const step = texts.length > 1 ? (last - first) / (texts.length - 1) : 0;
+  return texts.map((text, i) => ({ offset: Math.round(first + step * i), text }));
+}
+
+module.exports = { RequestLogger, LOG_FORMATS };
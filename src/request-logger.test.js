@@ -0,0 +1,137 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { RequestLogger } = require('./request-logger');
+const { Redactor } = require('./redact');
+const { messageToSSE } = require('./sse-parser');
+const { readLogGroup, MANIFEST_FILE, MANIFEST_VERSION } = require('./log-reader');
+
+function tempDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'logger-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+function save(logger, text) {
+  return logger.saveRequest(
+    { method: 'POST', url: '/v1/messages', headers: {}, query: {}, body: { model: 'claude-sonnet-4-5', messages: [{ role: 'user', content: text }] }, modelKey: 'claude-sonnet-4-5' },
+    { status: 200, statusText: 'OK', headers: {}, data: { content: [{ type: 'text', text }] }, duration: 5 }
+  );
+}
+
+function readJson(dir, file) {
+  return JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+}
+
+test('file pairs are listed in the manifest with their sequence numbers', async (t) => {
+  const dir = tempDir(t);
+  const logger = new RequestLogger(dir);
+
+  assert.equal(await save(logger, 'one'), 1);
+  assert.equal(await save(logger, 'two'), 2);
+
+  const manifest = readJson(dir, MANIFEST_FILE);
+  assert.equal(manifest.version, MANIFEST_VERSION);
+  assert.deepEqual(manifest.segments, []);
+  assert.deepEqual(manifest.entries.map(entry => [entry.seq, entry.method, entry.status]), [[1, 'POST', 200], [2, 'POST', 200]]);
+  assert.ok(fs.existsSync(path.join(dir, manifest.entries[1].request)));
+  assert.ok(fs.existsSync(path.join(dir, manifest.entries[1].response)));
+  assert.equal(fs.existsSync(path.join(dir, `${MANIFEST_FILE}.tmp`)), false);
+});
+
+test('a new logger continues the sequence of an existing log group', async (t) => {
+  const dir = tempDir(t);
+  await save(new RequestLogger(dir), 'one');
+  await save(new RequestLogger(dir), 'two');
+
+  const exchanges = await readLogGroup(dir);
+  assert.deepEqual(exchanges.map(exchange => exchange.seq), [1, 2]);
+  assert.equal(exchanges[1].response.data.content[0].text, 'two');
+});
+
+test('log groups written before manifests existed are listed when appended to', async (t) => {
+  const dir = tempDir(t);
+  await save(new RequestLogger(dir), 'one');
+  const [entry] = readJson(dir, MANIFEST_FILE).entries;
+  fs.unlinkSync(path.join(dir, MANIFEST_FILE));
+
+  assert.deepEqual((await readLogGroup(dir)).map(exchange => exchange.timestamp), [entry.timestamp]);
+  assert.equal(await save(new RequestLogger(dir), 'two'), 2);
+  const { entries } = readJson(dir, MANIFEST_FILE);
+  assert.deepEqual(entries.map(listed => listed.seq), [1, 2]);
+  assert.equal(entries[0].request, entry.request);
+  assert.deepEqual((await readLogGroup(dir)).map(exchange => exchange.seq), [1, 2]);
+});
+
+test('JSONL segments rotate, compress and resume after a restart', async (t) => {
+  const dir = tempDir(t);
+  const options = { format: 'jsonl', rotation: { maxEntries: 2, gzip: true } };
+
+  const first = new RequestLogger(dir, options);
+  await save(first, 'one');
+  await save(first, 'two');
+  await save(first, 'three');
+
+  // The open segment already has one line, so one more fills it
+  const second = new RequestLogger(dir, options);
+  await save(second, 'four');
+  await save(second, 'five');
+
+  const { segments } = readJson(dir, MANIFEST_FILE);
+  assert.deepEqual(segments.map(segment => [segment.file, segment.closed]), [
+    ['requests-000001.jsonl.gz', true],
+    ['requests-000002.jsonl.gz', true],
+    ['requests-000003.jsonl', false]
+  ]);
+  const compressed = zlib.gunzipSync(fs.readFileSync(path.join(dir, segments[1].file))).toString('utf8');
+  assert.deepEqual(compressed.trim().split('\n').map(line => JSON.parse(line).seq), [3, 4]);
+
+  const exchanges = await readLogGroup(dir);
+  assert.deepEqual(exchanges.map(exchange => exchange.seq), [1, 2, 3, 4, 5]);
+  assert.equal(exchanges[4].request.body.messages[0].content, 'five');
+});
+
+test('saved SSE events are rebuilt from the redacted message when path rules are set', async (t) => {
+  const message = { id: 'msg_1', type: 'message', role: 'assistant', content: [{ type: 'text', text: 'secret plan' }], stop_reason: 'end_turn', usage: { output_tokens: 2 } };
+  const events = [
+    { offset: 10, text: 'event: message_start\ndata: {"type":"message_start"}' },
+    { offset: 50, text: 'event: content_block_delta\ndata: {"delta":{"text":"secret plan for sk-ant-abc"}}' }
+  ];
+  const saveStream = (logger) => logger.saveRequest(
+    { method: 'POST', url: '/v1/messages', headers: {}, query: {}, body: { model: 'claude-sonnet-4-5', stream: true }, modelKey: 'claude-sonnet-4-5' },
+    { status: 200, statusText: 'OK', headers: { 'content-type': 'text/event-stream' }, data: message, sseEvents: events, duration: 60 }
+  );
+
+  const plain = tempDir(t);
+  await saveStream(new RequestLogger(plain));
+  const [kept] = await readLogGroup(plain);
+  assert.deepEqual(kept.response.sseEvents.map(event => event.offset), [10, 50]);
+  assert.match(kept.response.sseEvents[1].text, /secret plan for \[REDACTED\]/);
+
+  const redacted = tempDir(t);
+  await saveStream(new RequestLogger(redacted, { redactor: new Redactor({ paths: ['content[*].text'] }) }));
+  const [rebuilt] = await readLogGroup(redacted);
+  const saved = rebuilt.response.sseEvents;
+  assert.doesNotMatch(JSON.stringify(saved), /secret plan/);
+  assert.deepEqual(saved.map(event => event.text), messageToSSE(rebuilt.response.data));
+  assert.equal(saved[0].offset, 10);
+  assert.equal(saved[saved.length - 1].offset, 50);
+});
+
+test('summary.json is written once after a burst of changes', async (t) => {
+  const dir = tempDir(t);
+  const logger = new RequestLogger(dir);
+  let calls = 0;
+
+  logger.scheduleSummary(() => ({ total: ++calls }));
+  logger.scheduleSummary(() => ({ total: ++calls }));
+  assert.equal(fs.existsSync(path.join(dir, 'summary.json')), false);
+
+  await logger.writeSummary({ total: 'final' });
+  assert.deepEqual(readJson(dir, 'summary.json'), { total: 'final' });
+  assert.equal(logger.summaryTimer, null);
+  assert.equal(calls, 0);
+});
@@ -0,0 +1,106 @@
+const { StringDecoder } = require('string_decoder');
+
+// Reads an upstream response stream to completion, optionally forwarding each
+// chunk to the client as it arrives (used for text/event-stream responses).
+// If the client goes away the rest of the stream is still read, so the
+// exchange is logged and counted like any other. onData sees every chunk
+// with its offset as it arrives.
+function collectResponse(stream, startTime, res = null, onData = null) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let firstByteAt = null;
+    let ended = false;
+    const clientOpen = () => res && !res.destroyed && !res.writableEnded;
+
+    stream.on('data', (chunk) => {
+      const offset = Date.now() - startTime;
+      if (firstByteAt === null) {
+        firstByteAt = offset;
+      }
+      chunks.push({ offset, data: chunk });
+      if (onData) {
+        onData(chunk, offset);
+      }
+
+      // Respect backpressure from slow clients
+      if (clientOpen() && !res.write(chunk) && clientOpen()) {
+        stream.pause();
+        res.once('drain', () => stream.resume());
+      }
+    });
+
+    stream.on('end', () => {
+      ended = true;
+      resolve({
+        body: Buffer.concat(chunks.map(chunk => chunk.data)),
+        chunks,
+        firstByteAt
+      });
+    });
+
+    stream.on('error', reject);
+    stream.on('close', () => {
+      if (!ended) {
+        reject(new Error('Upstream stream closed before it ended'));
+      }
+    });
+
+    // A closed client never drains, so stop waiting and read on without it
+    if (res) {
+      res.on('close', () => stream.resume());
+    }
+  });
+}
+
+// Time until the first content delta arrived. Falls back to the first byte
+// for streams that never produce one (errors, empty completions).
+function findTimeToFirstToken(chunks, firstByteAt) {
+  let seen = '';
+  for (const chunk of chunks) {
+    // Keep a short tail so an event name split across chunks is still found
+    seen = seen.slice(-64) + chunk.data.toString('utf8');
+    if (seen.includes('event: content_block_delta')) {
+      return chunk.offset;
+    }
+  }
+  return firstByteAt;
+}
+
+// Splits event stream bytes into raw event blocks as they arrive. write()
+// returns the blocks a chunk completed; end() returns a trailing one.
+function createEventSplitter() {
+  const decoder = new StringDecoder('utf8');
+  let pending = '';
+
+  return {
+    write(data) {
+      pending += decoder.write(data);
+      const blocks = pending.split(/\r?\n\r?\n/);
+      pending = blocks.pop();
+      return blocks.filter(block => block.trim());
+    },
+    end() {
+      const rest = pending + decoder.end();
+      pending = '';
+      return rest.trim() ? [rest] : [];
+    }
+  };
+}
+
+// Splits a collected event stream into raw event blocks tagged with the time
+// each one finished arriving, so it can be replayed with its original pacing.
+function splitTimedEvents(chunks) {
+  const splitter = createEventSplitter();
+  const events = [];
+
+  for (const chunk of chunks) {
+    splitter.write(chunk.data).forEach(text => events.push({ offset: chunk.offset, text }));
+  }
+
+  const lastOffset = chunks.length > 0 ? chunks[chunks.length - 1].offset : 0;
+  splitter.end().forEach(text => events.push({ offset: lastOffset, text }));
+
+  return events;
+}
+
+module.exports = { collectResponse, findTimeToFirstToken, createEventSplitter, splitTimedEvents };
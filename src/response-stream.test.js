@@ -0,0 +1,101 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { PassThrough, Writable } = require('stream');
+const { collectResponse, findTimeToFirstToken, createEventSplitter, splitTimedEvents } = require('./response-stream');
+
+// A client connection that keeps what it was sent. A stuck client never
+// finishes a write, so it fills up after the first chunk.
+function client({ stuck = false } = {}) {
+  const received = [];
+  const res = new Writable({
+    highWaterMark: 1,
+    write(chunk, encoding, callback) {
+      received.push(chunk.toString('utf8'));
+      if (!stuck) {
+        callback();
+      }
+    }
+  });
+  return { res, received };
+}
+
+test('chunks are forwarded as they arrive and collected with their offsets', async () => {
+  const upstream = new PassThrough();
+  const { res, received } = client();
+  const seen = [];
+  const done = collectResponse(upstream, Date.now(), res, (chunk, offset) => seen.push([chunk.toString('utf8'), typeof offset]));
+
+  upstream.write('event: a\n\n');
+  upstream.end('event: b\n\n');
+  const { body, chunks, firstByteAt } = await done;
+
+  assert.equal(body.toString('utf8'), 'event: a\n\nevent: b\n\n');
+  assert.equal(chunks.length, 2);
+  assert.equal(typeof firstByteAt, 'number');
+  assert.deepEqual(received, ['event: a\n\n', 'event: b\n\n']);
+  assert.deepEqual(seen, [['event: a\n\n', 'number'], ['event: b\n\n', 'number']]);
+});
+
+test('the rest of the stream is read after the client disconnects', async () => {
+  const upstream = new PassThrough();
+  const { res, received } = client();
+  const done = collectResponse(upstream, Date.now(), res);
+
+  upstream.write('one');
+  await new Promise(resolve => setImmediate(resolve));
+  res.destroy();
+  upstream.write('two');
+  upstream.end('three');
+
+  assert.equal((await done).body.toString('utf8'), 'onetwothree');
+  assert.deepEqual(received, ['one']);
+});
+
+test('a client that stops reading and then disconnects does not stall the stream', async () => {
+  const upstream = new PassThrough();
+  const { res } = client({ stuck: true });
+  const done = collectResponse(upstream, Date.now(), res);
+
+  upstream.write('first');
+  await new Promise(resolve => setImmediate(resolve));
+  assert.equal(upstream.isPaused(), true);
+
+  res.destroy();
+  upstream.end('second');
+
+  assert.equal((await done).body.toString('utf8'), 'firstsecond');
+});
+
+test('an upstream stream that closes early is an error', async () => {
+  const upstream = new PassThrough();
+  const done = collectResponse(upstream, Date.now());
+
+  upstream.write('partial');
+  upstream.destroy();
+
+  await assert.rejects(done, /Upstream stream closed before it ended/);
+});
+
+test('time to first token is the first content delta, or the first byte without one', () => {
+  const chunks = [
+    { offset: 10, data: Buffer.from('event: message_start\ndata: {}\n\nevent: content_') },
+    { offset: 25, data: Buffer.from('block_delta\ndata: {}\n\n') }
+  ];
+
+  assert.equal(findTimeToFirstToken(chunks, 10), 25);
+  assert.equal(findTimeToFirstToken(chunks.slice(0, 1), 10), 10);
+});
+
+test('event blocks are split across chunk and multi-byte character boundaries', () => {
+  const splitter = createEventSplitter();
+  const text = Buffer.from('data: é\n\ndata: b\r\n\r\ndata: c');
+
+  assert.deepEqual(splitter.write(text.subarray(0, 7)), []);
+  assert.deepEqual(splitter.write(text.subarray(7)), ['data: é', 'data: b']);
+  assert.deepEqual(splitter.end(), ['data: c']);
+
+  assert.deepEqual(splitTimedEvents([{ offset: 5, data: Buffer.from('data: x\n\nda') }, { offset: 9, data: Buffer.from('ta: y') }]), [
+    { offset: 5, text: 'data: x' },
+    { offset: 9, text: 'data: y' }
+  ]);
+});
@@ -0,0 +1,200 @@
+const { parsePath } = require('./redact');
+
+// Rewrite rules from config.yaml, applied in order to every request they match:
+//
+// rewrites:
+//   - name: opus-trial
+//     match:
+//       path: /v1/messages                  # URL path prefix
+//       model: claude-sonnet-4*             # * matches anything
+//       headers: { anthropic-beta: "*" }
+//       body: { "metadata.user_id": "*", stream: true }
+//     request:
+//       model: claude-opus-4-20250514
+//       maxTokens: 8192
+//       setHeaders: { anthropic-beta: interleaved-thinking-2025-05-14 }
+//       removeHeaders: [x-stainless-retry-count]
+//       system: { prepend: "...", append: "...", set: "...", replace: [{ pattern: "...", with: "..." }] }
+//       removeTools: [WebSearch]
+//     response:
+//       setHeaders: { x-rewritten: "true" }
+//       removeHeaders: [anthropic-ratelimit-unified-reset]
+class Rewriter {
+  constructor(rules = []) {
+    if (!Array.isArray(rules)) {
+      throw new Error('rewrites must be a list of rules');
+    }
+    this.rules = rules.map(compileRule);
+  }
+
+  get enabled() {
+    return this.rules.length > 0;
+  }
+
+  // Returns rewritten copies of headers and body; the originals are left as they were
+  rewriteRequest({ listener, method, url, headers, body }) {
+    const fired = [];
+    let rewrittenHeaders = headers;
+    let rewrittenBody = body;
+
+    this.rules.forEach(rule => {
+      if (!rule.matches({ listener, method, url, headers: rewrittenHeaders, body: rewrittenBody })) {
+        return;
+      }
+      fired.push(rule);
+      if (rule.request) {
+        rewrittenHeaders = editHeaders(rewrittenHeaders, rule.request);
+        rewrittenBody = editBody(rewrittenBody, rule.request);
+      }
+    });
+
+    return {
+      rules: fired.map(rule => rule.name),
+      headers: rewrittenHeaders,
+      body: rewrittenBody,
+      // Response rules come from the rules that matched the request
+      responseRules: fired.filter(rule => rule.response).map(rule => rule.response)
+    };
+  }
+
+  rewriteResponseHeaders(headers, responseRules) {
+    return responseRules.reduce((result, edit) => editHeaders(result, edit), headers);
+  }
+}
+
+function compileRule(rule, index) {
+  const name = rule.name || `rule-${index + 1}`;
+
+  (rule.request?.system?.replace ? [].concat(rule.request.system.replace) : []).forEach(replacement => {
+    try {
+      new RegExp(replacement.pattern);
+    } catch (error) {
+      throw new Error(`Rewrite rule "${name}": invalid system replace pattern: ${error.message}`);
+    }
+  });
+
+  return {
+    name,
+    request: rule.request || null,
+    response: rule.response || null,
+    matches: compileMatch(rule.match || {})
+  };
+}
+
+// Turns a match block into a predicate over { listener, method, url, headers, body }.
+// An empty match block matches every request.
+function compileMatch(match = {}) {
+  const headerMatchers = Object.entries(match.headers || {})
+    .map(([header, pattern]) => [header.toLowerCase(), globToRegExp(String(pattern))]);
+  const bodyMatchers = Object.entries(match.body || {})
+    .map(([path, expected]) => [parsePath(path), expected]);
+  const modelMatcher = match.model ? globToRegExp(match.model) : null;
+
+  return ({ listener, method, url, headers, body }) => {
+    if (match.listener && match.listener !== listener) return false;
+    if (match.method && match.method.toUpperCase() !== method) return false;
+    if (match.path && !url.split('?')[0].startsWith(match.path)) return false;
+    if (modelMatcher && !(body && typeof body.model === 'string' && modelMatcher.test(body.model))) return false;
+    if (!headerMatchers.every(([header, pattern]) => headers[header] !== undefined && pattern.test(String(headers[header])))) {
+      return false;
+    }
+    return bodyMatchers.every(([tokens, expected]) => {
+      const values = body && typeof body === 'object' ? getPath(body, tokens) : [];
+      return values.some(value => matchesValue(value, expected));
+    });
+  };
+}
+
+// Strings are globs; anything else must be equal
+function matchesValue(value, expected) {
+  if (typeof expected === 'string') {
+    return typeof value === 'string' && globToRegExp(expected).test(value);
+  }
+  return JSON.stringify(value) === JSON.stringify(expected);
+}
+
+function globToRegExp(pattern) {
+  const escaped = pattern.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*');
+  return new RegExp(`^${escaped}$`);
+}
+
+// Every value at a path; "*" fans out over arrays and objects
+function getPath(target, tokens) {
+  if (tokens.length === 0) {
+    return [target];
+  }
+  if (!target || typeof target !== 'object') {
+    return [];
+  }
+  const [token, ...rest] = tokens;
+  const keys = token === '*' ? Object.keys(target) : [token];
+  return keys
+    .filter(key => Object.prototype.hasOwnProperty.call(target, key))
+    .flatMap(key => getPath(target[key], rest));
+}
+
+function editHeaders(headers, edit) {
+  if (!edit.setHeaders && !edit.removeHeaders) {
+    return headers;
+  }
+  const result = { ...headers };
+  (edit.removeHeaders || []).forEach(name => {
+    delete result[name.toLowerCase()];
+  });
+  Object.entries(edit.setHeaders || {}).forEach(([name, value]) => {
+    result[name.toLowerCase()] = String(value);
+  });
+  return result;
+}
+
+function editBody(body, edit) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return body;
+  }
+  const result = { ...body };
+
+  if (edit.model) {
+    result.model = edit.model;
+  }
+  if (edit.maxTokens !== undefined) {
+    result.max_tokens = edit.maxTokens;
+  }
+  if (edit.system) {
+    result.system = editSystem(result.system, edit.system);
+  }
+  if (edit.removeTools && Array.isArray(result.tools)) {
+    const removed = new Set(edit.removeTools);
+    result.tools = result.tools.filter(tool => !removed.has(tool.name));
+  }
+
+  return result;
+}
+
+// The system prompt is either a string or a list of text blocks
+function editSystem(system, edit) {
+  let result = edit.set !== undefined ? edit.set : system;
+
+  [].concat(edit.replace || []).forEach(({ pattern, with: replacement = '' }) => {
+    const regex = new RegExp(pattern, 'g');
+    if (typeof result === 'string') {
+      result = result.replace(regex, replacement);
+    } else if (Array.isArray(result)) {
+      result = result.map(block => block.type === 'text' ? { ...block, text: block.text.replace(regex, replacement) } : block);
+    }
+  });
+
+  if (edit.prepend) {
+    result = Array.isArray(result)
+      ? [{ type: 'text', text: edit.prepend }, ...result]
+      : [edit.prepend, result].filter(Boolean).join('\n\n');
+  }
+  if (edit.append) {
+    result = Array.isArray(result)
+      ? [...result, { type: 'text', text: edit.append }]
+      : [result, edit.append].filter(Boolean).join('\n\n');
+  }
+
+  return result;
+}
+
+module.exports = { Rewriter, compileMatch, globToRegExp };
@@ -0,0 +1,117 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Rewriter } = require('./rewrite');
+
+const REQUEST = {
+  listener: 'default',
+  method: 'POST',
+  url: '/v1/messages?beta=true',
+  headers: { 'anthropic-beta': 'prompt-caching-2024-07-31', 'x-stainless-retry-count': '0' },
+  body: {
+    model: 'claude-sonnet-4-5',
+    max_tokens: 1024,
+    stream: true,
+    metadata: { user_id: 'user_1' },
+    system: 'You are helpful.',
+    tools: [{ name: 'Read' }, { name: 'WebSearch' }],
+    messages: [{ role: 'user', content: [{ type: 'text', text: 'hi' }] }]
+  }
+};
+
+// Whether a rule with this match block fires for the request
+function matches(match, request = REQUEST) {
+  return new Rewriter([{ name: 'rule', match }]).rewriteRequest(request).rules.length === 1;
+}
+
+test('model globs match * anywhere and escape everything else', () => {
+  assert.equal(matches({ model: 'claude-sonnet-4*' }), true);
+  assert.equal(matches({ model: '*sonnet*' }), true);
+  assert.equal(matches({ model: 'claude-opus-4*' }), false);
+  assert.equal(matches({ model: 'claude.sonnet-4-5' }), false);
+});
+
+test('an empty match block matches every request', () => {
+  assert.equal(matches({}), true);
+  assert.equal(matches(undefined), true);
+});
+
+test('match blocks check listener, method, path prefix and model', () => {
+  assert.equal(matches({ listener: 'default', method: 'post', path: '/v1/messages', model: 'claude-sonnet-*' }), true);
+  assert.equal(matches({ listener: 'other' }), false);
+  assert.equal(matches({ method: 'GET' }), false);
+  assert.equal(matches({ path: '/v1/complete' }), false);
+  assert.equal(matches({ model: 'claude-opus-*' }), false);
+  assert.equal(matches({ model: '*' }, { ...REQUEST, body: null }), false);
+});
+
+test('match blocks check headers by glob and body paths by glob or equality', () => {
+  assert.equal(matches({ headers: { 'Anthropic-Beta': 'prompt-caching-*' } }), true);
+  assert.equal(matches({ headers: { 'x-missing': '*' } }), false);
+  assert.equal(matches({ body: { 'metadata.user_id': 'user_*', stream: true } }), true);
+  assert.equal(matches({ body: { stream: false } }), false);
+  assert.equal(matches({ body: { 'messages[*].content[*].text': 'hi' } }), true);
+  assert.equal(matches({ body: { 'messages[*].content[*].text': 'bye' } }), false);
+});
+
+test('rewriteRequest edits copies of the headers and body', () => {
+  const rewriter = new Rewriter([{
+    name: 'opus-trial',
+    match: { model: 'claude-sonnet-4*' },
+    request: {
+      model: 'claude-opus-4-20250514',
+      maxTokens: 8192,
+      setHeaders: { 'Anthropic-Beta': 'interleaved-thinking-2025-05-14' },
+      removeHeaders: ['X-Stainless-Retry-Count'],
+      removeTools: ['WebSearch']
+    },
+    response: { setHeaders: { 'x-rewritten': 'true' } }
+  }]);
+
+  const result = rewriter.rewriteRequest(REQUEST);
+
+  assert.deepEqual(result.rules, ['opus-trial']);
+  assert.deepEqual(result.headers, { 'anthropic-beta': 'interleaved-thinking-2025-05-14' });
+  assert.equal(result.body.model, 'claude-opus-4-20250514');
+  assert.equal(result.body.max_tokens, 8192);
+  assert.deepEqual(result.body.tools, [{ name: 'Read' }]);
+  assert.equal(REQUEST.body.model, 'claude-sonnet-4-5');
+  assert.equal(REQUEST.headers['x-stainless-retry-count'], '0');
+
+  assert.deepEqual(rewriter.rewriteResponseHeaders({ 'content-type': 'application/json' }, result.responseRules), {
+    'content-type': 'application/json',
+    'x-rewritten': 'true'
+  });
+});
+
+test('later rules see what earlier rules changed', () => {
+  const rewriter = new Rewriter([
+    { name: 'to-opus', request: { model: 'claude-opus-4' } },
+    { name: 'opus-only', match: { model: 'claude-opus-*' }, request: { maxTokens: 10 } },
+    { name: 'sonnet-only', match: { model: 'claude-sonnet-*' }, request: { maxTokens: 99 } }
+  ]);
+
+  const result = rewriter.rewriteRequest(REQUEST);
+
+  assert.deepEqual(result.rules, ['to-opus', 'opus-only']);
+  assert.equal(result.body.max_tokens, 10);
+  assert.deepEqual(result.responseRules, []);
+});
+
+test('system edits work on string and block prompts', () => {
+  const edit = { system: { replace: [{ pattern: 'helpful', with: 'terse' }], prepend: 'Rule 1.', append: 'Rule 2.' } };
+  const rewriter = new Rewriter([{ name: 'system', request: edit }]);
+
+  assert.equal(rewriter.rewriteRequest(REQUEST).body.system, 'Rule 1.\n\nYou are terse.\n\nRule 2.');
+
+  const blocks = rewriter.rewriteRequest({ ...REQUEST, body: { ...REQUEST.body, system: [{ type: 'text', text: 'You are helpful.' }] } }).body.system;
+  assert.deepEqual(blocks, [
+    { type: 'text', text: 'Rule 1.' },
+    { type: 'text', text: 'You are terse.' },
+    { type: 'text', text: 'Rule 2.' }
+  ]);
+});
+
+test('invalid rules are rejected when loaded', () => {
+  assert.throws(() => new Rewriter({}), /rewrites must be a list/);
+  assert.throws(() => new Rewriter([{ name: 'bad', request: { system: { replace: [{ pattern: '(' }] } } }]), /Rewrite rule "bad": invalid system replace pattern/);
+});
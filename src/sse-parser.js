@@ -1,57 +1,250 @@
+const chalk = require('chalk');
+
 function parseSSE(sseData) {
-  const lines = sseData.split('\n');
+  const lines = sseData.split(/\r?\n/);
   const events = [];
   let currentEvent = null;
-  
-  for (const line of lines) {
-    if (line.startsWith('event: ')) {
-      if (currentEvent) events.push(currentEvent);
-      currentEvent = { event: line.substring(7), data: null };
-    } else if (line.startsWith('data: ') && currentEvent) {
-      const dataStr = line.substring(6).trim();
-      if (dataStr) {
-        try {
-          currentEvent.data = JSON.parse(dataStr);
-        } catch (e) {
-          currentEvent.data = dataStr;
-        }
+  let dataLines = [];
+
+  const flush = () => {
+    if (!currentEvent) return;
+    const dataStr = dataLines.join('\n').trim();
+    if (dataStr) {
+      try {
+        currentEvent.data = JSON.parse(dataStr);
+      } catch (e) {
+        currentEvent.data = dataStr;
       }
     }
+    events.push(currentEvent);
+    currentEvent = null;
+    dataLines = [];
+  };
+
+  for (const line of lines) {
+    if (line.startsWith('event:')) {
+      flush();
+      currentEvent = { event: line.substring(6).trim(), data: null };
+    } else if (line.startsWith('data:') && currentEvent) {
+      // Multi-line data fields are joined with newlines per the SSE spec
+      dataLines.push(line.substring(line.startsWith('data: ') ? 6 : 5));
+    } else if (line === '') {
+      flush();
+    }
   }
-  if (currentEvent) events.push(currentEvent);
-  
+  flush();
+
   return events;
 }
 
-function reconstructMessageFromSSE(events) {
+// Rebuilds the message the non-streaming API would have returned, and
+// reports anything that makes the stream look malformed or cut short.
+function reconstructStream(events) {
   let message = null;
-  let contentBlocks = [];
-  
+  let error = null;
+  let sawMessageStop = false;
+  const contentBlocks = [];
+  const blockState = [];
+  const issues = [];
+
   for (const event of events) {
-    if (event.event === 'message_start' && event.data?.message) {
-      message = { ...event.data.message };
-      message.content = [];
-    } else if (event.event === 'content_block_start' && event.data?.content_block) {
-      contentBlocks[event.data.index] = { ...event.data.content_block };
-    } else if (event.event === 'content_block_delta' && event.data?.delta?.text) {
-      if (contentBlocks[event.data.index]) {
-        contentBlocks[event.data.index].text = (contentBlocks[event.data.index].text || '') + event.data.delta.text;
+    const data = event.data;
+
+    if (data !== null && typeof data !== 'object') {
+      issues.push(`Unparseable data in ${event.event} event`);
+      continue;
+    }
+
+    switch (event.event) {
+      case 'message_start':
+        if (!data?.message) {
+          issues.push('message_start event without a message');
+          break;
+        }
+        if (message) {
+          issues.push('Duplicate message_start event');
+        }
+        message = { ...data.message, content: [] };
+        break;
+
+      case 'content_block_start': {
+        if (!data?.content_block || typeof data.index !== 'number') {
+          issues.push('content_block_start event without a content block');
+          break;
+        }
+        const block = { ...data.content_block };
+        contentBlocks[data.index] = block;
+        blockState[data.index] = { partialJson: '', stopped: false };
+        break;
       }
-    } else if (event.event === 'message_delta' && event.data?.delta) {
-      if (message) {
-        message.stop_reason = event.data.delta.stop_reason || message.stop_reason;
-        if (event.data.usage) {
-          message.usage = { ...message.usage, ...event.data.usage };
+
+      case 'content_block_delta':
+        applyDelta(data, contentBlocks, blockState, issues);
+        break;
+
+      case 'content_block_stop': {
+        const state = blockState[data?.index];
+        if (!state) {
+          issues.push(`content_block_stop for unknown block ${data?.index}`);
+          break;
         }
+        finalizeBlock(data.index, contentBlocks[data.index], state, issues);
+        state.stopped = true;
+        break;
       }
+
+      case 'message_delta':
+        if (!message) {
+          issues.push('message_delta before message_start');
+          break;
+        }
+        if (data?.delta) {
+          Object.assign(message, data.delta);
+        }
+        if (data?.usage) {
+          message.usage = { ...message.usage, ...data.usage };
+        }
+        break;
+
+      case 'message_stop':
+        sawMessageStop = true;
+        break;
+
+      case 'error':
+        error = data?.error || data;
+        break;
+
+      case 'ping':
+      default:
+        // Unknown event types are allowed by the API and skipped
+        break;
     }
   }
-  
-  if (message && contentBlocks.length > 0) {
-    message.content = contentBlocks;
+
+  // Blocks that never received content_block_stop still get their tool input parsed
+  blockState.forEach((state, index) => {
+    if (state && !state.stopped) {
+      issues.push(`Content block ${index} (${contentBlocks[index].type}) was never stopped`);
+      finalizeBlock(index, contentBlocks[index], state, issues);
+    }
+  });
+
+  if (message) {
+    if (contentBlocks.some(block => block === undefined)) {
+      issues.push('Content block indices are not contiguous');
+    }
+    message.content = contentBlocks.filter(Boolean);
+  } else if (events.length > 0) {
+    issues.push('Stream has no message_start event');
   }
-  
-  return message;
+
+  if (!sawMessageStop && !error && events.length > 0) {
+    issues.push('Stream ended without message_stop (truncated)');
+  }
+
+  return { message, error, issues };
+}
+
+function applyDelta(data, contentBlocks, blockState, issues) {
+  const delta = data?.delta;
+  const block = contentBlocks[data?.index];
+
+  if (!delta) {
+    issues.push('content_block_delta event without a delta');
+    return;
+  }
+  if (!block) {
+    issues.push(`${delta.type} for unknown block ${data?.index}`);
+    return;
+  }
+  if (blockState[data.index].stopped) {
+    issues.push(`${delta.type} after block ${data.index} was stopped`);
+  }
+
+  switch (delta.type) {
+    case 'text_delta':
+      block.text = (block.text || '') + delta.text;
+      break;
+    case 'input_json_delta':
+      blockState[data.index].partialJson += delta.partial_json || '';
+      break;
+    case 'thinking_delta':
+      block.thinking = (block.thinking || '') + delta.thinking;
+      break;
+    case 'signature_delta':
+      block.signature = (block.signature || '') + delta.signature;
+      break;
+    case 'citations_delta':
+      block.citations = [...(block.citations || []), delta.citation];
+      break;
+    default:
+      issues.push(`Unknown delta type ${delta.type} for block ${data.index}`);
+  }
+}
+
+function finalizeBlock(index, block, state, issues) {
+  // Tool inputs arrive as JSON fragments; an empty input is sent as no fragments at all
+  if (!state.partialJson) {
+    return;
+  }
+  try {
+    block.input = JSON.parse(state.partialJson);
+  } catch (e) {
+    issues.push(`Invalid tool input JSON for block ${index} (${block.name || block.type})`);
+    block.input = state.partialJson;
+  }
+  state.partialJson = '';
+}
+
+function reconstructMessageFromSSE(events) {
+  return reconstructStream(events).message;
+}
+
+// Inverse of reconstructStream: the event sequence the API would have sent
+// for a complete message. Used to re-stream logs that only kept the message.
+function messageToSSE(message) {
+  const events = [];
+  const push = (event, data) => events.push(`event: ${event}\ndata: ${JSON.stringify(data)}`);
+
+  if (message.type === 'error') {
+    push('error', message);
+    return events;
+  }
+
+  const { content = [], stop_reason, stop_sequence, usage = {}, ...rest } = message;
+  push('message_start', {
+    type: 'message_start',
+    message: { ...rest, content: [], stop_reason: null, stop_sequence: null, usage: { ...usage, output_tokens: 1 } }
+  });
+
+  content.forEach((block, index) => {
+    const { text, thinking, signature, input, citations, ...start } = block;
+
+    if (block.type === 'text') start.text = '';
+    if (block.type === 'thinking') Object.assign(start, { thinking: '', signature: '' });
+    if (input !== undefined) start.input = {};
+    push('content_block_start', { type: 'content_block_start', index, content_block: start });
+
+    const delta = (payload) => push('content_block_delta', { type: 'content_block_delta', index, delta: payload });
+    (citations || []).forEach(citation => delta({ type: 'citations_delta', citation }));
+    if (text) delta({ type: 'text_delta', text });
+    if (thinking) delta({ type: 'thinking_delta', thinking });
+    if (signature) delta({ type: 'signature_delta', signature });
+    if (input !== undefined && Object.keys(input).length > 0) {
+      delta({ type: 'input_json_delta', partial_json: JSON.stringify(input) });
+    }
+
+    push('content_block_stop', { type: 'content_block_stop', index });
+  });
+
+  push('message_delta', {
+    type: 'message_delta',
+    delta: { stop_reason: stop_reason || null, stop_sequence: stop_sequence || null },
+    usage: { output_tokens: usage.output_tokens || 0 }
+  });
+  push('message_stop', { type: 'message_stop' });
+
+  return events;
 }
 
 function isSSEResponse(headers) {
@@ -59,21 +252,35 @@ function isSSEResponse(headers) {
   return contentType.includes('text/event-stream');
 }
 
-function formatSSEResponse(sseData, colorFn) {
+// The message and error are redacted as parsed bodies, so path rules apply to them
+function formatSSEResponse(sseData, colorFn, redactor = null) {
   const events = parseSSE(sseData);
-  const reconstructed = reconstructMessageFromSSE(events);
-  
-  if (reconstructed) {
-    return JSON.stringify(reconstructed, null, 2);
-  } else {
+  const { message, error, issues } = reconstructStream(events);
+  const body = value => (redactor ? redactor.body(value) : value);
+  const text = value => (redactor ? redactor.text(value) : value);
+
+  if (!message && !error) {
     // Not a structured SSE stream, show raw
-    return sseData;
+    return text(sseData);
   }
+
+  const output = [];
+  if (message) {
+    output.push(JSON.stringify(body(message), null, 2));
+  }
+  if (error) {
+    output.push(chalk.red(`✗ Stream error: ${JSON.stringify(body(error))}`));
+  }
+  issues.forEach(issue => output.push(chalk.yellow(`⚠ ${text(issue)}`)));
+
+  return output.join('\n');
 }
 
 module.exports = {
   isSSEResponse,
   formatSSEResponse,
   parseSSE,
-  reconstructMessageFromSSE
-};
\ No newline at end of file
+  reconstructStream,
+  reconstructMessageFromSSE,
+  messageToSSE
+};
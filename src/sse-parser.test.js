@@ -0,0 +1,129 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const chalk = require('chalk');
+const { parseSSE, reconstructStream, messageToSSE, isSSEResponse, formatSSEResponse } = require('./sse-parser');
+const { Redactor } = require('./redact');
+
+function toStream(events) {
+  return events.map(([event, data]) => `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`).join('');
+}
+
+const MESSAGE = { id: 'msg_1', type: 'message', role: 'assistant', model: 'claude-sonnet-4-5', content: [], stop_reason: null, usage: { input_tokens: 10, output_tokens: 1 } };
+
+const COMPLETE = [
+  ['message_start', { type: 'message_start', message: MESSAGE }],
+  ['content_block_start', { type: 'content_block_start', index: 0, content_block: { type: 'thinking', thinking: '' } }],
+  ['content_block_delta', { type: 'content_block_delta', index: 0, delta: { type: 'thinking_delta', thinking: 'Let me ' } }],
+  ['content_block_delta', { type: 'content_block_delta', index: 0, delta: { type: 'thinking_delta', thinking: 'look.' } }],
+  ['content_block_delta', { type: 'content_block_delta', index: 0, delta: { type: 'signature_delta', signature: 'sig==' } }],
+  ['content_block_stop', { type: 'content_block_stop', index: 0 }],
+  ['content_block_start', { type: 'content_block_start', index: 1, content_block: { type: 'text', text: '' } }],
+  ['ping', { type: 'ping' }],
+  ['content_block_delta', { type: 'content_block_delta', index: 1, delta: { type: 'text_delta', text: 'Hello' } }],
+  ['content_block_delta', { type: 'content_block_delta', index: 1, delta: { type: 'citations_delta', citation: { cited_text: 'Hi' } } }],
+  ['content_block_delta', { type: 'content_block_delta', index: 1, delta: { type: 'text_delta', text: ' world' } }],
+  ['content_block_stop', { type: 'content_block_stop', index: 1 }],
+  ['content_block_start', { type: 'content_block_start', index: 2, content_block: { type: 'tool_use', id: 'toolu_1', name: 'Read', input: {} } }],
+  ['content_block_delta', { type: 'content_block_delta', index: 2, delta: { type: 'input_json_delta', partial_json: '{"file_pa' } }],
+  ['content_block_delta', { type: 'content_block_delta', index: 2, delta: { type: 'input_json_delta', partial_json: 'th":"/a.js"}' } }],
+  ['content_block_stop', { type: 'content_block_stop', index: 2 }],
+  ['message_delta', { type: 'message_delta', delta: { stop_reason: 'tool_use', stop_sequence: null }, usage: { output_tokens: 42 } }],
+  ['message_stop', { type: 'message_stop' }]
+];
+
+test('parseSSE reads event names and JSON data', () => {
+  const events = parseSSE('event: ping\ndata: {"type":"ping"}\n\nevent: note\r\ndata: not json\r\n\r\n');
+  assert.deepEqual(events, [
+    { event: 'ping', data: { type: 'ping' } },
+    { event: 'note', data: 'not json' }
+  ]);
+});
+
+test('parseSSE joins multi-line data fields', () => {
+  const [event] = parseSSE('event: message_delta\ndata: {"a":\ndata: 1}\n\n');
+  assert.deepEqual(event.data, { a: 1 });
+});
+
+test('reconstructStream rebuilds thinking, text, citations and tool input', () => {
+  const { message, error, issues } = reconstructStream(parseSSE(toStream(COMPLETE)));
+
+  assert.equal(error, null);
+  assert.deepEqual(issues, []);
+  assert.equal(message.stop_reason, 'tool_use');
+  assert.deepEqual(message.usage, { input_tokens: 10, output_tokens: 42 });
+  assert.deepEqual(message.content, [
+    { type: 'thinking', thinking: 'Let me look.', signature: 'sig==' },
+    { type: 'text', text: 'Hello world', citations: [{ cited_text: 'Hi' }] },
+    { type: 'tool_use', id: 'toolu_1', name: 'Read', input: { file_path: '/a.js' } }
+  ]);
+});
+
+test('reconstructStream reports a truncated stream', () => {
+  const { message, issues } = reconstructStream(parseSSE(toStream(COMPLETE.slice(0, 10))));
+
+  assert.equal(message.content[1].text, 'Hello');
+  assert.ok(issues.includes('Content block 1 (text) was never stopped'));
+  assert.ok(issues.includes('Stream ended without message_stop (truncated)'));
+});
+
+test('reconstructStream keeps invalid tool input as text', () => {
+  const events = [
+    COMPLETE[0],
+    ['content_block_start', { type: 'content_block_start', index: 0, content_block: { type: 'tool_use', id: 'toolu_1', name: 'Bash', input: {} } }],
+    ['content_block_delta', { type: 'content_block_delta', index: 0, delta: { type: 'input_json_delta', partial_json: '{"command":' } }],
+    ['content_block_stop', { type: 'content_block_stop', index: 0 }],
+    ['message_stop', { type: 'message_stop' }]
+  ];
+  const { message, issues } = reconstructStream(parseSSE(toStream(events)));
+
+  assert.equal(message.content[0].input, '{"command":');
+  assert.deepEqual(issues, ['Invalid tool input JSON for block 0 (Bash)']);
+});
+
+test('reconstructStream flags deltas for unknown blocks and a missing message_start', () => {
+  const events = [
+    ['content_block_delta', { type: 'content_block_delta', index: 3, delta: { type: 'text_delta', text: 'x' } }],
+    ['message_stop', { type: 'message_stop' }]
+  ];
+  const { message, issues } = reconstructStream(parseSSE(toStream(events)));
+
+  assert.equal(message, null);
+  assert.deepEqual(issues, ['text_delta for unknown block 3', 'Stream has no message_start event']);
+});
+
+test('reconstructStream returns the error of an error event', () => {
+  const events = [
+    COMPLETE[0],
+    ['error', { type: 'error', error: { type: 'overloaded_error', message: 'Overloaded' } }]
+  ];
+  const { error, issues } = reconstructStream(parseSSE(toStream(events)));
+
+  assert.deepEqual(error, { type: 'overloaded_error', message: 'Overloaded' });
+  assert.ok(!issues.includes('Stream ended without message_stop (truncated)'));
+});
+
+test('messageToSSE produces a stream that reconstructs to the same message', () => {
+  const { message } = reconstructStream(parseSSE(toStream(COMPLETE)));
+  const text = messageToSSE(message).map(block => `${block}\n\n`).join('');
+  const again = reconstructStream(parseSSE(text));
+
+  assert.deepEqual(again.issues, []);
+  assert.deepEqual(again.message, message);
+});
+
+test('isSSEResponse checks the content type', () => {
+  assert.equal(isSSEResponse({ 'content-type': 'text/event-stream; charset=utf-8' }), true);
+  assert.equal(isSSEResponse({ 'content-type': 'application/json' }), false);
+  assert.equal(isSSEResponse({}), false);
+});
+
+test('formatSSEResponse applies path rules to the reconstructed message', () => {
+  chalk.level = 0;
+  const redactor = new Redactor({ paths: ['content[*].text'] });
+  const output = formatSSEResponse(toStream(COMPLETE), null, redactor);
+
+  assert.doesNotMatch(output, /Hello world/);
+  assert.match(output, /"text": "\[REDACTED\]"/);
+  assert.match(output, /"thinking": "Let me look\."/);
+  assert.equal(formatSSEResponse('data: sk-ant-abc', null, redactor), 'data: [REDACTED]');
+});
@@ -0,0 +1,19 @@
+// Helpers and fixtures shared by the *.test.js files
+
+const MESSAGES_BODY = { model: 'claude-sonnet-4-5', max_tokens: 1024 };
+
+// A request as the fault injector, guards and plugins see it
+function messagesRequest(body = MESSAGES_BODY, url = '/v1/messages') {
+  return { listener: 'default', method: 'POST', url, headers: {}, body };
+}
+
+// Reads an upstream-shaped response's data stream to the end, as text
+async function readBody(response) {
+  const chunks = [];
+  for await (const chunk of response.data) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks).toString('utf8');
+}
+
+module.exports = { MESSAGES_BODY, messagesRequest, readBody };
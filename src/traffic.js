@@ -0,0 +1,174 @@
+const EventEmitter = require('events');
+const diff = require('deep-diff');
+const { hashValue } = require('./hash');
+const { readLogGroup, readExchanges } = require('./log-reader');
+
+const DEFAULT_MAX_ENTRIES = 500;
+
+// Requests whose headers and bodies stay in memory; older ones are read back
+// from their log group when opened
+const DEFAULT_MAX_DETAILED = 50;
+
+// Keeps recent exchanges in memory for the dashboard and emits an
+// "exchange" event for each one as it completes. Records saved to a log
+// group carry log: { logDir, id } so their bodies can be dropped and read
+// back later, with previousLog pointing at the previous turn of the thread.
+class TrafficStore extends EventEmitter {
+  constructor(maxEntries = DEFAULT_MAX_ENTRIES, maxDetailed = DEFAULT_MAX_DETAILED) {
+    super();
+    this.maxEntries = maxEntries;
+    this.maxDetailed = maxDetailed;
+    this.records = [];
+    this.sequence = 0;
+    // Log reference of the last turn of each thread, least recently used first
+    this.lastLogByThread = new Map();
+  }
+
+  add(record) {
+    const stored = { ...record, id: ++this.sequence };
+
+    if (record.threadId) {
+      stored.previousLog = this.lastLogByThread.get(record.threadId) || null;
+      this.lastLogByThread.delete(record.threadId);
+      this.lastLogByThread.set(record.threadId, record.log || null);
+      if (this.lastLogByThread.size > this.maxEntries) {
+        this.lastLogByThread.delete(this.lastLogByThread.keys().next().value);
+      }
+    }
+
+    this.records.push(stored);
+    if (this.records.length > this.maxEntries) {
+      this.records.shift();
+    }
+    const older = this.records[this.records.length - 1 - this.maxDetailed];
+    if (older) {
+      dropDetails(older);
+    }
+
+    this.emit('exchange', stored);
+    return stored;
+  }
+
+  list() {
+    return this.records.map(summarizeRecord);
+  }
+
+  // The full record, with bodies read back from the log group once they are
+  // no longer kept in memory
+  async get(id) {
+    const record = this.records.find(candidate => candidate.id === id);
+    if (!record) {
+      return null;
+    }
+    return record.request ? record : loadDetails(record);
+  }
+}
+
+function dropDetails(record) {
+  delete record.request;
+  delete record.response;
+  delete record.bodyDiff;
+}
+
+// The fields shown in the request list; details are fetched on demand
+function summarizeRecord(record) {
+  return {
+    id: record.id,
+    timestamp: record.timestamp,
+    listener: record.listener,
+    method: record.method,
+    url: record.url,
+    model: record.model,
+    threadId: record.threadId,
+    status: record.status,
+    duration: record.duration,
+    ttft: record.ttft,
+    usage: record.usage,
+    cacheLabel: record.cacheLabel,
+    cacheMiss: record.cacheMiss ? record.cacheMiss.summary : null,
+    cost: record.cost,
+    error: record.error || null
+  };
+}
+
+// Reads a record's headers and bodies back from its log group and diffs the
+// request against the previous turn of its thread
+async function loadDetails(record) {
+  const [exchange] = record.log ? await readExchanges(record.log.logDir, [record.log.id]) : [null];
+  if (!exchange) {
+    return {
+      ...record,
+      error: record.error || 'Details of this request are no longer in memory and it was not found in a log group',
+      request: null,
+      response: null,
+      bodyDiff: null
+    };
+  }
+
+  const [previous] = record.previousLog ? await readExchanges(record.previousLog.logDir, [record.previousLog.id]) : [null];
+  const { request, response } = exchange;
+  return {
+    ...record,
+    request: { headers: request.headers, query: request.query, body: request.body },
+    response: { headers: response.headers, body: response.data, streamIssues: response.streamIssues || [] },
+    bodyDiff: record.cacheLabel === 'CACHED' ? [] : previous && record.cacheLabel === 'DIFF' ? diff.diff(previous.request.body, request.body) || [] : null
+  };
+}
+
+// Summarizes a saved log group for the dashboard without keeping its bodies.
+// Cache labels are recomputed against the previous request of the same
+// thread (or model, for logs written before threads were recorded); diffs
+// are made when a request is opened.
+async function summarizeLogGroup(logDir) {
+  const previousTurns = new Map();
+
+  const records = await readLogGroup(logDir, {
+    map: exchange => {
+      const { request, response } = exchange;
+      const body = request.body && typeof request.body === 'object' ? request.body : null;
+      const conversationKey = request.threadId || request.modelKey;
+      const log = { logDir, id: exchange.id };
+
+      let cacheLabel = null;
+      let previousLog = null;
+      if (body && conversationKey) {
+        const turn = { log, hash: hashValue(body), messageCount: (body.messages || []).length };
+        const previous = previousTurns.get(conversationKey);
+        if (!previous) {
+          cacheLabel = 'FIRST';
+        } else if (turn.messageCount < previous.messageCount) {
+          cacheLabel = 'RESET';
+        } else {
+          cacheLabel = turn.hash === previous.hash ? 'CACHED' : 'DIFF';
+          previousLog = previous.log;
+        }
+        previousTurns.set(conversationKey, turn);
+      }
+
+      const data = response.data;
+      return {
+        source: exchange.id,
+        timestamp: exchange.timestamp || null,
+        listener: null,
+        method: request.method,
+        url: request.url,
+        model: request.modelKey || null,
+        threadId: request.threadId || null,
+        status: response.status,
+        duration: response.duration,
+        ttft: response.ttft ?? null,
+        usage: data && typeof data === 'object' ? data.usage || null : null,
+        cacheLabel,
+        cacheMiss: response.cacheMiss || null,
+        cost: response.cost ?? null,
+        error: response.error || null,
+        log,
+        previousLog
+      };
+    }
+  });
+
+  return records.map((record, index) => ({ ...record, id: index + 1 }));
+}
+
+module.exports = { TrafficStore, summarizeRecord, summarizeLogGroup, loadDetails };
@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { TrafficStore, summarizeLogGroup, loadDetails } = require('./traffic');
+const { RequestLogger } = require('./request-logger');
+
+function tempDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'traffic-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+function turn(...texts) {
+  return { model: 'claude-sonnet-4-5', messages: texts.map(content => ({ role: 'user', content })) };
+}
+
+async function save(logger, body, threadId) {
+  return logger.saveRequest(
+    { method: 'POST', url: '/v1/messages', headers: { 'x-turn': String(body.messages.length) }, query: {}, body, modelKey: body.model, threadId },
+    { status: 200, statusText: 'OK', headers: {}, data: { content: [], usage: { input_tokens: body.messages.length } }, duration: 5 }
+  );
+}
+
+function record(fields) {
+  return { method: 'POST', url: '/v1/messages', model: 'claude-sonnet-4-5', status: 200, ...fields };
+}
+
+test('only the most recent records keep their bodies, and the list only has summaries', async () => {
+  const traffic = new TrafficStore(3, 1);
+  for (let i = 1; i <= 4; i++) {
+    traffic.add(record({ request: { body: turn(`q${i}`) }, response: { body: {} }, bodyDiff: [] }));
+  }
+
+  assert.deepEqual(traffic.records.map(stored => [stored.id, !!stored.request]), [[2, false], [3, false], [4, true]]);
+  assert.equal(traffic.list()[0].request, undefined);
+  assert.deepEqual((await traffic.get(4)).request.body, turn('q4'));
+  assert.equal(await traffic.get(1), null);
+});
+
+test('dropped bodies are read back from the log group and diffed against the previous turn', async (t) => {
+  const dir = tempDir(t);
+  t.mock.method(console, 'log', () => {});
+  const logger = new RequestLogger(dir, { format: 'jsonl' });
+  const traffic = new TrafficStore(10, 0);
+
+  const first = await save(logger, turn('a'), 't1');
+  traffic.add(record({ threadId: 't1', cacheLabel: 'FIRST', log: { logDir: dir, id: first } }));
+  const second = await save(logger, turn('a', 'b'), 't1');
+  traffic.add(record({ threadId: 't1', cacheLabel: 'DIFF', log: { logDir: dir, id: second } }));
+  traffic.add(record({ threadId: 't2', cacheLabel: 'FIRST', log: null }));
+
+  const details = await traffic.get(2);
+  assert.deepEqual(details.request.body, turn('a', 'b'));
+  assert.deepEqual(details.request.headers, { 'x-turn': '2' });
+  assert.deepEqual(details.response.body.usage, { input_tokens: 2 });
+  assert.deepEqual(details.bodyDiff.map(d => [d.kind, d.path]), [['A', ['messages']]]);
+  assert.equal((await traffic.get(1)).bodyDiff, null);
+
+  const unsaved = await traffic.get(3);
+  assert.equal(unsaved.request, null);
+  assert.match(unsaved.error, /no longer in memory/);
+});
+
+test('a saved log group is summarized with cache labels and read in full when opened', async (t) => {
+  const dir = tempDir(t);
+  t.mock.method(console, 'log', () => {});
+  const logger = new RequestLogger(dir);
+  await save(logger, turn('a'), 't1');
+  await save(logger, turn('a', 'b'), 't1');
+  await save(logger, turn('a', 'b'), 't1');
+  await save(logger, turn('x'), 't1');
+  await save(logger, turn('other'), 't2');
+
+  const records = await summarizeLogGroup(dir);
+  assert.deepEqual(records.map(summary => [summary.id, summary.cacheLabel]), [[1, 'FIRST'], [2, 'DIFF'], [3, 'CACHED'], [4, 'RESET'], [5, 'FIRST']]);
+  assert.equal(records[0].request, undefined);
+  assert.deepEqual(records[1].usage, { input_tokens: 2 });
+
+  const diffed = await loadDetails(records[1]);
+  assert.deepEqual(diffed.request.body, turn('a', 'b'));
+  assert.equal(diffed.bodyDiff.length, 1);
+  assert.deepEqual((await loadDetails(records[2])).bodyDiff, []);
+  assert.equal((await loadDetails(records[3])).bodyDiff, null);
+});
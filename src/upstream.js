@@ -0,0 +1,334 @@
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+const { Transform, pipeline } = require('stream');
+const axios = require('axios');
+
+const DEFAULT_CONNECT_TIMEOUT = 10000;
+
+// Methods that can be sent again without side effects
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'];
+
+// Statuses worth another attempt for idempotent requests; 529 (overloaded) is retried for any method
+const RETRY_STATUSES = [429, 500, 502, 503, 504, 529];
+
+// Errors raised before a connection was made, so target never saw the
+// request and it is safe to send again whatever the method
+const CONNECT_ERRORS = ['ECONNREFUSED', 'EHOSTUNREACH', 'ENETUNREACH', 'ENOTFOUND', 'EAI_AGAIN'];
+
+// Errors on a connection that was already made; target may have received
+// the request, so only idempotent requests are sent again
+const CONNECTION_ERRORS = ['ECONNRESET', 'EPIPE', 'ETIMEDOUT'];
+
+// Sends requests to target over shared keep-alive agents, with connect and
+// read timeouts, optional retries, an outbound HTTP(S) proxy and custom
+// certificates for private gateways.
+class UpstreamClient {
+  constructor(upstreamConfig = {}, env = process.env) {
+    this.connectTimeout = upstreamConfig.connectTimeout ?? DEFAULT_CONNECT_TIMEOUT;
+    this.readTimeout = upstreamConfig.readTimeout || 0;
+    this.retries = { max: 0, baseDelayMs: 500, maxDelayMs: 10000, ...upstreamConfig.retries };
+
+    this.proxies = {
+      'http:': resolveProxy(upstreamConfig.proxy, env.HTTP_PROXY || env.http_proxy),
+      'https:': resolveProxy(upstreamConfig.proxy, env.HTTPS_PROXY || env.https_proxy)
+    };
+    this.noProxy = String(upstreamConfig.noProxy ?? (env.NO_PROXY || env.no_proxy || ''))
+      .split(',')
+      .map(entry => entry.trim().toLowerCase())
+      .filter(Boolean);
+
+    const agentOptions = {
+      keepAlive: upstreamConfig.keepAlive !== false,
+      maxSockets: upstreamConfig.maxSockets || Infinity
+    };
+    this.httpAgent = new TimedHttpAgent(agentOptions, this.connectTimeout);
+    this.httpsAgent = new TunnelingHttpsAgent({ ...agentOptions, ...readTlsOptions(upstreamConfig) }, this.connectTimeout, this.proxies['https:'], this.noProxy);
+  }
+
+  // One line for the startup banner, or null when nothing is configured
+  describe() {
+    const parts = [];
+    const proxies = [...new Set(Object.values(this.proxies).filter(Boolean).map(proxy => proxy.origin))];
+    if (proxies.length > 0) {
+      parts.push(`via proxy ${proxies.join(', ')}`);
+    }
+    if (this.httpsAgent.options.ca || this.httpsAgent.options.cert) {
+      parts.push('custom certificates');
+    }
+    if (this.retries.max > 0) {
+      parts.push(`up to ${this.retries.max} retries`);
+    }
+    return parts.length > 0 ? parts.join(', ') : null;
+  }
+
+  // Sends the request, retrying where that is safe. Returns the final
+  // response and every attempt made; onRetry is called before each wait.
+  async request(requestConfig, onRetry = () => {}) {
+    const attempts = [];
+    const method = String(requestConfig.method || 'GET').toUpperCase();
+
+    for (let attempt = 1; ; attempt++) {
+      const startedAt = Date.now();
+      let response = null;
+      let error = null;
+      try {
+        response = await this.send(requestConfig);
+      } catch (e) {
+        error = e;
+      }
+
+      const record = { attempt, status: response ? response.status : null, error: error ? error.message : null, duration: Date.now() - startedAt };
+      attempts.push(record);
+
+      const retryable = attempt <= this.retries.max && (response ? shouldRetryStatus(method, response.status) : shouldRetryError(method, error));
+      if (!retryable) {
+        if (error) {
+          error.attempts = attempts;
+          throw error;
+        }
+        return { response, attempts };
+      }
+
+      record.delay = this.backoff(attempt, response);
+      if (response) {
+        // Nothing of this attempt reaches the client
+        response.data.destroy();
+      }
+      onRetry(record);
+      await new Promise(resolve => setTimeout(resolve, record.delay));
+    }
+  }
+
+  send(requestConfig) {
+    const protocol = new URL(requestConfig.url).protocol;
+    const proxy = this.proxyFor(protocol, new URL(requestConfig.url).hostname);
+
+    // Socket timeouts would also cut off a stream that is still arriving,
+    // so the wait for response headers is timed separately
+    const controller = new AbortController();
+    let timedOut = false;
+    const timer = this.readTimeout
+      ? setTimeout(() => {
+        timedOut = true;
+        controller.abort();
+      }, this.readTimeout)
+      : null;
+
+    return axios({
+      ...requestConfig,
+      responseType: 'stream',
+      httpAgent: this.httpAgent,
+      httpsAgent: this.httpsAgent,
+      // https goes through the agent's CONNECT tunnel; plain http is sent to the proxy as is
+      proxy: protocol === 'http:' && proxy ? axiosProxy(proxy) : false,
+      signal: controller.signal
+    }).then(response => {
+      clearTimeout(timer);
+      if (this.readTimeout) {
+        response.data = watchIdle(response.data, this.readTimeout);
+      }
+      return response;
+    }, error => {
+      clearTimeout(timer);
+      throw timedOut ? readTimeoutError(this.readTimeout) : error;
+    });
+  }
+
+  proxyFor(protocol, hostname) {
+    const proxy = this.proxies[protocol];
+    return proxy && !bypassesProxy(hostname, this.noProxy) ? proxy : null;
+  }
+
+  // Exponential backoff, or longer if target sent retry-after
+  backoff(attempt, response) {
+    const exponential = this.retries.baseDelayMs * 2 ** (attempt - 1);
+    const retryAfter = response ? Number(response.headers['retry-after']) * 1000 : NaN;
+    return Math.min(this.retries.maxDelayMs, Math.max(exponential, Number.isFinite(retryAfter) ? retryAfter : 0));
+  }
+
+  close() {
+    this.httpAgent.destroy();
+    this.httpsAgent.destroy();
+  }
+}
+
+function shouldRetryStatus(method, status) {
+  return status === 529 || (IDEMPOTENT_METHODS.includes(method) && RETRY_STATUSES.includes(status));
+}
+
+// Connection errors mean target never saw the request, so any method can be
+// sent again. A read timeout might not, so only idempotent requests retry it.
+function shouldRetryError(method, error) {
+  if (!error || error.response) {
+    return false;
+  }
+  if (error.connectTimeout || CONNECT_ERRORS.includes(error.code)) {
+    return true;
+  }
+  return IDEMPOTENT_METHODS.includes(method) && (error.readTimeout || CONNECTION_ERRORS.includes(error.code));
+}
+
+function resolveProxy(configured, fromEnv) {
+  // proxy: false turns off the environment variables
+  if (configured === false) {
+    return null;
+  }
+  const value = configured || fromEnv;
+  if (!value) {
+    return null;
+  }
+  return new URL(/^[a-z]+:\/\//i.test(value) ? value : `http://${value}`);
+}
+
+// NO_PROXY entries are host names or domain suffixes; * matches everything
+function bypassesProxy(hostname, noProxy) {
+  const host = hostname.toLowerCase();
+  return noProxy.some(entry => {
+    if (entry === '*') return true;
+    const domain = entry.replace(/:\d+$/, '').replace(/^\*?\./, '');
+    return host === domain || host.endsWith(`.${domain}`);
+  });
+}
+
+function proxyAuthorization(proxy) {
+  if (!proxy.username) {
+    return {};
+  }
+  const credentials = `${decodeURIComponent(proxy.username)}:${decodeURIComponent(proxy.password)}`;
+  return { 'proxy-authorization': `Basic ${Buffer.from(credentials).toString('base64')}` };
+}
+
+function axiosProxy(proxy) {
+  return {
+    protocol: proxy.protocol.replace(':', ''),
+    host: proxy.hostname,
+    port: Number(proxy.port) || (proxy.protocol === 'https:' ? 443 : 80),
+    auth: proxy.username ? { username: decodeURIComponent(proxy.username), password: decodeURIComponent(proxy.password) } : undefined
+  };
+}
+
+// ca, cert and key are file paths
+function readTlsOptions(upstreamConfig) {
+  const options = {};
+  ['ca', 'cert', 'key'].forEach(name => {
+    if (upstreamConfig[name]) {
+      options[name] = fs.readFileSync(upstreamConfig[name]);
+    }
+  });
+  if (upstreamConfig.passphrase) {
+    options.passphrase = upstreamConfig.passphrase;
+  }
+  if (upstreamConfig.rejectUnauthorized === false) {
+    options.rejectUnauthorized = false;
+  }
+  return options;
+}
+
+// Fails the socket if it isn't connected within the timeout. Reused
+// keep-alive sockets are already connected and never get here.
+function withConnectTimeout(socket, timeout, connectedEvent) {
+  if (!timeout || !socket) {
+    return socket;
+  }
+  const timer = setTimeout(() => socket.destroy(connectTimeoutError(`connect timeout of ${timeout}ms exceeded`)), timeout);
+  socket.once(connectedEvent, () => clearTimeout(timer));
+  socket.once('close', () => clearTimeout(timer));
+  return socket;
+}
+
+function timeoutError(message) {
+  const error = new Error(message);
+  error.code = 'ETIMEDOUT';
+  return error;
+}
+
+function connectTimeoutError(message) {
+  const error = timeoutError(message);
+  error.connectTimeout = true;
+  return error;
+}
+
+function readTimeoutError(timeout) {
+  const error = timeoutError(`read timeout of ${timeout}ms exceeded`);
+  error.readTimeout = true;
+  return error;
+}
+
+class TimedHttpAgent extends http.Agent {
+  constructor(options, connectTimeout) {
+    super(options);
+    this.connectTimeout = connectTimeout;
+  }
+
+  createConnection(options, callback) {
+    return withConnectTimeout(super.createConnection(options, callback), this.connectTimeout, 'connect');
+  }
+}
+
+// Opens https connections directly, or through a CONNECT tunnel when an
+// outbound proxy applies to the host
+class TunnelingHttpsAgent extends https.Agent {
+  constructor(options, connectTimeout, proxy, noProxy) {
+    super(options);
+    this.connectTimeout = connectTimeout;
+    this.proxy = proxy;
+    this.noProxy = noProxy;
+  }
+
+  createConnection(options, callback) {
+    if (!this.proxy || bypassesProxy(options.host, this.noProxy)) {
+      return withConnectTimeout(super.createConnection(options), this.connectTimeout, 'secureConnect');
+    }
+
+    const destination = `${options.host}:${options.port}`;
+    const connectRequest = (this.proxy.protocol === 'https:' ? https : http).request({
+      host: this.proxy.hostname,
+      port: this.proxy.port || (this.proxy.protocol === 'https:' ? 443 : 80),
+      method: 'CONNECT',
+      path: destination,
+      headers: { host: destination, ...proxyAuthorization(this.proxy) },
+      agent: false
+    });
+
+    const timer = this.connectTimeout
+      ? setTimeout(() => connectRequest.destroy(connectTimeoutError(`connect timeout of ${this.connectTimeout}ms exceeded (proxy ${this.proxy.host})`)), this.connectTimeout)
+      : null;
+
+    connectRequest.once('connect', (response, socket) => {
+      clearTimeout(timer);
+      if (response.statusCode !== 200) {
+        socket.destroy();
+        callback(new Error(`Proxy ${this.proxy.host} refused CONNECT to ${destination}: ${response.statusCode} ${response.statusMessage}`));
+        return;
+      }
+      callback(null, withConnectTimeout(super.createConnection({ ...options, socket }), this.connectTimeout, 'secureConnect'));
+    });
+    connectRequest.once('error', (error) => {
+      clearTimeout(timer);
+      callback(error);
+    });
+    connectRequest.end();
+  }
+}
+
+// Fails a response body that goes quiet for longer than the read timeout
+function watchIdle(stream, timeout) {
+  let timer = null;
+  const reset = () => {
+    clearTimeout(timer);
+    timer = setTimeout(() => watched.destroy(readTimeoutError(timeout)), timeout);
+  };
+  const watched = new Transform({
+    transform(chunk, encoding, callback) {
+      reset();
+      callback(null, chunk);
+    }
+  });
+
+  reset();
+  pipeline(stream, watched, () => clearTimeout(timer));
+  return watched;
+}
+
+module.exports = { UpstreamClient };
@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Readable } = require('stream');
+const { UpstreamClient } = require('./upstream');
+
+function client(t, upstreamConfig = {}) {
+  const upstream = new UpstreamClient({ retries: { max: 2, baseDelayMs: 0 }, ...upstreamConfig }, {});
+  t.after(() => upstream.close());
+  return upstream;
+}
+
+function response(status, headers = {}) {
+  return { status, headers, data: Readable.from([]) };
+}
+
+function failure(code, extra = {}) {
+  return Object.assign(new Error(code), { code, ...extra });
+}
+
+// Answers each try with the next outcome (a status or an error) and returns
+// how many tries the request took
+async function tries(t, method, outcomes) {
+  const upstream = client(t);
+  const send = t.mock.method(upstream, 'send', async () => {
+    const outcome = outcomes[Math.min(send.mock.callCount(), outcomes.length - 1)];
+    if (outcome instanceof Error) {
+      throw outcome;
+    }
+    return response(outcome);
+  });
+  try {
+    await upstream.request({ method, url: 'https://api.anthropic.com/v1/messages' });
+  } catch (error) {
+    assert.equal(error.attempts.length, send.mock.callCount());
+  }
+  return send.mock.callCount();
+}
+
+test('529 is retried for any method, other retryable statuses only for idempotent ones', async (t) => {
+  assert.equal(await tries(t, 'POST', [529, 200]), 2);
+  assert.equal(await tries(t, 'POST', [503, 200]), 1);
+  assert.equal(await tries(t, 'GET', [503, 502, 200]), 3);
+  assert.equal(await tries(t, 'GET', [404, 200]), 1);
+});
+
+test('errors before a connection was made are retried for any method', async (t) => {
+  assert.equal(await tries(t, 'POST', [failure('ECONNREFUSED'), 200]), 2);
+  assert.equal(await tries(t, 'POST', [failure('ENOTFOUND'), 200]), 2);
+  assert.equal(await tries(t, 'POST', [failure('ETIMEDOUT', { connectTimeout: true }), 200]), 2);
+});
+
+test('errors on an open connection and read timeouts are only retried for idempotent methods', async (t) => {
+  assert.equal(await tries(t, 'POST', [failure('ECONNRESET'), 200]), 1);
+  assert.equal(await tries(t, 'POST', [failure('ETIMEDOUT', { readTimeout: true }), 200]), 1);
+  assert.equal(await tries(t, 'GET', [failure('ECONNRESET'), 200]), 2);
+  assert.equal(await tries(t, 'PUT', [failure('ETIMEDOUT', { readTimeout: true }), 200]), 2);
+  assert.equal(await tries(t, 'GET', [failure('ERR_BAD_RESPONSE', { response: response(500) }), 200]), 1);
+});
+
+test('retries stop at the configured maximum and every attempt is recorded', async (t) => {
+  const upstream = client(t);
+  t.mock.method(upstream, 'send', async () => {
+    throw failure('ECONNREFUSED');
+  });
+  const retried = [];
+
+  const error = await upstream.request({ method: 'POST', url: 'https://api.anthropic.com/v1/messages' }, record => retried.push(record.attempt))
+    .catch(caught => caught);
+  assert.equal(error.code, 'ECONNREFUSED');
+  assert.deepEqual(error.attempts.map(attempt => [attempt.attempt, attempt.error]), [[1, 'ECONNREFUSED'], [2, 'ECONNREFUSED'], [3, 'ECONNREFUSED']]);
+  assert.deepEqual(retried, [1, 2]);
+});
+
+test('backoff doubles each attempt, waits for retry-after and is capped', (t) => {
+  const upstream = client(t, { retries: { max: 3, baseDelayMs: 500, maxDelayMs: 5000 } });
+
+  assert.deepEqual([1, 2, 3].map(attempt => upstream.backoff(attempt, null)), [500, 1000, 2000]);
+  assert.equal(upstream.backoff(1, response(429, { 'retry-after': '3' })), 3000);
+  assert.equal(upstream.backoff(1, response(429, { 'retry-after': '60' })), 5000);
+  assert.equal(upstream.backoff(5, null), 5000);
+});